@@ -0,0 +1,362 @@
+// pdf.js — minimal PDF text extraction: objects, FlateDecode streams, ToUnicode CMaps and text operators
+
+/*
+  Enough of the PDF format for text: objects (including compressed object streams),
+  FlateDecode streams, the page tree, per-font ToUnicode CMaps, and the text operators
+  Tj / TJ / ' / " inside content streams. Scanned (image-only) PDFs yield no text.
+  Callers bound the work per document (decompressed bytes, pages, characters).
+*/
+const BACKSLASH = 92;
+
+export function latin1(bytes) {
+  let s = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) s += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  return s;
+}
+
+/**
+ * zlib inflate; keeps whatever decoded before a trailing-garbage error. Stops (and marks the
+ * budget exhausted) once the document's decompressed-bytes allowance is used up.
+ */
+async function inflate(bin, budget) {
+  const bytes = Uint8Array.from(bin, (ch) => ch.charCodeAt(0) & 0xff);
+  const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate")).getReader();
+  const chunks = [];
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      budget.inflated += value.length;
+      if (budget.inflated > budget.maxInflated) {
+        budget.exhausted = true;
+        reader.cancel().catch(() => {});
+        break;
+      }
+    }
+  } catch {
+    if (!chunks.length) return null;
+  }
+  return chunks.map(latin1).join("");
+}
+
+/** Value of /Key in a dictionary: { ref } for "n 0 R", { text } for an inline << >> or [ ]. */
+function pdfDictValue(dict, key) {
+  const m = new RegExp(`/${key}(?![A-Za-z0-9])`).exec(dict);
+  if (!m) return null;
+  const rest = dict.slice(m.index + m[0].length).trimStart();
+  const ref = /^(\d+)\s+\d+\s+R/.exec(rest);
+  if (ref) return { ref: Number(ref[1]) };
+  const open = rest.startsWith("<<") ? "<<" : rest.startsWith("[") ? "[" : null;
+  if (!open) return { text: (/^\/[^\s/<>[\]()]+|^[^/>\]]*/.exec(rest) || [""])[0].trim() };
+  const close = open === "<<" ? ">>" : "]";
+  let depth = 0;
+  for (let i = 0; i < rest.length; i++) {
+    if (rest.startsWith(open, i)) { depth++; i += open.length - 1; }
+    else if (rest.startsWith(close, i)) {
+      depth--;
+      if (!depth) return { text: rest.slice(open.length, i) };
+      i += close.length - 1;
+    }
+  }
+  return null;
+}
+
+const pdfRefs = (text) => Array.from(String(text || "").matchAll(/(\d+)\s+\d+\s+R/g), (m) => Number(m[1]));
+
+/** Index every object: num -> { dict, raw? } (raw = undecoded stream bytes). */
+async function pdfObjects(bin, budget) {
+  const objs = new Map();
+  const re = /(\d+)\s+\d+\s+obj\b/g;
+  let m;
+  while ((m = re.exec(bin))) {
+    const start = re.lastIndex;
+    let end = bin.indexOf("endobj", start);
+    if (end < 0) break;
+    const body = bin.slice(start, end);
+    const si = /(^|[^A-Za-z])stream\r?\n/.exec(body);
+    if (si) {
+      const dict = body.slice(0, si.index);
+      const dataStart = start + si.index + si[0].length;
+      const len = /\/Length\s+(\d+)(?!\s+\d+\s+R)/.exec(dict);
+      let dataEnd = len ? dataStart + Number(len[1]) : bin.indexOf("endstream", dataStart);
+      if (dataEnd < dataStart) dataEnd = bin.indexOf("endstream", dataStart);
+      if (dataEnd < 0) break;
+      objs.set(Number(m[1]), { dict, raw: bin.slice(dataStart, dataEnd) });
+      end = bin.indexOf("endobj", dataEnd);
+      if (end < 0) break;
+    } else {
+      objs.set(Number(m[1]), { dict: body });
+    }
+    re.lastIndex = end + 6;
+  }
+
+  // Objects packed into compressed object streams (/Type /ObjStm)
+  for (const o of Array.from(objs.values())) {
+    if (!/\/Type\s*\/ObjStm/.test(o.dict)) continue;
+    const data = await pdfStreamData(o, budget);
+    const first = Number((/\/First\s+(\d+)/.exec(o.dict) || [])[1]);
+    if (!data || !Number.isFinite(first)) continue;
+    const nums = data.slice(0, first).trim().split(/\s+/).map(Number);
+    for (let i = 0; i + 1 < nums.length; i += 2) {
+      const from = first + nums[i + 1];
+      const to = i + 3 < nums.length ? first + nums[i + 3] : data.length;
+      if (!objs.has(nums[i])) objs.set(nums[i], { dict: data.slice(from, to) });
+    }
+  }
+  return objs;
+}
+
+/** Decoded stream text (FlateDecode or unfiltered); null for images and other filters. */
+async function pdfStreamData(o, budget) {
+  if (!o || o.raw == null) return null;
+  if (o.data !== undefined) return o.data;
+  if (budget.exhausted) return null;
+  const filter = (pdfDictValue(o.dict, "Filter") || {}).text || "";
+  if (/\/Subtype\s*\/Image/.test(o.dict)) o.data = null;
+  else if (!filter) o.data = o.raw;
+  else if (/^\[?\s*\/FlateDecode\s*\]?$/.test(filter)) o.data = await inflate(o.raw, budget);
+  else o.data = null;
+  return o.data;
+}
+
+function utf16(hex) {
+  const units = [];
+  for (let i = 0; i + 4 <= hex.length; i += 4) units.push(parseInt(hex.slice(i, i + 4), 16));
+  if (!units.length && hex.length) units.push(parseInt(hex, 16));
+  return units;
+}
+
+/** ToUnicode CMap: { bytes: code width, map: code -> string }. */
+function parseCMap(text) {
+  const map = new Map();
+  const cs = /begincodespacerange\s*<([0-9A-Fa-f]+)>/.exec(text);
+  const bytes = cs ? Math.max(1, cs[1].length / 2) : 1;
+  for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const m of block[1].matchAll(/<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]*)>/g)) {
+      map.set(parseInt(m[1], 16), String.fromCharCode(...utf16(m[2])));
+    }
+  }
+  for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const m of block[1].matchAll(/<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]+)>\s*(?:<([0-9A-Fa-f]+)>|\[([^\]]*)\])/g)) {
+      const lo = parseInt(m[1], 16);
+      const hi = parseInt(m[2], 16);
+      if (hi < lo || hi - lo > 0xffff) continue;
+      if (m[3] != null) {
+        const units = utf16(m[3]);
+        for (let c = lo; c <= hi; c++) {
+          const u = units.slice();
+          u[u.length - 1] += c - lo;
+          map.set(c, String.fromCharCode(...u));
+        }
+      } else {
+        Array.from(m[4].matchAll(/<([0-9A-Fa-f]*)>/g)).forEach((x, i) => map.set(lo + i, String.fromCharCode(...utf16(x[1]))));
+      }
+    }
+  }
+  return { bytes, map };
+}
+
+function decodePdfString(bytes, font) {
+  if (font && font.cmap && font.cmap.map.size) {
+    const n = font.cmap.bytes;
+    let out = "";
+    for (let i = 0; i + n <= bytes.length; i += n) {
+      let code = 0;
+      for (let j = 0; j < n; j++) code = code * 256 + bytes.charCodeAt(i + j);
+      const u = font.cmap.map.get(code);
+      if (u != null) out += u;
+      else if (n === 1) out += bytes[i];
+    }
+    return out;
+  }
+  if (font && font.twoByte) return ""; // CID font without ToUnicode: no reliable mapping
+  return bytes; // simple fonts: Latin-1 is close enough to WinAnsi/Standard for matching
+}
+
+/** Tokenize one content stream and collect the shown text. */
+function contentStreamText(cs, fonts) {
+  const out = [];
+  const operands = [];
+  let font = null;
+  let i = 0;
+  const n = cs.length;
+  const isWs = (c) => c === 32 || c === 10 || c === 13 || c === 9 || c === 12 || c === 0;
+  const isDelim = (c) => c === 40 || c === 41 || c === 60 || c === 62 || c === 91 || c === 93 || c === 47 || c === 37 || c === 123 || c === 125;
+
+  const readLiteral = () => {
+    let depth = 1;
+    let s = "";
+    i++;
+    while (i < n && depth) {
+      const c = cs.charCodeAt(i);
+      if (c === BACKSLASH) {
+        const e = cs[i + 1];
+        i += 2;
+        if (e === "n") s += "\n";
+        else if (e === "r") s += "\r";
+        else if (e === "t") s += "\t";
+        else if (e === "b" || e === "f") s += " ";
+        else if (e >= "0" && e <= "7") {
+          let oct = e;
+          while (oct.length < 3 && cs[i] >= "0" && cs[i] <= "7") oct += cs[i++];
+          s += String.fromCharCode(parseInt(oct, 8) & 0xff);
+        } else if (e === "\r" || e === "\n") {
+          if (e === "\r" && cs[i] === "\n") i++;
+        } else if (e !== undefined) s += e;
+        continue;
+      }
+      if (c === 40) depth++;
+      else if (c === 41 && !--depth) { i++; break; }
+      s += cs[i++];
+    }
+    return s;
+  };
+  const readHex = () => {
+    const end = cs.indexOf(">", i);
+    let hex = cs.slice(i + 1, end < 0 ? n : end).replace(/[^0-9A-Fa-f]/g, "");
+    if (hex.length % 2) hex += "0";
+    i = end < 0 ? n : end + 1;
+    let s = "";
+    for (let k = 0; k < hex.length; k += 2) s += String.fromCharCode(parseInt(hex.slice(k, k + 2), 16));
+    return s;
+  };
+  const show = (v) => { if (typeof v === "string") out.push(decodePdfString(v, font)); };
+
+  let array = null;
+  while (i < n) {
+    const c = cs.charCodeAt(i);
+    if (isWs(c)) { i++; continue; }
+    if (c === 37) { while (i < n && cs[i] !== "\n" && cs[i] !== "\r") i++; continue; }
+    let tok;
+    if (c === 40) tok = { str: readLiteral() };
+    else if (c === 60 && cs[i + 1] === "<") { i += 2; continue; }
+    else if (c === 62 && cs[i + 1] === ">") { i += 2; continue; }
+    else if (c === 60) tok = { str: readHex() };
+    else if (c === 91) { array = []; i++; continue; }
+    else if (c === 93) { operands.push(array || []); array = null; i++; continue; }
+    else {
+      let j = i + 1;
+      while (j < n && !isWs(cs.charCodeAt(j)) && !isDelim(cs.charCodeAt(j))) j++;
+      if (c === 47) tok = { name: cs.slice(i + 1, j) };
+      else {
+        const word = cs.slice(i, j);
+        tok = /^[+-]?(\d+\.?\d*|\.\d+)$/.test(word) ? { num: Number(word) } : { op: word };
+      }
+      i = j;
+    }
+
+    if (tok.op === undefined) {
+      const v = tok.str !== undefined ? tok.str : tok.num !== undefined ? tok.num : tok.name;
+      if (array) array.push(v);
+      else operands.push(v);
+      continue;
+    }
+
+    switch (tok.op) {
+      case "Tf": font = fonts.get(operands[operands.length - 2]) || null; break;
+      case "Tj": show(operands[operands.length - 1]); break;
+      case "'": out.push("\n"); show(operands[operands.length - 1]); break;
+      case "\"": out.push("\n"); show(operands[operands.length - 1]); break;
+      case "TJ":
+        for (const v of operands[operands.length - 1] || []) {
+          if (typeof v === "number") { if (v < -180) out.push(" "); }
+          else show(v);
+        }
+        break;
+      case "Td":
+      case "TD": out.push(operands[operands.length - 1] ? "\n" : " "); break;
+      case "T*": out.push("\n"); break;
+      case "ET": out.push("\n"); break;
+      case "BI": {
+        // inline image: skip binary data through EI
+        const ei = cs.indexOf("EI", cs.indexOf("ID", i));
+        i = ei < 0 ? n : ei + 2;
+        break;
+      }
+    }
+    operands.length = 0;
+  }
+  return out.join("");
+}
+
+/** Fonts of a page (inherited resources included): resource name -> { cmap, twoByte }. */
+async function pdfPageFonts(objs, pageDict, memo, budget) {
+  let dict = pageDict;
+  let res = null;
+  for (let hops = 0; dict && hops < 20; hops++) {
+    res = pdfDictValue(dict, "Resources");
+    if (res) break;
+    const parent = pdfDictValue(dict, "Parent");
+    dict = parent && parent.ref != null ? (objs.get(parent.ref) || {}).dict : null;
+  }
+  const fonts = new Map();
+  if (!res) return fonts;
+  const resText = res.ref != null ? (objs.get(res.ref) || {}).dict || "" : res.text;
+  const fontVal = pdfDictValue(resText, "Font");
+  if (!fontVal) return fonts;
+  const fontDict = fontVal.ref != null ? (objs.get(fontVal.ref) || {}).dict || "" : fontVal.text;
+  for (const m of fontDict.matchAll(/\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R/g)) {
+    const num = Number(m[2]);
+    if (!memo.has(num)) {
+      const f = (objs.get(num) || {}).dict || "";
+      const tu = pdfDictValue(f, "ToUnicode");
+      const cmapText = tu && tu.ref != null ? await pdfStreamData(objs.get(tu.ref), budget) : null;
+      memo.set(num, {
+        cmap: cmapText ? parseCMap(cmapText) : null,
+        twoByte: /\/Subtype\s*\/Type0/.test(f),
+      });
+    }
+    fonts.set(m[1], memo.get(num));
+  }
+  return fonts;
+}
+
+/**
+ * Plain text of a PDF (pages in order), whitespace-collapsed. Stops after maxPages pages or
+ * maxInflated decompressed bytes, and returns at most maxChars characters.
+ */
+export async function extractPdfText(bytes, { maxChars = Infinity, maxPages = Infinity, maxInflated = Infinity } = {}) {
+  const budget = { inflated: 0, maxInflated, exhausted: false };
+  const bin = latin1(bytes);
+  const objs = await pdfObjects(bin, budget);
+
+  // Page order from the page tree; object order if the tree can't be walked.
+  const pages = [];
+  const walk = (num, depth) => {
+    const o = objs.get(num);
+    if (!o || depth > 30) return;
+    if (/\/Type\s*\/Pages\b/.test(o.dict)) {
+      for (const kid of pdfRefs((pdfDictValue(o.dict, "Kids") || {}).text)) walk(kid, depth + 1);
+    } else if (/\/Type\s*\/Page\b/.test(o.dict)) pages.push(o);
+  };
+  for (const [num, o] of objs) {
+    if (/\/Type\s*\/Pages\b/.test(o.dict) && !pdfDictValue(o.dict, "Parent")) walk(num, 0);
+  }
+  if (!pages.length) for (const o of objs.values()) if (/\/Type\s*\/Page\b/.test(o.dict)) pages.push(o);
+
+  const fontMemo = new Map();
+  let text = "";
+  for (const page of pages.slice(0, maxPages)) {
+    if (budget.exhausted) break;
+    const fonts = await pdfPageFonts(objs, page.dict, fontMemo, budget);
+    const contents = pdfDictValue(page.dict, "Contents");
+    const refs = contents ? (contents.ref != null ? [contents.ref] : pdfRefs(contents.text)) : [];
+    let cs = "";
+    for (const r of refs) {
+      const o = objs.get(r);
+      // A single /Contents ref may point at an array object of stream refs.
+      if (o && o.raw == null) for (const rr of pdfRefs(o.dict)) cs += ((await pdfStreamData(objs.get(rr), budget)) || "") + "\n";
+      else cs += ((await pdfStreamData(o, budget)) || "") + "\n";
+    }
+    text += contentStreamText(cs, fonts) + "\n";
+    if (text.length > maxChars * 2) break;
+  }
+  return text.replace(/[^\S\n]+/g, " ").replace(/\s*\n\s*/g, "\n").trim().slice(0, maxChars);
+}
+
+/** Readable prose, not glyph soup from an unmapped font. */
+export function looksLikeText(text) {
+  const letters = (text.match(/[A-Za-z]/g) || []).length;
+  return letters >= 40 && letters / Math.max(1, text.replace(/\s+/g, "").length) >= 0.6;
+}
@@ -0,0 +1,58 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { call, db, queries, reset } from "./helpers/worker.mjs";
+
+beforeEach(reset);
+
+test("agency-spend requires an agency", async () => {
+  assert.equal((await call("/sb/agency-spend")).status, 400);
+});
+
+test("agency-spend builds per-year series with deltas, shares and missing years as zero", async () => {
+  db.respond = (sql) =>
+    /GROUPING SETS/.test(sql)
+      ? {
+          rows: [
+            { dim: "total", fiscal_year: 2022, awards: 4, vendors: 3, obligated: "100" },
+            { dim: "total", fiscal_year: 2024, awards: 6, vendors: 4, obligated: "300" },
+            { dim: "naics", fiscal_year: 2022, key: "541512", naics_description: "Design", awards: 2, vendors: 2, obligated: "100" },
+            { dim: "naics", fiscal_year: 2024, key: "541512", naics_description: "Design", awards: 3, vendors: 2, obligated: "200" },
+            { dim: "naics", fiscal_year: 2024, key: "236220", awards: 1, vendors: 1, obligated: "100" },
+            { dim: "set_aside", fiscal_year: 2024, key: null, awards: 1, vendors: 1, obligated: "300" },
+          ],
+        }
+      : { rows: [] };
+  const res = await call("/sb/agency-spend?agency=GSA&fromFy=2022&toFy=2024&top=5");
+  assert.equal(res.status, 200);
+  assert.deepEqual(queries(/GROUPING SETS/)[0].params, ["GSA", 2022, 2024]);
+  const body = await res.json();
+
+  assert.equal(body.totals.obligated, 400);
+  assert.deepEqual(
+    body.totals.years.map((y) => [y.fiscalYear, y.obligated, y.delta, y.deltaPct]),
+    [[2022, 100, null, null], [2023, 0, -100, -100], [2024, 300, 300, null]]
+  );
+
+  const [design, building] = body.byNaics;
+  assert.equal(design.key, "541512");
+  assert.equal(design.description, "Design");
+  assert.equal(design.total, 300);
+  assert.equal(design.changePct, 100);
+  assert.equal(design.share, 75);
+  assert.equal(building.changePct, null, "no base year, no change");
+  assert.equal(body.bySetAside[0].key, "(not reported)");
+  assert.deepEqual(body.byVehicle, []);
+});
+
+test("agency-spend rejects years before 2000 and clamps toFy to the current fiscal year", async () => {
+  const early = await call("/sb/agency-spend?agency=GSA&fromFy=1990");
+  assert.equal(early.status, 400);
+  assert.equal((await early.json()).code, "OUT_OF_RANGE");
+
+  await call("/sb/agency-spend?agency=GSA&fromFy=2000&toFy=3000");
+  const [, from, to] = queries(/GROUPING SETS/)[0].params;
+  const now = new Date();
+  const thisFy = now.getUTCFullYear() + (now.getUTCMonth() >= 9 ? 1 : 0);
+  assert.equal(from, 2000);
+  assert.equal(to, thisFy);
+});
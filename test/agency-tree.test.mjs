@@ -0,0 +1,42 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { call, db, queries, reset } from "./helpers/worker.mjs";
+
+beforeEach(reset);
+
+const TREE_SQL = /GROUP BY GROUPING SETS \(\(awarding_agency_name\)/;
+
+test("agency-tree nests offices under sub-agencies under agencies", async () => {
+  db.respond = (sql) =>
+    TREE_SQL.test(sql)
+      ? { rows: [
+          { level: 2, agency: "GSA", sub_agency: "FAS", office: "Region 3", awards: 2, obligated: "30" },
+          { level: 0, agency: "DOD", awards: 9, obligated: "900" },
+          { level: 1, agency: "GSA", sub_agency: "FAS", awards: 5, obligated: "70" },
+          { level: 2, agency: "GSA", sub_agency: "FAS", office: "Region 9", awards: 3, obligated: "40" },
+          { level: 0, agency: "GSA", awards: 6, obligated: "100" },
+          { level: 1, agency: "GSA", sub_agency: null, awards: 1, obligated: "30" },
+        ] }
+      : { rows: [] };
+  const res = await call("/sb/v1/agency-tree?fromFy=2022&toFy=2024");
+  assert.equal(res.status, 200);
+  const body = await res.json();
+
+  assert.deepEqual(queries(TREE_SQL)[0].params, [2022, 2024, null]);
+  assert.deepEqual(body.totals, { agencies: 2, obligated: 1000 });
+  const [dod, gsa] = body.tree;
+  assert.deepEqual(dod, { name: "DOD", level: "agency", awards: 9, obligated: 900 });
+  assert.deepEqual(gsa.children.map((n) => [n.name, n.level, n.obligated]), [["FAS", "sub-agency", 70], ["(not reported)", "sub-agency", 30]]);
+  assert.deepEqual(gsa.children[0].children.map((n) => [n.name, n.level]), [["Region 9", "office"], ["Region 3", "office"]]);
+});
+
+test("agency-tree limits grouping sets to the requested depth and agency", async () => {
+  await call("/sb/v1/agency-tree?depth=1&agency=GSA");
+  const [q] = queries(TREE_SQL);
+  assert.match(q.sql, /GROUPING SETS \(\(awarding_agency_name\)\)/);
+  assert.equal(q.params[2], "GSA");
+  const now = new Date();
+  const thisFy = now.getUTCFullYear() + (now.getUTCMonth() >= 9 ? 1 : 0);
+  assert.deepEqual(q.params.slice(0, 2), [thisFy - 4, thisFy], "defaults to the last five fiscal years");
+  assert.equal((await call("/sb/v1/agency-tree?depth=4")).status, 400);
+});
@@ -0,0 +1,138 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { call, db, queries, reset, schedule } from "./helpers/worker.mjs";
+
+beforeEach(reset);
+
+const AUTH = { AUTH_MODE: "on", ADMIN_API_KEY: "admin-secret" };
+const sha = (s) => createHash("sha256").update(s).digest("hex");
+const KEY_LOOKUP = /WHERE key_hash = \$1 AND revoked_at IS NULL/;
+
+const USAGE_WRITE = /VALUES \(\$1::bigint, date_trunc\('minute', now\(\)\), 1\)/;
+
+/**
+ * Answer the key lookup as if `key` exists with `scopes`, on its `hits`-th request this minute.
+ * Verified keys stay cached in the isolate, so each test uses a key of its own.
+ */
+function keyRow(key, { scopes = ["analytics"], rate = 60, hits = 1, sharedHits = 0 } = {}) {
+  db.respond = (sql, params) => {
+    if (KEY_LOOKUP.test(sql) && params[0] === sha(key)) {
+      return { rows: [{ id: "5", name: "partner", scopes, rate_per_min: rate, hits, reset_s: 42 }] };
+    }
+    return USAGE_WRITE.test(sql) ? { rows: [{ hits: sharedHits }] } : { rows: [] };
+  };
+}
+
+const bearer = (key) => ({ headers: { Authorization: `Bearer ${key}` }, env: AUTH });
+
+test("health and preflight stay open", async () => {
+  assert.equal((await call("/sb/health", { env: AUTH })).status, 200);
+  assert.equal((await call("/sb/agency-spend", { method: "OPTIONS", env: AUTH })).status, 204);
+});
+
+test("requests without a known key get 401", async () => {
+  const missing = await call("/sb/agency-spend?agency=GSA", { env: AUTH });
+  assert.equal(missing.status, 401);
+  assert.match(missing.headers.get("WWW-Authenticate"), /^Bearer/);
+
+  const unknown = await call("/sb/agency-spend?agency=GSA", bearer("sbk_nope"));
+  assert.equal(unknown.status, 401);
+  assert.equal(queries(KEY_LOOKUP)[0].params[0], sha("sbk_nope"), "only the hash is looked up");
+});
+
+test("a key is counted against its minute window and reports the remaining budget", async () => {
+  keyRow("sbk_count", { hits: 3, rate: 10 });
+  const res = await call("/sb/agency-spend?agency=GSA", bearer("sbk_count"));
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("X-RateLimit-Limit"), "10");
+  assert.equal(res.headers.get("X-RateLimit-Remaining"), "7");
+  assert.equal(res.headers.get("X-RateLimit-Reset"), "42");
+  assert.match(queries(KEY_LOOKUP)[0].sql, /date_trunc\('minute', now\(\)\)/);
+});
+
+test("keys over their rate get 429 with Retry-After", async () => {
+  keyRow("sbk_busy", { hits: 11, rate: 10 });
+  const res = await call("/sb/agency-spend?agency=GSA", { headers: { "X-API-Key": "sbk_busy" }, env: AUTH });
+  assert.equal(res.status, 429);
+  assert.equal(res.headers.get("Retry-After"), "42");
+  assert.equal(res.headers.get("X-RateLimit-Remaining"), "0");
+});
+
+test("keys are limited to their route scopes", async () => {
+  keyRow("sbk_scoped", { scopes: ["analytics"] });
+  assert.equal((await call("/sb/digests?user=u1", bearer("sbk_scoped"))).status, 403);
+  assert.equal((await call("/sb/admin/keys", bearer("sbk_scoped"))).status, 403);
+  assert.equal((await call("/opportunities/search", bearer("sbk_scoped"))).status, 403);
+});
+
+test("a verified key is cached briefly: repeat calls skip the lookup and count in the background", async () => {
+  keyRow("sbk_cached", { hits: 1, rate: 2, sharedHits: 5 });
+  const first = await call("/sb/agency-spend?agency=GSA", bearer("sbk_cached"));
+  assert.equal(first.status, 200);
+  assert.match(first.headers.get("Server-Timing"), /connect;dur=\d+;desc="2x"/, "the lookup's connection is timed with the request");
+  assert.equal(queries(KEY_LOOKUP).length, 1);
+
+  const second = await call("/sb/agency-spend?agency=GSA", bearer("sbk_cached"));
+  assert.equal(second.status, 200);
+  assert.equal(second.headers.get("X-RateLimit-Remaining"), "0");
+  assert.doesNotMatch(second.headers.get("Server-Timing"), /connect;/, "auth opens no connection on the request path");
+  assert.equal(queries(KEY_LOOKUP).length, 1, "no inline lookup for a cached key");
+  assert.deepEqual(queries(USAGE_WRITE).map((q) => q.params), [["5"]], "the hit is still recorded");
+
+  // Other isolates already used 5 of this minute's hits; the cached view adopts that count.
+  const third = await call("/sb/agency-spend?agency=GSA", bearer("sbk_cached"));
+  assert.equal(third.status, 429);
+});
+
+test("the admin key creates keys and only their hash is stored", async () => {
+  db.respond = (sql, params) =>
+    /INSERT INTO app\.api_keys/.test(sql)
+      ? { rows: [{ id: "9", name: params[0], key_prefix: params[1], scopes: params[3], rate_per_min: params[4] }] }
+      : { rows: [] };
+  const res = await call("/sb/admin/keys", {
+    method: "POST",
+    body: { name: "partner", scopes: ["sam", "sam"], ratePerMin: 250 },
+    ...bearer("admin-secret"),
+  });
+  assert.equal(res.status, 201);
+  const { key } = await res.json();
+  assert.match(key.apiKey, /^sbk_[\w-]{32}$/);
+  const [, prefix, hash, scopes, rate] = queries(/INSERT INTO app\.api_keys/)[0].params;
+  assert.equal(prefix, key.apiKey.slice(0, 10));
+  assert.equal(hash, sha(key.apiKey));
+  assert.deepEqual(scopes, ["sam"]);
+  assert.equal(rate, 250);
+  assert.equal(queries(KEY_LOOKUP).length, 0, "the env admin key skips the database lookup");
+});
+
+test("the admin revoke route revokes by id", async () => {
+  keyRow("sbk_revoked");
+  assert.equal((await call("/sb/agency-spend?agency=GSA", bearer("sbk_revoked"))).status, 200);
+
+  db.respond = (sql) => (/UPDATE app\.api_keys SET revoked_at/.test(sql) ? { rows: [{ id: "5" }], rowCount: 1 } : { rows: [] });
+  const res = await call("/sb/v1/admin/keys/revoke", { method: "POST", body: { id: "5" }, ...bearer("admin-secret") });
+  assert.equal(res.status, 200);
+  assert.deepEqual(queries(/UPDATE app\.api_keys SET revoked_at/)[0].params, ["5"]);
+  assert.equal(queries(/INSERT INTO app\.api_keys/).length, 0);
+
+  assert.equal((await call("/sb/agency-spend?agency=GSA", bearer("sbk_revoked"))).status, 401, "revoking evicts the cached key");
+});
+
+test("the cron run prunes usage windows older than a day, even when the digest job fails", async () => {
+  db.respond = (sql) => {
+    if (/FROM app\.saved_searches/.test(sql)) throw new Error("digests down");
+    return { rows: [], rowCount: 0 };
+  };
+  const errors = [];
+  const { error } = console;
+  console.error = (...args) => errors.push(args.join(" "));
+  try {
+    await schedule({ env: { SAM_API_KEY: "k" } });
+  } finally {
+    console.error = error;
+  }
+  assert.equal(queries(/DELETE FROM app\.api_key_usage WHERE window_start < now\(\) - INTERVAL '1 day'/).length, 1);
+  assert.equal(db.connects, 2, "retention runs on its own connection");
+  assert.deepEqual(errors, ["saved-search digests failed: digests down"]);
+});
@@ -0,0 +1,66 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { call, db, queries, reset } from "./helpers/worker.mjs";
+
+beforeEach(reset);
+
+const AGENCY_SQL = /ORDER BY rank, name/;
+const AWARDS_SQL = /AS rk/;
+
+test("agencies pages by (rank, name) and resumes after the cursor", async () => {
+  db.respond = (sql) =>
+    AGENCY_SQL.test(sql)
+      ? { rows: [{ name: "GSA", rank: 0 }, { name: "GSA FAS", rank: 0 }, { name: "Region 9 GSA", rank: 1 }] }
+      : { rows: [] };
+  const first = await (await call("/sb/v1/agencies?q=gs_a&level=agency&limit=2")).json();
+  assert.deepEqual(first.rows, [{ name: "GSA" }, { name: "GSA FAS" }]);
+  assert.ok(first.nextCursor);
+  const [q] = queries(AGENCY_SQL);
+  assert.deepEqual(q.params, ["gs!_a", null, null, 3], "wildcards escaped, one extra row fetched");
+  assert.match(q.sql, /SELECT awarding_agency_name AS name/);
+
+  reset();
+  await call(`/sb/v1/agencies?q=gs_a&level=agency&limit=2&cursor=${first.nextCursor}`);
+  assert.deepEqual(queries(AGENCY_SQL)[0].params, ["gs!_a", 0, "GSA FAS", 3]);
+});
+
+test("a cursor is rejected for a different sort or when malformed", async () => {
+  db.respond = (sql) => (AGENCY_SQL.test(sql) ? { rows: [{ name: "A", rank: 0 }, { name: "B", rank: 0 }] } : { rows: [] });
+  const { nextCursor } = await (await call("/sb/v1/agencies?limit=1")).json();
+
+  const other = await call(`/sb/v1/agencies?limit=1&level=office&cursor=${nextCursor}`);
+  assert.equal(other.status, 400);
+  assert.equal((await other.json()).code, "INVALID_CURSOR");
+  assert.equal((await call("/sb/v1/agencies?cursor=%25%25")).status, 400);
+});
+
+test("the last page has no cursor", async () => {
+  db.respond = (sql) => (AGENCY_SQL.test(sql) ? { rows: [{ name: "A", rank: 0 }] } : { rows: [] });
+  const body = await (await call("/sb/v1/agencies?limit=5")).json();
+  assert.equal(body.nextCursor, null);
+  assert.equal(body.level, null);
+});
+
+test("vendor-awards resumes after the last row's full sort key", async () => {
+  const row = (piid, c1, c2) => ({ piid, fiscal_year: 2024, k1: c1, k2: c2, c1: String(c1), c2: String(c2), rk: `rk-${piid}` });
+  db.respond = (sql) => (AWARDS_SQL.test(sql) ? { rows: [row("A1", 500, 2024), row("A2", 400, 2024)] } : { rows: [] });
+  const first = await (await call("/sb/v1/vendor-awards?uei=ABC123DEF456&sort=obligation&limit=1&naics=5415&setAside=8(a)")).json();
+  assert.equal(first.sort, "obligation");
+  assert.deepEqual(first.rows, [{ piid: "A1", fiscal_year: 2024 }], "sort-key columns are not returned");
+  const [q] = queries(AWARDS_SQL);
+  assert.match(q.sql, /ORDER BY k1 DESC, k2 DESC, piid DESC, rk DESC/);
+  assert.deepEqual(q.params.slice(3), [2, ["5415%"], "8(a)", null, null, null, null]);
+
+  reset();
+  await call(`/sb/v1/vendor-awards?uei=ABC123DEF456&sort=obligation&limit=1&cursor=${first.nextCursor}`);
+  const [next] = queries(AWARDS_SQL);
+  assert.deepEqual(next.params.slice(6), ["500", "2024", "A1", "rk-A1"]);
+  assert.match(next.sql, /\(k1, k2, piid, rk\) < \(\$7::text::numeric, \$8::text::int/);
+});
+
+test("vendor-awards sorting by soonest end compares ascending", async () => {
+  await call("/sb/v1/vendor-awards?uei=ABC123DEF456&sort=end");
+  const [q] = queries(AWARDS_SQL);
+  assert.match(q.sql, /ORDER BY k1 ASC/);
+  assert.match(q.sql, /\(k1, k2, piid, rk\) > /);
+});
@@ -0,0 +1,136 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { call, db, queries, reset } from "./helpers/worker.mjs";
+
+beforeEach(reset);
+
+const XLSX = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+const AWARDS_SQL = /AS rk/;
+const award = (piid, extra) => ({
+  piid, fiscal_year: 2024, agency: "GSA", title: "Cloud, \"managed\" services", obligated: "1234.5",
+  end_date: "2025-03-31T00:00:00.000Z", number_of_offers_received: "3", k1: 1, k2: 2, c1: "1", c2: "2", rk: "r", ...extra,
+});
+
+function serve(rows) {
+  db.respond = (sql) => (AWARDS_SQL.test(sql) ? { rows } : { rows: [] });
+}
+
+const csvLines = async (res) => (await res.text()).replace(/^﻿/, "").trim().split("\r\n");
+
+test("vendor-awards exports CSV with typed, quoted and formula-safe cells", async () => {
+  serve([award("A1"), award("A2", { title: "=HYPERLINK(\"x\")", obligated: null })]);
+  const res = await call("/sb/v1/vendor-awards?uei=ABC123DEF456&format=csv");
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("Content-Type"), "text/csv; charset=utf-8");
+  assert.match(res.headers.get("Content-Disposition"), /^attachment; filename="vendor-awards-ABC123DEF456-\d{4}-\d{2}-\d{2}\.csv"$/);
+
+  const [head, first, second] = await csvLines(res);
+  const cols = head.split(",");
+  assert.equal(cols[0], "PIID");
+  assert.equal(cols.at(-1), "Current End Date");
+  assert.equal(first, 'A1,2024,GSA,,,,,,"Cloud, ""managed"" services",,3,1234.50,2025-03-31');
+  assert.equal(second, `A2,2024,GSA,,,,,,"'=HYPERLINK(""x"")",,3,,2025-03-31`);
+});
+
+test("exports are negotiated by Accept and carry the next cursor", async () => {
+  serve([award("A1"), award("A2")]);
+  const res = await call("/sb/v1/vendor-awards?uei=ABC123DEF456&limit=1", { headers: { Accept: "text/csv" } });
+  assert.equal(res.headers.get("Content-Type"), "text/csv; charset=utf-8");
+  assert.ok(res.headers.get("X-Next-Cursor"));
+  assert.equal((await csvLines(res)).length, 2);
+});
+
+test("xlsx exports are a zip with the sheet, styles and an autofilter", async () => {
+  serve([award("A1")]);
+  const res = await call("/sb/v1/vendor-awards?uei=ABC123DEF456&format=xlsx");
+  assert.equal(res.headers.get("Content-Type"), XLSX);
+  const bytes = new Uint8Array(await res.arrayBuffer());
+  assert.deepEqual(Array.from(bytes.slice(0, 4)), [0x50, 0x4b, 0x03, 0x04]);
+  const text = new TextDecoder().decode(bytes); // entries are stored, not deflated
+  assert.match(text, /xl\/worksheets\/sheet1\.xml/);
+  assert.match(text, /<c r="A2" t="inlineStr"><is><t xml:space="preserve">A1<\/t><\/is><\/c>/);
+  assert.match(text, /<c r="L2" s="2"><v>1234.5<\/v><\/c>/);
+  assert.match(text, /<c r="M2" s="3"><v>45747<\/v><\/c>/, "dates are Excel serials");
+  assert.match(text, /<autoFilter ref="A1:M2"\/>/);
+});
+
+test("usa-contract exports its transactions and shares the JSON cache entry", async () => {
+  db.respond = (sql) => {
+    if (/contract_award_summary_v/.test(sql)) return { rows: [{ piid: "PIID1" }] };
+    if (/contract_txn_min_v1/.test(sql)) {
+      return { rows: [{ action_date: "2021-01-15", obligation: "100", modification_number: "P00002", action_type: "G", transaction_description: "Option 1" }] };
+    }
+    return { rows: [] };
+  };
+  await call("/sb/v1/usa-contract?piid=PIID1");
+  const before = db.log.length;
+  const res = await call("/sb/v1/usa-contract?piid=PIID1&format=csv");
+  assert.equal(db.log.length, before, "served from the cached JSON");
+  assert.deepEqual(await csvLines(res), [
+    "Action Date,Modification,Action Type,Modification Class,Obligation,Description",
+    "2021-01-15,P00002,G,Option exercise,100.00,Option 1",
+  ]);
+});
+
+test("export errors stay JSON and unknown formats are rejected", async () => {
+  const missing = await call("/sb/v1/usa-contract?piid=NOPE&format=csv");
+  assert.equal(missing.status, 404);
+  assert.match(missing.headers.get("Content-Type"), /json/);
+  assert.equal((await call("/sb/v1/vendor-awards?uei=ABC123DEF456&format=pdf")).status, 400);
+  assert.equal(queries(AWARDS_SQL).length, 0);
+});
+
+test("recompetes CSV flattens lifecycle and keeps decimals", async () => {
+  db.respond = (sql) =>
+    /DISTINCT ON/.test(sql)
+      ? { rows: [{ award_id_piid: "W1", pop_start_date: "2020-01-01", pop_current_end_date: "2030-01-01", ceiling: "1000", total_dollars_obligated_num: "420" }] }
+      : { rows: [] };
+  const [head, row] = await csvLines(await call("/sb/v1/recompetes?format=csv"));
+  const cell = (name) => row.split(",")[head.split(",").indexOf(name)];
+  assert.equal(cell("PIID"), "W1");
+  assert.match(cell("Months to End"), /^\d+\.\d$/);
+  assert.equal(cell("Ceiling"), "1000.00");
+  assert.equal(cell("Potential End Date"), "");
+  assert.equal(cell("Burn %"), "42");
+});
+
+test("vendor-profile exports the list chosen by ?list and shares the JSON cache entry", async () => {
+  db.respond = (sql) =>
+    /GROUPING SETS/.test(sql)
+      ? { rows: [{ dim: "naics", naics: "541512", naics_description: "Design", awards: 3, obligated: "10" }] }
+      : { rows: [] };
+  await call("/sb/v1/vendor-profile?uei=ABC123DEF456");
+  const before = db.log.length;
+  const res = await call("/sb/v1/vendor-profile?uei=ABC123DEF456&format=csv&list=byNaics");
+  assert.equal(db.log.length, before);
+  assert.match(res.headers.get("Content-Disposition"), /"vendor-profile-ABC123DEF456-byNaics-/);
+  assert.deepEqual(await csvLines(res), ["NAICS,Description,Awards,Obligated", "541512,Design,3,10.00"]);
+  assert.equal((await call("/sb/v1/vendor-profile?uei=ABC123DEF456&format=csv&list=nope")).status, 400);
+});
+
+test("similar-entities and predecessor export their ranked lists", async () => {
+  db.respond = (sql) => {
+    if (/LIMIT 3000/.test(sql)) return { rows: [{ uei: "CLD001", business_name: "Cloudy", capabilities_narrative: "Cloud migration", naics_codes: ["541512"] }] };
+    if (/WHERE upper\(uei\) = \$1/.test(sql)) return { rows: [{ uei: "ME0000000001", capabilities_narrative: "Cloud migration", naics_codes: ["541512"] }] };
+    if (/DISTINCT ON \(award_id_piid\)/.test(sql)) return { rows: [{ award_id_piid: "P1", naics_code: "541512", title: "Cloud" }] };
+    return { rows: [] };
+  };
+  const [head, row] = await csvLines(await call("/sb/v1/similar-entities?uei=ME0000000001&format=csv"));
+  assert.equal(head, "UEI,Name,Website,Certifications,Similarity (0-100),Narrative Similarity,NAICS Jaccard,Shared NAICS,NAICS,Shared Keywords");
+  assert.match(row, /^CLD001,Cloudy,,,100,1,1,541512,541512,cloud; migration/);
+
+  const res = await call("/sb/v1/predecessor?naics=541512&title=Cloud&format=csv");
+  const lines = await csvLines(res);
+  assert.match(lines[0], /^Confidence,Confidence Label,PIID,/);
+  assert.match(lines[1], /^0\.\d+,\w+,P1,/);
+});
+
+test("export routes document the format parameter and file responses", async () => {
+  const spec = await (await call("/sb/v1/openapi.json")).json();
+  const op = spec.paths["/sb/v1/vendor-awards"].get;
+  assert.ok(op.parameters.some((p) => p.name === "format"));
+  assert.ok(op.responses[200].content["text/csv"]);
+  assert.equal(spec.paths["/sb/v1/agencies"].get.parameters.some((p) => p.name === "format"), false);
+  const list = spec.paths["/sb/v1/vendor-profile"].get.parameters.find((p) => p.name === "list");
+  assert.equal(list.schema.default, "largestAwards");
+});
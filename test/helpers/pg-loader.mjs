@@ -0,0 +1,5 @@
+// Module hook for tests: the Worker's `import { Client } from "pg"` resolves to the in-memory stub.
+export async function resolve(specifier, context, next) {
+  if (specifier === "pg") return { url: new URL("./pg-stub.mjs", import.meta.url).href, shortCircuit: true };
+  return next(specifier, context);
+}
@@ -0,0 +1,24 @@
+// Stand-in for pg.Client. Every statement is logged and answered by `db.respond(sql, params)`,
+// which a test replaces to serve the rows its route needs.
+export const db = {
+  log: [],
+  connects: 0,
+  respond: () => ({ rows: [] }),
+};
+
+export class Client {
+  constructor(config) {
+    this.config = config;
+  }
+  async connect() {
+    db.connects++;
+  }
+  async query(text, params = []) {
+    const sql = typeof text === "string" ? text : text.text;
+    db.log.push({ sql, params });
+    const r = (await db.respond(sql, params)) || {};
+    const rows = r.rows || [];
+    return { rowCount: r.rowCount ?? rows.length, ...r, rows };
+  }
+  async end() {}
+}
@@ -0,0 +1,80 @@
+// Drive the Worker through its public fetch handler: pg is stubbed (see pg-stub.mjs),
+// caches.default is an in-memory map and outbound fetch() is answered by `upstream.respond`,
+// so route tests run without Hyperdrive, the edge or SAM.
+import { register } from "node:module";
+
+register("./pg-loader.mjs", import.meta.url);
+
+const { db } = await import("./pg-stub.mjs");
+const { default: worker } = await import("../../worker.js");
+
+const store = new Map();
+globalThis.caches = {
+  default: {
+    match: async (req) => store.get(req.url)?.clone(),
+    put: async (req, res) => {
+      store.set(req.url, res.clone());
+    },
+  },
+};
+
+/** Outbound requests the Worker made, and the handler that answers them. */
+export const upstream = { log: [], respond: () => Response.json({}) };
+globalThis.fetch = async (input, init) => {
+  const url = String(input instanceof Request ? input.url : input);
+  upstream.log.push({ url, init });
+  return upstream.respond(url, init);
+};
+
+// Auth is off unless a test turns it on (see auth.test.mjs).
+export const env = { HYPERDRIVE: { connectionString: "postgres://stub" }, AUTH_MODE: "off" };
+
+/** Fresh cache and database script between tests. */
+export function reset() {
+  store.clear();
+  db.log.length = 0;
+  db.connects = 0;
+  db.respond = () => ({ rows: [] });
+  upstream.log.length = 0;
+  upstream.respond = () => Response.json({});
+}
+
+/** Statements whose text matches `re`, in the order they ran. */
+export const queries = (re) => db.log.filter((q) => re.test(q.sql));
+
+function context() {
+  const waits = [];
+  return {
+    waitUntil: (p) => waits.push(p),
+    passThroughOnException() {},
+    async drain() {
+      for (let done = 0; done < waits.length; ) {
+        const batch = waits.slice(done);
+        done = waits.length;
+        await Promise.allSettled(batch);
+      }
+    },
+  };
+}
+
+/** Send one request; background work queued with ctx.waitUntil is awaited before returning. */
+export async function call(path, { method = "GET", body, headers = {}, env: extra } = {}) {
+  const init = { method, headers: { ...headers } };
+  if (body !== undefined) {
+    init.body = JSON.stringify(body);
+    init.headers["Content-Type"] = "application/json";
+  }
+  const ctx = context();
+  const res = await worker.fetch(new Request(`https://api.test${path}`, init), { ...env, ...extra }, ctx);
+  await ctx.drain();
+  return res;
+}
+
+/** Fire the cron trigger and wait for the work it queued. */
+export async function schedule({ cron = "0 11 * * *", env: extra } = {}) {
+  const ctx = context();
+  await worker.scheduled({ cron, scheduledTime: Date.now() }, { ...env, ...extra }, ctx);
+  await ctx.drain();
+}
+
+export { db, worker };
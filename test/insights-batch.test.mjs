@@ -0,0 +1,81 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { call, db, queries, reset, upstream } from "./helpers/worker.mjs";
+
+beforeEach(reset);
+
+const AWARD_SQL = /WHERE award_id_piid = \$1/;
+
+function serve() {
+  db.respond = (sql, params) => {
+    if (AWARD_SQL.test(sql)) {
+      return params[0] === "PIID1"
+        ? { rows: [{ award_id_piid: "PIID1", recipient_name: "Prime", total_dollars_obligated_num: "50", potential_total_value_of_award_num: "100" }] }
+        : { rows: [] };
+    }
+    if (/FROM fp\.contract_award_summary_v/.test(sql)) {
+      return { rows: [{ piid: "PIID1", pop_start: "2020-01-01", current_total_value_of_award: "100" }] };
+    }
+    return { rows: [] };
+  };
+}
+
+const batch = (piids) => call("/sb/contracts/insights/batch", { method: "POST", body: { piids } });
+
+test("batch runs every PIID over one connection and isolates per-item errors", async () => {
+  serve();
+  const res = await batch(["piid1", "NOPE1", "PIID1"]);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("Cache-Control"), "private, max-age=60");
+  const body = await res.json();
+
+  assert.equal(db.connects, 1);
+  assert.equal(body.count, 2, "PIIDs are normalized and deduplicated");
+  assert.equal(body.succeeded, 1);
+  const [ok, missing] = body.results;
+  assert.equal(ok.piid, "PIID1");
+  assert.equal(ok.cached, false);
+  assert.equal(ok.lifecycle.burnPct, 50);
+  assert.equal(ok.summary.current_total_value_of_award, "100");
+  assert.equal(ok.disclaimer, undefined, "the disclaimer is stated once for the batch");
+  assert.deepEqual(missing, { piid: "NOPE1", ok: false, code: "NOT_FOUND", error: "No award found for that PIID." });
+  assert.deepEqual(queries(/FROM fp\.contract_award_summary_v/)[0].params, [["PIID1", "NOPE1"]]);
+});
+
+test("batch and single insights share cache entries per PIID", async () => {
+  serve();
+  await call("/sb/contracts/insights", { method: "POST", body: { piid: "PIID1" } });
+  const before = queries(AWARD_SQL).length;
+
+  const { results } = await (await batch(["PIID1"])).json();
+  assert.equal(results[0].cached, true);
+  assert.equal(queries(AWARD_SQL).length, before, "cache hits skip the award lookup");
+
+  await batch(["NOPE1"]);
+  db.log.length = 0;
+  const single = await call("/sb/contracts/insights", { method: "POST", body: { piid: "PIID1" } });
+  assert.equal(single.status, 200);
+  assert.equal(db.log.length, 0);
+});
+
+test("PIIDs sharing a prime share one SAM website lookup", async () => {
+  db.respond = (sql, params) =>
+    AWARD_SQL.test(sql)
+      ? { rows: [{ award_id_piid: params[0], recipient_uei: "ABC123DEF456", total_dollars_obligated_num: "1" }] }
+      : { rows: [] };
+  upstream.respond = () => Response.json({ entityData: [{ coreData: { entityInformation: { entityURL: "https://acme.example" } } }] });
+  const { results } = await (
+    await call("/sb/contracts/insights/batch", { method: "POST", body: { piids: ["PIID1", "PIID2", "PIID3"] }, env: { SAM_API_KEY: "k" } })
+  ).json();
+  assert.deepEqual(results.map((r) => r.primary.website), ["https://acme.example", "https://acme.example", "https://acme.example"]);
+  assert.equal(upstream.log.length, 1);
+});
+
+test("batch rejects more than 100 PIIDs", async () => {
+  const piids = Array.from({ length: 101 }, (_, i) => `PIID${i}`);
+  const res = await batch(piids);
+  assert.equal(res.status, 400);
+  const body = await res.json();
+  assert.equal(body.fields[0].code, "TOO_MANY_ITEMS");
+  assert.equal(db.connects, 0);
+});
@@ -0,0 +1,80 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { call, db, reset } from "./helpers/worker.mjs";
+
+beforeEach(reset);
+
+const DAY = 86400000;
+const iso = (ms) => new Date(ms).toISOString().slice(0, 10);
+const now = Date.now();
+
+function serve({ txns, ceiling = 1000 }) {
+  db.respond = (sql) => {
+    if (/FROM fp\.contract_txn_min_v1/.test(sql)) return { rows: txns };
+    if (/FROM public\.usaspending_contract_subawards/.test(sql)) {
+      return { rows: [
+        { subawardee_name: "Sub A", subawardee_uei: "SUBA", subaward_amount: "60" },
+        { subawardee_name: "Sub A", subawardee_uei: "SUBA", subaward_amount: "40" },
+        { subawardee_name: "Sub B", subawardee_uei: "SUBB", subaward_amount: "50" },
+      ] };
+    }
+    if (/WHERE award_id_piid = \$1/.test(sql)) {
+      return { rows: [{
+        award_id_piid: "PIID1",
+        recipient_name: "Prime",
+        pop_start_date: iso(now - 730 * DAY),
+        pop_current_end_date: iso(now + 365 * DAY),
+        total_dollars_obligated_num: "600",
+        potential_total_value_of_award_num: String(ceiling),
+      }] };
+    }
+    return { rows: [] };
+  };
+}
+
+const insights = () => call("/sb/contracts/insights", { method: "POST", body: { piid: "piid1" } });
+const recent = (amounts) => amounts.map((obligation, i) => ({ action_date: iso(now - (30 + i * 60) * DAY), obligation }));
+
+test("insights requires a piid", async () => {
+  assert.equal((await call("/sb/contracts/insights", { method: "POST", body: {} })).status, 400);
+});
+
+test("insights reports elapsed time, subaward shares and a within-ceiling forecast", async () => {
+  serve({ txns: [{ action_date: iso(now - 600 * DAY), obligation: "360" }, ...recent(["80", "80", "80"])] });
+  const { lifecycle, subs } = await (await insights()).json();
+
+  assert.equal(lifecycle.stage, "mid");
+  assert.equal(lifecycle.timeElapsedPct, 67);
+  assert.equal(lifecycle.burnPct, 60);
+  assert.equal(subs.distinctRecipients, 2);
+  assert.equal(lifecycle.primeVsSubsPct, 75);
+  assert.equal(lifecycle.largestSubPct, 17);
+
+  const f = lifecycle.forecast;
+  assert.equal(f.trailingActions, 3, "only the last 12 months count");
+  assert.equal(f.trailingObligated, 240);
+  assert.equal(f.monthlyBurnRate, 20);
+  assert.equal(f.remainingCeiling, 400);
+  assert.equal(f.signal, "within_ceiling");
+  assert.equal(f.exhaustsBeforeEnd, false);
+});
+
+test("insights flags early exhaustion and an exhausted ceiling", async () => {
+  serve({ txns: recent(["600", "600"]) });
+  let f = (await (await insights()).json()).lifecycle.forecast;
+  assert.equal(f.signal, "early_exhaustion");
+  assert.equal(f.exhaustsBeforeEnd, true);
+  assert.ok(f.monthsBeforeEnd > 7 && f.monthsBeforeEnd < 9, String(f.monthsBeforeEnd));
+
+  reset();
+  serve({ txns: [], ceiling: 600 });
+  f = (await (await insights()).json()).lifecycle.forecast;
+  assert.equal(f.signal, "ceiling_exhausted");
+  assert.equal(f.remainingCeiling, 0);
+
+  reset();
+  serve({ txns: [] });
+  f = (await (await insights()).json()).lifecycle.forecast;
+  assert.equal(f.signal, "no_recent_obligations");
+  assert.equal(f.projectedExhaustionDate, null);
+});
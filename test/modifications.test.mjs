@@ -0,0 +1,62 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { call, db, reset } from "./helpers/worker.mjs";
+
+beforeEach(reset);
+
+const txns = [
+  { action_date: "2020-01-15", obligation: "100", modification_number: "0", action_type: "", transaction_description: "Initial award" },
+  { action_date: "2020-06-01", obligation: "20", modification_number: "P00001", action_type: "C", transaction_description: "" },
+  { action_date: "2021-01-15", obligation: "100", modification_number: "P00002", action_type: "G: EXERCISE AN OPTION", transaction_description: "" },
+  { action_date: "2022-01-20", obligation: "100", modification_number: "P00003", action_type: "", transaction_description: "Exercise option period 2" },
+  { action_date: "2022-03-01", obligation: "0", modification_number: "P00004", action_type: "", transaction_description: "Change COR to Jane" },
+  { action_date: "2022-05-01", obligation: "0", modification_number: "P00005", action_type: "", transaction_description: "Novation to successor in interest" },
+  { action_date: "2022-07-01", obligation: "50", modification_number: "P00006", action_type: "", transaction_description: "Add CLIN 0005 for surge support" },
+  { action_date: "2022-08-01", obligation: "0", modification_number: "P00007", action_type: "", transaction_description: "" },
+];
+
+function serve() {
+  db.respond = (sql) => {
+    if (/contract_award_summary_v/.test(sql)) {
+      return { rows: [{ piid: "PIID1", pop_start: "2020-01-15", pop_current_end: "2023-01-14", pop_potential_end: "2025-01-14" }] };
+    }
+    if (/contract_txn_min_v1/.test(sql)) return { rows: txns };
+    return { rows: [] };
+  };
+}
+
+test("usa-contract classifies each modification", async () => {
+  serve();
+  const body = await (await call("/sb/usa-contract?piid=piid1")).json();
+  assert.deepEqual(
+    body.transactions.map((t) => [t.modClass.class, t.modClass.basis]),
+    [
+      ["base_award", "mod_number"],
+      ["funding_only", "action_type"],
+      ["option_exercise", "action_type"],
+      ["option_exercise", "description"],
+      ["administrative", "description"],
+      ["novation", "description"],
+      ["scope_change", "description"],
+      ["other", "default"],
+    ]
+  );
+  assert.equal(body.spendPoints[2].modClass.label, "Option exercise");
+});
+
+test("usa-contract estimates the option runway", async () => {
+  serve();
+  const { modifications: m } = await (await call("/sb/usa-contract?piid=PIID1")).json();
+  assert.equal(m.optionsExercised, 2);
+  assert.deepEqual(m.optionExercises.map((e) => e.mod), ["P00002", "P00003"]);
+  assert.equal(m.estimatedOptionLengthMonths, 12);
+  assert.equal(m.unexercisedMonths, 24);
+  assert.equal(m.estimatedOptionsRemaining, 2);
+  assert.equal(m.counts.option_exercise, 2);
+  assert.equal(m.counts.termination, 0);
+  assert.ok(m.monthsToPotentialEnd < 0, "potential end is in the past");
+});
+
+test("usa-contract returns 404 for an unknown piid", async () => {
+  assert.equal((await call("/sb/usa-contract?piid=NOPE")).status, 404);
+});
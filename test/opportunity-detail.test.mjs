@@ -0,0 +1,129 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { call, reset, upstream } from "./helpers/worker.mjs";
+
+beforeEach(reset);
+
+const SAM = { SAM_API_KEY: "secret-key" };
+const ID = "0123456789abcdef0123456789abcdef";
+const DESC_URL = `https://api.sam.gov/prod/opportunities/v1/noticedesc?noticeid=${ID}`;
+const notice = {
+  noticeId: ID, title: "Cloud Hosting", solicitationNumber: "RFP-1", type: "Solicitation", active: "Yes",
+  responseDeadLine: new Date(Date.now() + 10 * 86400000 - 3600000).toISOString(),
+  fullParentPathName: "GSA.FAS", naicsCode: "518210", typeOfSetAside: "SBA", typeOfSetAsideDescription: "Total Small Business",
+  placeOfPerformance: { city: { code: "1", name: "Reston" }, state: { code: "VA" }, zip: "20190" },
+  pointOfContact: [{ type: "primary", fullName: "Jo Smith", email: "jo@gsa.gov" }],
+  description: DESC_URL,
+  resourceLinks: ["https://sam.gov/api/prod/opps/v3/opportunities/resources/files/r1/download", "https://sam.gov/files/SOW%20v2.pdf/download"],
+};
+const DESCRIPTION =
+  '<p onclick="steal()">Provide <b>hosting</b>.<script>alert(1)</script></p><a href="javascript:alert(1)">bad</a> <a href="https://gsa.gov/x?a=1&amp;b=2">spec</a><img src=x>';
+
+function serve({ windowsUntilHit = 1, resources = null, search = 200 } = {}) {
+  let windows = 0;
+  upstream.respond = (url, init) => {
+    const u = new URL(url);
+    if (u.pathname === "/prod/opportunities/v2/search") {
+      if (search !== 200) return new Response("nope", { status: search });
+      windows++;
+      return Response.json({ totalRecords: 1, opportunitiesData: windows >= windowsUntilHit ? [notice] : [] });
+    }
+    if (u.pathname === "/prod/opportunities/v1/noticedesc") return Response.json({ description: DESCRIPTION });
+    if (u.pathname.endsWith("/resources")) return resources ? Response.json(resources) : new Response("down", { status: 503 });
+    if (init?.method === "HEAD") {
+      return u.pathname.includes("/r1/")
+        ? new Response(null, { headers: { "Content-Disposition": "attachment; filename*=UTF-8''Q%26A.docx", "Content-Length": "2048", "Content-Type": "application/msword" } })
+        : new Response(null, { status: 200 });
+    }
+    return new Response("unexpected", { status: 500 });
+  };
+}
+
+const detail = (id = ID) => call(`/sb/v1/opportunities/${id}`, { env: SAM });
+
+test("detail resolves and sanitizes the description and normalizes the notice", async () => {
+  serve({ windowsUntilHit: 2 });
+  const res = await detail(ID.toUpperCase());
+  assert.equal(res.status, 200);
+  const { notice: n } = await res.json();
+
+  const searches = upstream.log.filter((r) => r.url.includes("/v2/search")).map((r) => new URL(r.url).searchParams);
+  assert.equal(searches.length, 2, "walks back one posted-date window at a time");
+  assert.equal(searches[0].get("noticeid"), ID);
+  assert.equal(n.title, "Cloud Hosting");
+  assert.equal(n.daysUntilDeadline, 10);
+  assert.deepEqual(n.setAside, { code: "SBA", description: "Total Small Business" });
+  assert.deepEqual(n.placeOfPerformance.city, { code: "1", name: "Reston" });
+  assert.deepEqual(n.placeOfPerformance.state, { code: "VA", name: null });
+  assert.equal(n.pointsOfContact[0].email, "jo@gsa.gov");
+  assert.equal(n.uiLink, `https://sam.gov/opp/${ID}/view`);
+
+  assert.equal(n.description.available, true);
+  assert.equal(
+    n.description.html,
+    '<p>Provide <b>hosting</b>.</p><a>bad</a> <a href="https://gsa.gov/x?a=1&amp;b=2" rel="noopener noreferrer" target="_blank">spec</a>'
+  );
+  assert.equal(n.description.text, "Provide hosting . bad spec");
+  assert.doesNotMatch(JSON.stringify(n), /secret-key/);
+});
+
+test("attachments come from the resources listing, else from HEAD probes", async () => {
+  serve({
+    resources: { _embedded: { opportunityAttachmentList: [{ attachments: [
+      { name: "SOW.pdf", resourceId: "r9", size: "100", mimeType: "application/pdf", accessLevel: "public" },
+      { name: "Old.pdf", resourceId: "r8", deletedFlag: "1" },
+      { description: "Portal", type: "link", uri: "https://example.gov/portal" },
+    ] }] } },
+  });
+  const listed = (await (await detail()).json()).notice.attachments;
+  assert.deepEqual(listed.map((a) => [a.name, a.type, a.size]), [["SOW.pdf", "file", 100], ["Portal", "link", null]]);
+  assert.equal(listed[0].url, "https://sam.gov/api/prod/opps/v3/opportunities/resources/files/r9/download");
+
+  reset();
+  serve();
+  const probed = (await (await detail()).json()).notice.attachments;
+  assert.deepEqual(probed.map((a) => [a.name, a.size, a.mimeType]), [["Q&A.docx", 2048, "application/msword"], ["SOW v2.pdf", null, null]]);
+});
+
+test("attachment lists are cached per notice, and bad fallback names stay null", async () => {
+  serve();
+  notice.resourceLinks.push("https://sam.gov/files/%E0%A4%A/download");
+  try {
+    const first = (await (await detail()).json()).notice.attachments;
+    assert.deepEqual(first.map((a) => a.name), ["Q&A.docx", "SOW v2.pdf", null]);
+    const probes = upstream.log.filter((r) => r.init?.method === "HEAD" || r.url.endsWith("/resources")).length;
+
+    const again = (await (await detail()).json()).notice.attachments;
+    assert.deepEqual(again, first);
+    assert.equal(upstream.log.filter((r) => r.init?.method === "HEAD" || r.url.endsWith("/resources")).length, probes);
+  } finally {
+    notice.resourceLinks.pop();
+  }
+});
+
+test("detail validates the id and reports missing notices and SAM errors", async () => {
+  const bad = await detail("not-a-notice");
+  assert.equal(bad.status, 400);
+  assert.equal((await bad.json()).fields[0].code, "INVALID_NOTICE_ID");
+
+  serve({ windowsUntilHit: 99 });
+  assert.equal((await detail()).status, 404);
+  assert.equal(upstream.log.length, 3, "three one-year windows");
+
+  reset();
+  serve({ search: 503 });
+  const down = await detail();
+  assert.equal(down.status, 502);
+  assert.equal((await down.json()).error, "SAM.gov is unavailable; retry shortly.");
+
+  assert.equal((await call(`/sb/v1/opportunities/${ID}`)).status, 503);
+});
+
+test("openapi documents the noticeId path parameter", async () => {
+  const spec = await (await call("/sb/v1/openapi.json")).json();
+  const [p] = spec.paths["/sb/v1/opportunities/{noticeId}"].get.parameters;
+  assert.deepEqual(p, {
+    name: "noticeId", in: "path", required: true, description: "SAM notice id (32 hex characters)",
+    schema: { type: "string", pattern: "^[0-9A-F]{32}$" },
+  });
+});
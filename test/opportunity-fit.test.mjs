@@ -0,0 +1,85 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { call, db, queries, reset, upstream } from "./helpers/worker.mjs";
+
+beforeEach(reset);
+
+const SAM = { SAM_API_KEY: "test-key" };
+const notices = [
+  { noticeId: "a", title: "Janitorial services for federal building", naicsCode: "561720", description: "https://api.sam.gov/desc/a" },
+  { noticeId: "b", title: "Cloud software development and cybersecurity support", naicsCode: "541512", description: "https://api.sam.gov/desc/b" },
+  { noticeId: "c", title: "Software engineering services", naicsCode: "541519", description: "https://api.sam.gov/desc/c" },
+];
+
+function serveSam() {
+  upstream.respond = () => Response.json({ totalRecords: notices.length, opportunitiesData: notices });
+}
+
+test("opportunity search passes through SAM results unscored without a uei", async () => {
+  serveSam();
+  const res = await call("/opportunities/search", { method: "POST", body: { q: "software" }, env: SAM });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.opportunitiesData.length, 3);
+  assert.equal(body.fit, undefined);
+  assert.equal(queries(/smallbiz_v/).length, 0);
+  assert.equal(new URL(upstream.log[0].url).searchParams.get("keyword"), "software");
+});
+
+test("opportunity search scores and sorts notices against the entity narrative", async () => {
+  serveSam();
+  db.respond = (sql) =>
+    /capabilities_narrative/.test(sql)
+      ? { rows: [{ capabilities_narrative: "Cloud software development, cybersecurity and DevSecOps", naics_codes: ["541512"] }] }
+      : { rows: [] };
+  const res = await call("/opportunities/search", { method: "POST", body: { uei: "abc123def456", sort: "fit" }, env: SAM });
+  const body = await res.json();
+
+  assert.deepEqual(queries(/capabilities_narrative/)[0].params, ["ABC123DEF456"]);
+  assert.deepEqual(body.fit, {
+    uei: "ABC123DEF456", narrativeAvailable: true, naics: ["541512"],
+    weighting: { model: "tf", requested: "bm25", corpusDocs: 0, corpusBuiltAt: null },
+  });
+  assert.deepEqual(body.opportunitiesData.map((o) => o.noticeId), ["b", "c", "a"]);
+  const [best, industry, none] = body.opportunitiesData.map((o) => o.fit);
+  assert.equal(best.naicsMatch, "exact");
+  assert.equal(industry.naicsMatch, "industry");
+  assert.equal(none.naicsMatch, null);
+  assert.ok(best.shared_keywords.some((k) => k.term === "cybersecurity"));
+  assert.equal(res.headers.get("Cache-Control"), "private, max-age=300");
+});
+
+test("fit weights notice text with the corpus stats and scores fetched descriptions", async () => {
+  const fetched = { noticeId: "d", title: "Support services", naicsCode: "561720", description: "Zero trust cybersecurity operations" };
+  upstream.respond = () => Response.json({ totalRecords: 4, opportunitiesData: [...notices, fetched] });
+  const corpus = ["software support", "software services", "software licenses", "cybersecurity software"];
+  db.respond = (sql) => {
+    if (/AS t\b/.test(sql)) return { rows: /smallbiz_v/.test(sql) ? corpus.map((t) => ({ t })) : [] };
+    if (/capabilities_narrative/.test(sql)) {
+      return { rows: [{ capabilities_narrative: "Software and cybersecurity operations", naics_codes: ["541512"] }] };
+    }
+    return { rows: [] };
+  };
+  const search = async () =>
+    (await (await call("/opportunities/search", { method: "POST", body: { uei: "ABC123DEF456" }, env: SAM })).json());
+  const terms = (body, id = "b") => body.opportunitiesData.find((o) => o.noticeId === id).fit.shared_keywords.map((k) => k.term);
+
+  const cold = await search();
+  assert.equal(cold.fit.weighting.model, "tf", "scores with tf while the corpus builds");
+  assert.ok(terms(cold, "d").includes("cybersecurity"));
+
+  const warm = await search();
+  assert.deepEqual(warm.fit.weighting, { model: "bm25", requested: "bm25", corpusDocs: 4, corpusBuiltAt: warm.fit.weighting.corpusBuiltAt });
+  const ranked = terms(warm);
+  assert.ok(ranked.indexOf("cybersecurity") < ranked.indexOf("software"), "rare terms outweigh corpus-wide ones");
+});
+
+test("opportunity search reports SAM client errors as 400 with a hint", async () => {
+  upstream.respond = () => new Response("bad date", { status: 400 });
+  const res = await call("/opportunities/search?postedFrom=bad", { env: SAM });
+  assert.equal(res.status, 400);
+  const body = await res.json();
+  assert.equal(body.code, "UPSTREAM_SAM_ERROR");
+  assert.deepEqual(body.details, { status: 400, upstream: "bad date", setAside: null });
+  assert.match(body.error, /MM\/dd\/yyyy/);
+});
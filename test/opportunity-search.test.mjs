@@ -0,0 +1,128 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { call, db, reset, schedule, upstream } from "./helpers/worker.mjs";
+
+beforeEach(reset);
+
+const SAM = { SAM_API_KEY: "test-key" };
+const search = (body) => call("/sb/v1/opportunities/search", { method: "POST", body, env: SAM });
+const sent = () => upstream.log.map((r) => new URL(r.url).searchParams);
+
+test("organization, deadline, place, solicitation, PSC and status are SAM filters", async () => {
+  upstream.respond = () => Response.json({ totalRecords: 0, opportunitiesData: [] });
+  const res = await search({
+    q: "cloud", organization: "Veterans Affairs", organizationCode: "036", deadlineFrom: "01/01/2026", deadlineTo: "2026-02-01",
+    state: "va", zip: "20190", solicitationNumber: "36C10B", psc: "da01", status: "active",
+  });
+  assert.equal(res.status, 200);
+  const [p] = sent();
+  assert.equal(p.get("keyword"), "cloud", "organization no longer rides along in the keyword");
+  assert.equal(p.get("organizationName"), "Veterans Affairs");
+  assert.equal(p.get("organizationCode"), "036");
+  assert.equal(p.get("rdlfrom"), "01/01/2026");
+  assert.equal(p.get("rdlto"), null, "deadlines must be MM/dd/yyyy");
+  assert.equal(p.get("state"), "VA");
+  assert.equal(p.get("zip"), "20190");
+  assert.equal(p.get("solnum"), "36C10B");
+  assert.equal(p.get("ccode"), "DA01");
+  assert.equal(p.get("status"), "active");
+
+  assert.equal((await search({ status: "open" })).status, 400);
+});
+
+test("edge-cached search responses never carry the SAM API key", async () => {
+  upstream.respond = () => Response.json({ totalRecords: 1, opportunitiesData: [{ noticeId: "n1", postedDate: "2026-01-01" }] });
+  const res = await search({ q: "cloud" });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("Cache-Control"), /s-maxage=/);
+  assert.equal(res.headers.get("x-sam-url"), null);
+  for (const [, v] of res.headers) assert.ok(!v.includes("test-key"));
+  assert.ok(!(await res.text()).includes("test-key"));
+});
+
+test("several set-asides fan out, merge by noticeId and sort newest first", async () => {
+  upstream.respond = (url) => {
+    const code = new URL(url).searchParams.get("setAsideCode");
+    const rows = code === "SBA"
+      ? [{ noticeId: "n1", modifiedDate: "2026-01-01" }, { noticeId: "n2", modifiedDate: "2026-01-03" }]
+      : [{ noticeId: "n2", modifiedDate: "2026-01-03" }, { noticeId: "n3", modifiedDate: "2026-01-02" }];
+    return Response.json({ totalRecords: rows.length, opportunitiesData: rows });
+  };
+  const body = await (await search({ setAside: ["sba", "WOSB", "SBA"] })).json();
+  assert.deepEqual(sent().map((p) => p.get("setAsideCode")), ["SBA", "WOSB"]);
+  assert.deepEqual(body.opportunitiesData.map((o) => o.noticeId), ["n2", "n3", "n1"]);
+  assert.equal(body.totalRecords, 4);
+  assert.deepEqual(body.fanOut, [
+    { setAside: "SBA", totalRecords: 2, fetched: 2 },
+    { setAside: "WOSB", totalRecords: 2, fetched: 2 },
+  ]);
+});
+
+test("all=true pages through SAM until exhausted or maxRecords", async () => {
+  const total = 2300;
+  upstream.respond = (url) => {
+    const p = new URL(url).searchParams;
+    const offset = Number(p.get("offset"));
+    const n = Math.max(0, Math.min(Number(p.get("limit")), total - offset));
+    return Response.json({
+      totalRecords: total,
+      opportunitiesData: Array.from({ length: n }, (_, i) => ({ noticeId: `n${offset + i}`, postedDate: "2026-01-01" })),
+    });
+  };
+  const all = await (await search({ all: true, maxRecords: 5000 })).json();
+  assert.deepEqual(sent().map((p) => [p.get("offset"), p.get("limit")]), [["0", "1000"], ["1000", "1000"], ["2000", "1000"]]);
+  assert.equal(all.opportunitiesData.length, total);
+  assert.deepEqual({ all: all.all, pages: all.pages, truncated: all.truncated }, { all: true, pages: 3, truncated: false });
+
+  reset();
+  upstream.respond = (url) => {
+    const offset = Number(new URL(url).searchParams.get("offset"));
+    return Response.json({ totalRecords: total, opportunitiesData: Array.from({ length: 1000 }, (_, i) => ({ noticeId: `n${offset + i}` })) });
+  };
+  const capped = await (await search({ all: true, maxRecords: 1500 })).json();
+  assert.equal(capped.pages, 2);
+  assert.equal(capped.opportunitiesData.length, 1500);
+  assert.equal(capped.truncated, true);
+});
+
+test("a failing fan-out branch reports which set-aside SAM rejected", async () => {
+  upstream.respond = (url) =>
+    new URL(url).searchParams.get("setAsideCode") === "BAD"
+      ? new Response("bad code", { status: 400 })
+      : Response.json({ totalRecords: 0, opportunitiesData: [] });
+  const res = await search({ setAside: "SBA,BAD" });
+  assert.equal(res.status, 400);
+  const body = await res.json();
+  assert.equal(body.code, "UPSTREAM_SAM_ERROR");
+  assert.equal(body.details.setAside, "BAD");
+});
+
+test("the page size is clamped once and a fan-out merge is cut back to limit", async () => {
+  upstream.respond = (url) => {
+    const p = new URL(url).searchParams;
+    const code = p.get("setAsideCode");
+    const rows = Array.from({ length: Math.min(Number(p.get("limit")), 3) }, (_, i) => ({
+      noticeId: `${code}-${i}`,
+      modifiedDate: `2026-01-0${i + 1}`,
+    }));
+    return Response.json({ totalRecords: 3, opportunitiesData: rows });
+  };
+  assert.equal((await search({ limit: 5000 })).status, 400, "the route rejects limits over 100");
+
+  const merged = await (await search({ limit: 2, setAside: "SBA,WOSB" })).json();
+  assert.deepEqual(sent().map((p) => p.get("limit")), ["2", "2"]);
+  assert.equal(merged.limit, 2);
+  assert.deepEqual(merged.opportunitiesData.map((o) => o.noticeId), ["SBA-1", "WOSB-1"]);
+  assert.equal(merged.truncated, true);
+  assert.deepEqual(merged.fanOut.map((b) => b.fetched), [2, 2]);
+});
+
+test("saved-search runs page at most 100 notices per search", async () => {
+  db.respond = (sql) =>
+    /SELECT id, user_id, name, query FROM app\.saved_searches/.test(sql)
+      ? { rows: [{ id: 1, user_id: "u1", name: "Cloud", query: { keywords: "cloud" } }] }
+      : { rows: [] };
+  upstream.respond = () => Response.json({ totalRecords: 0, opportunitiesData: [] });
+  await schedule({ env: SAM });
+  assert.deepEqual(sent().map((p) => p.get("limit")), ["100"]);
+});
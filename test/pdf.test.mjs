@@ -0,0 +1,95 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { deflateSync } from "node:zlib";
+import { extractPdfText, looksLikeText } from "../pdf.js";
+import { call, db, reset, upstream } from "./helpers/worker.mjs";
+
+beforeEach(reset);
+
+const fixture = new Uint8Array(await readFile(new URL("./fixtures/capability-statement.pdf", import.meta.url)));
+
+function pdfWithPages(texts) {
+  const kids = texts.map((_, i) => `${3 + i * 2} 0 R`).join(" ");
+  const bufs = [
+    Buffer.from("%PDF-1.4\n1 0 obj\n<< /Type /Catalog /Pages 2 0 R >>\nendobj\n"),
+    Buffer.from(`2 0 obj\n<< /Type /Pages /Kids [${kids}] /Count ${texts.length} /Resources << /Font << /F1 99 0 R >> >> >>\nendobj\n`),
+  ];
+  texts.forEach((t, i) => {
+    const cs = deflateSync(`BT /F1 10 Tf 72 700 Td (${t}) Tj ET`);
+    bufs.push(Buffer.from(`${3 + i * 2} 0 obj\n<< /Type /Page /Parent 2 0 R /Contents ${4 + i * 2} 0 R >>\nendobj\n`));
+    bufs.push(Buffer.from(`${4 + i * 2} 0 obj\n<< /Length ${cs.length} /Filter /FlateDecode >>\nstream\n`), cs, Buffer.from("\nendstream\nendobj\n"));
+  });
+  bufs.push(Buffer.from("99 0 obj\n<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>\nendobj\ntrailer << /Root 1 0 R >>\n%%EOF"));
+  return new Uint8Array(Buffer.concat(bufs));
+}
+
+test("fixture: pages in page-tree order, object streams, ToUnicode CMaps, TJ spacing, escapes", async () => {
+  const text = await extractPdfText(fixture);
+  const lines = text.split("\n");
+  assert.equal(lines[0], "ACME Federal Solutions");
+  assert.equal(lines[1], "Capability Statement (2026)");
+  assert.equal(lines[2], "Cloud migration, zerotrust cybersecurity"); // -250 kerns are spaces, +20 is not
+  assert.match(text, /DevSecOps pipelines for civilian agencies\./);
+  assert.match(text, /^HubZ$/m); // Type0 font decoded through bfchar + bfrange
+  assert.match(text, /NAICS 541512/);
+  assert.ok(text.indexOf("ACME") < text.indexOf("HubZ"), "page order follows /Kids, not object order");
+  assert.ok(looksLikeText(text));
+  assert.equal(await extractPdfText(fixture, { maxChars: 22 }), "ACME Federal Solutions");
+});
+
+test("extraction stops after maxPages pages and at the decompressed-bytes budget", async () => {
+  const pdf = pdfWithPages(Array.from({ length: 8 }, (_, i) => `Page number ${i + 1} text`));
+  const text = await extractPdfText(pdf, { maxPages: 5 });
+  assert.match(text, /Page number 5 text/);
+  assert.doesNotMatch(text, /Page number 6 text/);
+  const capped = await extractPdfText(pdf, { maxInflated: 60 });
+  assert.match(capped, /Page number 1 text/);
+  assert.doesNotMatch(capped, /Page number 8 text/);
+});
+
+test("glyph soup and short strings are not treated as text", () => {
+  assert.ok(!looksLikeText("\x01\x02\x03 12 34 56 ###"));
+  assert.ok(!looksLikeText("Short"));
+});
+
+function serve({ narrative }) {
+  db.respond = (sql, params) =>
+    /from sba\.smallbiz_v/.test(sql)
+      ? { rows: [{ uei: params[0], name: "Acme", narrative, pdf_link: "example.com/cap.pdf" }] }
+      : { rows: [] };
+  upstream.respond = () => new Response(fixture, { headers: { "Content-Type": "application/pdf" } });
+}
+
+const compare = (pdf) => call("/sb/cap-compare", { method: "POST", body: { my: "ABC123DEF456", pdf } });
+
+test("cap-compare extracts the capability-statement PDF in the background when the narrative is thin", async () => {
+  serve({ narrative: "Cloud" });
+  const first = await (await compare()).json();
+  const [sba, pdf] = first.sources.mine;
+  assert.equal(sba.source, "sba_narrative");
+  assert.deepEqual(
+    { source: pdf.source, used: pdf.used, url: pdf.url, pending: pdf.pending },
+    { source: "capability_statement_pdf", used: false, url: "https://example.com/cap.pdf", pending: true }
+  );
+  assert.equal(upstream.log.length, 1, "the PDF is fetched by the queued job");
+
+  const again = await (await compare()).json();
+  const done = again.sources.mine[1];
+  assert.deepEqual(
+    { used: done.used, role: done.role, cached: done.cached, pending: done.pending },
+    { used: true, role: "supplement", cached: true, pending: undefined }
+  );
+  assert.ok(again.explain.anchors.includes("devsecops"));
+  assert.equal(upstream.log.length, 1, "the extracted text is cached per UEI");
+});
+
+test("cap-compare skips the PDF for rich narratives unless asked to append", async () => {
+  serve({ narrative: "Enterprise cloud migration and managed infrastructure. ".repeat(5) });
+  assert.equal((await (await compare()).json()).sources.mine.length, 1);
+  assert.equal((await (await compare("off")).json()).sources.mine.length, 1);
+  assert.equal(upstream.log.length, 0);
+  assert.equal((await (await compare("append")).json()).sources.mine[1].pending, true);
+  assert.equal((await (await compare("append")).json()).sources.mine[1].used, true);
+  assert.equal((await compare("always")).status, 400);
+});
@@ -0,0 +1,85 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { call, db, queries, reset, upstream } from "./helpers/worker.mjs";
+
+beforeEach(reset);
+
+const POOL_SQL = /DISTINCT ON \(award_id_piid\)/;
+const TX_SQL = /string_agg\(DISTINCT transaction_description/;
+const award = (piid, extra) => ({
+  award_id_piid: piid, awarding_agency_name: "Department of Homeland Security", awarding_sub_agency_name: "U.S. Immigration and Customs Enforcement",
+  awarding_office_name: "OFFICE X", naics_code: "541512", recipient_name: `Prime ${piid}`, ...extra,
+});
+
+function serve(rows, descs = {}) {
+  db.respond = (sql) => {
+    if (POOL_SQL.test(sql)) return { rows };
+    if (TX_SQL.test(sql)) return { rows: Object.entries(descs).map(([piid, d]) => ({ piid, descs: d })) };
+    return { rows: [] };
+  };
+}
+
+test("candidates are ranked on office, NAICS, text and end-date timing, with reasons", async () => {
+  serve([
+    award("JAN1", { awarding_office_name: "OFFICE Y", naics_code: "541519", title: "Janitorial", pop_potential_end_date: "2026-06-01" }),
+    award("OLD1", { title: "Cloud hosting", pop_potential_end_date: "2028-01-01" }),
+    award("CLD1", { title: "Cloud hosting services", pop_potential_end_date: "2026-09-01", ceiling: "5000000" }),
+  ], { OLD1: "Data center operations" });
+  const res = await call("/sb/v1/predecessor?office=Office%20X&naics=541512&title=Cloud%20hosting%20services&responseDate=06/01/2026");
+  assert.equal(res.status, 200);
+  const body = await res.json();
+
+  assert.deepEqual(queries(POOL_SQL)[0].params, ["2026-06-01", 24, "OFFICEX", null, "5415%", null, "541512"]);
+  assert.deepEqual(queries(TX_SQL)[0].params, [["CLD1", "OLD1", "JAN1"]]);
+  assert.deepEqual(body.candidates.map((c) => c.piid), ["CLD1", "OLD1", "JAN1"]);
+
+  const [top, , last] = body.candidates;
+  assert.equal(top.confidence, 1);
+  assert.equal(top.confidenceLabel, "high");
+  assert.equal(top.ceiling, 5000000);
+  assert.deepEqual(top.reasons.slice(0, 2), ["Same awarding office (OFFICE X)", "Same NAICS 541512"]);
+  assert.match(top.reasons[2], /^Text similarity 1\.00 \(shared: /);
+  assert.equal(top.reasons[3], "Potential end 2026-09-01, 3 months after the response date");
+  assert.deepEqual(last.components, { office: 0, naics: 0.5, text: 0, timing: 1 });
+  assert.equal(last.confidenceLabel, "low");
+  assert.equal(body.notice.responseDate, "2026-06-01");
+
+  await call("/sb/v1/predecessor?office=Office%20X&naics=541512&title=Cloud%20hosting%20services&responseDate=06/01/2026");
+  assert.equal(queries(POOL_SQL).length, 1, "cached for an hour");
+});
+
+test("a noticeId supplies the office path, NAICS and response date", async () => {
+  upstream.respond = (url) =>
+    url.includes("/v2/search")
+      ? Response.json({ totalRecords: 1, opportunitiesData: [{
+          noticeId: "0123456789abcdef0123456789abcdef", title: "Detention services", naicsCode: "561612", solicitationNumber: "70CDCR26R1",
+          fullParentPathName: "HOMELAND SECURITY, DEPARTMENT OF.US IMMIGRATION AND CUSTOMS ENFORCEMENT.DETENTION COMPLIANCE AND REMOVALS",
+          responseDeadLine: "2026-03-15T17:00:00-04:00",
+        }] })
+      : Response.json({ description: "<p>Guard services</p>" });
+  serve([]);
+  const res = await call("/sb/v1/predecessor?noticeId=0123456789ABCDEF0123456789ABCDEF", { env: { SAM_API_KEY: "k" } });
+  const body = await res.json();
+  assert.deepEqual(queries(POOL_SQL)[0].params, [
+    "2026-03-15", 24, "DETENTIONCOMPLIANCEANDREMOVALS", "USIMMIGRATIONANDCUSTOMSENFORCEMENT", "5616%", "%HOMELAND%", "561612",
+  ]);
+  assert.match(queries(POOL_SQL)[0].sql, /awarding_agency_name ILIKE \$6 ESCAPE '!'/, "the agency word is LIKE-escaped");
+  assert.deepEqual(body.notice, {
+    noticeId: "0123456789abcdef0123456789abcdef", title: "Detention services", solicitationNumber: "70CDCR26R1",
+    agency: "HOMELAND SECURITY, DEPARTMENT OF", subAgency: "US IMMIGRATION AND CUSTOMS ENFORCEMENT",
+    office: "DETENTION COMPLIANCE AND REMOVALS", naics: "561612", responseDate: "2026-03-15",
+  });
+  assert.equal(body.count, 0);
+  assert.equal(queries(TX_SQL).length, 0);
+});
+
+test("predecessor needs something to search by", async () => {
+  const res = await call("/sb/v1/predecessor?title=Cloud");
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).code, "MISSING_FIELD");
+  assert.equal(db.connects, 0);
+
+  upstream.respond = () => Response.json({ totalRecords: 0, opportunitiesData: [] });
+  const missing = await call("/sb/v1/predecessor?solicitationNumber=NOPE", { env: { SAM_API_KEY: "k" } });
+  assert.equal(missing.status, 404);
+});
@@ -0,0 +1,65 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { call, db, queries, reset } from "./helpers/worker.mjs";
+
+const monthsAhead = (m) => new Date(Date.now() + m * 30.44 * 86400000).toISOString().slice(0, 10);
+
+beforeEach(reset);
+
+test("recompetes binds the window, filters and limit", async () => {
+  const res = await call("/sb/recompetes?agency=GSA&naics=541512,54-15,9&setAside=8(a)&minValue=1000&fromMonths=3&toMonths=1&sort=ceiling&limit=500");
+  assert.equal(res.status, 200);
+  const [q] = queries(/DISTINCT ON \(award_id_piid\)/);
+  assert.deepEqual(q.params, [3, 4, "GSA", ["541512%", "5415%"], "8(a)", 1000, 500]);
+  assert.match(q.sql, /ORDER BY ceiling DESC NULLS LAST, end_date ASC/);
+  assert.match(q.sql, /ILIKE '%' \|\| \$5 \|\| '%' ESCAPE '!'/);
+  const body = await res.json();
+  assert.deepEqual(body.window, { fromMonths: 3, toMonths: 4 });
+  assert.equal(body.sort, "ceiling");
+});
+
+test("recompetes escapes LIKE wildcards in the set-aside", async () => {
+  await call("/sb/recompetes?setAside=100%25_SB");
+  assert.equal(queries(/DISTINCT ON/)[0].params[4], "100!%!_SB");
+});
+
+test("recompetes filters each PIID's latest record, not any matching modification", async () => {
+  await call("/sb/recompetes");
+  const { sql } = queries(/DISTINCT ON/)[0];
+  const [inner, outer] = sql.split(/\) x\s+WHERE/);
+  assert.ok(outer, "window filters run on the deduped rows");
+  assert.match(outer, /BETWEEN \(CURRENT_DATE \+ \(\$1::int/);
+  assert.match(outer, /\$6::numeric IS NULL OR ceiling >= \$6/);
+  assert.match(inner, /WHERE award_id_piid IN \(\s+SELECT award_id_piid FROM/);
+});
+
+test("recompetes shapes rows with months to end and lifecycle burn", async () => {
+  db.respond = (sql) =>
+    /DISTINCT ON/.test(sql)
+      ? {
+          rows: [{
+            award_id_piid: "W1", awarding_agency_name: "GSA", recipient_name: "Acme",
+            pop_start_date: "2020-01-01", pop_current_end_date: monthsAhead(6), pop_potential_end_date: monthsAhead(12),
+            total_dollars_obligated_num: "250", ceiling: "1000",
+          }],
+        }
+      : { rows: [] };
+  const body = await (await call("/sb/recompetes")).json();
+  assert.equal(body.count, 1);
+  const [r] = body.rows;
+  assert.equal(r.piid, "W1");
+  assert.equal(r.primeName, "Acme");
+  assert.ok(Math.abs(r.monthsToEnd - 12) <= 0.2, `monthsToEnd ${r.monthsToEnd}`);
+  assert.equal(r.obligated, 250);
+  assert.equal(r.ceiling, 1000);
+  assert.equal(r.lifecycle.burnPct, 25);
+  assert.equal(queries(/DISTINCT ON/)[0].params[0], 6, "default window starts 6 months out");
+});
+
+test("recompetes answers repeats from the cache", async () => {
+  await call("/sb/recompetes?naics=541512");
+  const n = db.log.length;
+  const res = await call("/sb/recompetes?naics=541512");
+  assert.equal(res.status, 200);
+  assert.equal(db.log.length, n);
+});
@@ -0,0 +1,62 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { call, db, queries, reset } from "./helpers/worker.mjs";
+
+beforeEach(reset);
+
+test("each route is served under /sb/v1 and its /sb alias", async () => {
+  db.respond = (sql) => (/awarding_office_name\s+AS name/.test(sql) ? { rows: [{ name: "GSA", rank: 0 }] } : { rows: [] });
+  const v1 = await call("/sb/v1/agencies");
+  const alias = await call("/sb/Agencies");
+  assert.equal(v1.status, 200);
+  assert.equal(alias.status, 200);
+  assert.deepEqual(await v1.json(), await alias.json());
+  assert.equal(queries(/awarding_office_name\s+AS name/).length, 2, "separate cache entries per path");
+  assert.equal((await call("/health")).status, 200, "legacy path");
+});
+
+test("unknown paths are 404 and wrong methods are 405 with Allow", async () => {
+  assert.equal((await call("/sb/v1/nope")).status, 404);
+  assert.equal((await call("/sb/v1/agencies/extra")).status, 404);
+  const res = await call("/sb/v1/cap-compare");
+  assert.equal(res.status, 405);
+  assert.equal(res.headers.get("Allow"), "POST");
+});
+
+test("openapi.json is public and documents every route", async () => {
+  const res = await call("/sb/v1/openapi.json", { env: { AUTH_MODE: "on" } });
+  assert.equal(res.status, 200);
+  const spec = await res.json();
+  assert.equal(spec.openapi, "3.0.3");
+  assert.equal(spec.servers[0].url, "https://api.test");
+
+  const health = spec.paths["/sb/v1/health"].get;
+  assert.deepEqual(health.security, []);
+  assert.equal(health.responses[401], undefined);
+
+  const search = spec.paths["/sb/v1/opportunities/search"];
+  assert.deepEqual(Object.keys(search), ["get", "post"]);
+  assert.equal(search.get.operationId, "opportunitySearchGet");
+  assert.ok(search.get.parameters.some((p) => p.name === "windowDays" && p.schema.maximum === 365));
+  assert.deepEqual(search.post.parameters, []);
+  assert.ok(search.post.requestBody.content["application/json"].schema.properties.naics);
+  assert.match(search.post.description, /\/sb\/opportunities\/search, \/opportunities\/search/);
+
+  const keys = spec.paths["/sb/v1/admin/keys"].post;
+  assert.deepEqual(keys.tags, ["admin"]);
+  assert.deepEqual(keys.requestBody.content["application/json"].schema.required, ["name", "scopes"]);
+});
+
+test("routes are still authorized by their declared scope", async () => {
+  const res = await call("/sb/v1/agencies", { env: { AUTH_MODE: "on" } });
+  assert.equal(res.status, 401);
+});
+
+test("path params are percent-decoded, and a malformed escape is a 404 rather than a 500", async () => {
+  const bad = await call("/sb/v1/opportunities/%E0%A4%A");
+  assert.equal(bad.status, 404);
+  assert.equal((await bad.json()).code, "NOT_FOUND");
+
+  const decoded = await call("/sb/v1/opportunities/%30123456789abcdef0123456789abcdef");
+  assert.equal(decoded.status, 503, "the decoded id validates and reaches the handler");
+});
@@ -0,0 +1,110 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { call, reset, upstream } from "./helpers/worker.mjs";
+
+beforeEach(reset);
+
+const SAM = { SAM_API_KEY: "k" };
+const DAY = 86400000;
+const inDays = (n) => new Date(Date.now() + n * DAY + DAY / 2).toISOString();
+
+const record = (expires) => ({
+  entityRegistration: {
+    ueiSAM: "ABC123DEF456", cageCode: "1ABC2", legalBusinessName: "ACME FEDERAL LLC", dbaName: null,
+    registrationStatus: "Active", registrationExpirationDate: expires, exclusionStatusFlag: "N",
+  },
+  coreData: {
+    entityInformation: { entityURL: "https://acme.example", entityStartDate: "2015-04-01" },
+    physicalAddress: { addressLine1: "1 Main St", city: "Reston", stateOrProvinceCode: "VA", zipCode: "20190", zipCodePlus4: "1234", countryCode: "USA" },
+    generalInformation: { entityStructureDesc: "Limited Liability Company" },
+    businessTypes: {
+      businessTypeList: [{ businessTypeDesc: "Veteran-Owned Business" }],
+      sbaBusinessTypeList: [{ sbaBusinessTypeCode: "A6", sbaBusinessTypeDesc: "SBA Certified 8A Program Participant", certificationExitDate: "2030-01-01" }],
+    },
+  },
+  assertions: {
+    goodsAndServices: {
+      primaryNaics: "541512",
+      naicsList: [{ naicsCode: 541512, sbaSmallBusiness: "Y" }, { naicsCode: 541611, sbaSmallBusiness: "N" }],
+      pscList: [{ pscCode: "DA01" }],
+    },
+  },
+  pointsOfContact: {
+    governmentBusinessPOC: { firstName: "Pat", lastName: "Lee", title: "CEO", usPhone: "5551234567" },
+    pastPerformancePOC: { firstName: "", lastName: "" },
+  },
+});
+
+function serve(body, status = 200) {
+  upstream.respond = () => Response.json(body, { status });
+}
+
+test("sam-entity normalizes the registration and flags an expiry inside 60 days", async () => {
+  serve({ totalRecords: 1, entityData: [record(inDays(30))] });
+  const res = await call("/sb/v1/sam-entity?uei=abc123def456", { env: SAM });
+  assert.equal(res.status, 200);
+  const { entity } = await res.json();
+
+  const sent = new URL(upstream.log[0].url);
+  assert.equal(sent.searchParams.get("ueiSAM"), "ABC123DEF456");
+  assert.equal(sent.searchParams.get("includeSections"), "entityRegistration,coreData,assertions,pointsOfContact");
+
+  assert.equal(entity.cageCode, "1ABC2");
+  assert.deepEqual(
+    { ...entity.registration, expirationDate: undefined },
+    {
+      status: "Active", expirationDate: undefined, daysUntilExpiration: 30, expired: false, expiringSoon: true,
+      registrationDate: null, activationDate: null, lastUpdateDate: null, purpose: null, exclusionStatusFlag: false,
+    }
+  );
+  assert.equal(entity.website, "https://acme.example");
+  assert.equal(entity.physicalAddress.zip, "20190-1234");
+  assert.deepEqual(entity.naics, [
+    { code: "541512", description: null, primary: true, smallBusiness: true, exception: null },
+    { code: "541611", description: null, primary: false, smallBusiness: false, exception: null },
+  ]);
+  assert.deepEqual(entity.sbaCertifications, [{ code: "A6", type: "SBA Certified 8A Program Participant", entryDate: null, exitDate: "2030-01-01" }]);
+  assert.deepEqual(entity.pointsOfContact.map((p) => [p.role, p.name, p.phone]), [["governmentBusiness", "Pat Lee", "5551234567"]]);
+
+  await call("/sb/v1/sam-entity?uei=abc123def456", { env: SAM });
+  assert.equal(upstream.log.length, 1, "cached for a day");
+});
+
+test("sam-entity reports expired registrations, missing records and SAM errors", async () => {
+  serve({ entityData: [record(inDays(-3))] });
+  const { entity } = await (await call("/sb/v1/sam-entity?uei=ABC123DEF456", { env: SAM })).json();
+  assert.equal(entity.registration.expired, true);
+  assert.equal(entity.registration.expiringSoon, false);
+
+  reset();
+  serve({ totalRecords: 0, entityData: [] });
+  assert.equal((await call("/sb/v1/sam-entity?uei=ABC123DEF456", { env: SAM })).status, 404);
+
+  reset();
+  serve({ error: "bad key" }, 403);
+  const denied = await call("/sb/v1/sam-entity?uei=ABC123DEF456", { env: SAM });
+  assert.equal(denied.status, 400);
+  const body = await denied.json();
+  assert.equal(body.code, "UPSTREAM_SAM_ERROR");
+  assert.equal(body.details.status, 403);
+
+  assert.equal((await call("/sb/v1/sam-entity?uei=ABC123DEF456")).status, 503);
+});
+
+test("my-entity merges the SAM registration only when asked", async () => {
+  serve({ entityData: [record(inDays(200))] });
+  const plain = (await (await call("/sb/v1/my-entity?uei=ABC123DEF456", { env: SAM })).json()).entity;
+  assert.equal(plain.sam, undefined);
+  assert.equal(plain.website, "https://acme.example", "the SAM site still backs a missing SBA website");
+
+  const merged = (await (await call("/sb/v1/my-entity?uei=ABC123DEF456&sam=true", { env: SAM })).json()).entity;
+  assert.equal(merged.name, "ACME FEDERAL LLC");
+  assert.equal(merged.registration.status, "Active");
+  assert.equal(merged.sam.cageCode, "1ABC2");
+
+  reset();
+  serve({ entityData: [] });
+  const missing = (await (await call("/sb/v1/my-entity?uei=ABC123DEF456&sam=true", { env: SAM })).json()).entity;
+  assert.equal(missing.sam, null);
+  assert.equal(missing.samError, "NOT_FOUND");
+});
@@ -0,0 +1,107 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { call, db, queries, reset, schedule, upstream } from "./helpers/worker.mjs";
+
+beforeEach(reset);
+
+const SAM = { SAM_API_KEY: "test-key" };
+
+test("saved-searches requires a name and at least one filter", async () => {
+  const noName = await call("/sb/saved-searches", { method: "POST", body: { user: "u1", query: { naics: "541512" } } });
+  assert.equal(noName.status, 400);
+  const noFilters = await call("/sb/saved-searches", { method: "POST", body: { user: "u1", name: "x", query: { bogus: 1 } } });
+  assert.equal((await noFilters.json()).error, "Query has no filters");
+});
+
+test("saved-searches stores only known query fields", async () => {
+  db.respond = (sql, params) =>
+    /INSERT INTO app\.saved_searches/.test(sql) ? { rows: [{ id: "7", name: params[1], query: JSON.parse(params[2]) }] } : { rows: [] };
+  const res = await call("/sb/saved-searches", {
+    method: "POST",
+    body: { user: "u1", name: "Cloud", query: { keywords: "cloud", naics: ["541512"], windowDays: "900", extra: "dropped", agency: "" } },
+  });
+  assert.equal(res.status, 201);
+  const [insert] = queries(/INSERT INTO app\.saved_searches/);
+  assert.equal(insert.params[0], "u1");
+  assert.deepEqual(JSON.parse(insert.params[2]), { keywords: "cloud", naics: ["541512"], windowDays: 365 });
+  assert.equal((await res.json()).search.id, "7");
+});
+
+test("saved-searches delete is scoped to the user and reports a miss", async () => {
+  db.respond = (sql) => (/DELETE FROM app\.saved_searches/.test(sql) ? { rows: [], rowCount: 0 } : { rows: [] });
+  const res = await call("/sb/saved-searches/delete", { method: "POST", body: { user: "u1", id: "12;drop" } });
+  assert.equal(res.status, 404);
+  assert.deepEqual(queries(/DELETE FROM app\.saved_searches/)[0].params, ["12", "u1"]);
+});
+
+test("searches and digests belong to the calling key; only admin keys may pass user", async () => {
+  const sha = (k) => createHash("sha256").update(k).digest("hex");
+  const keys = {
+    [sha("sbk_user")]: { id: "5", scopes: ["searches"] },
+    [sha("sbk_admin")]: { id: "1", scopes: ["searches", "admin"] },
+  };
+  db.respond = (sql, params) =>
+    /WHERE key_hash = \$1/.test(sql) && keys[params[0]]
+      ? { rows: [{ ...keys[params[0]], name: "k", rate_per_min: 60, hits: 1, reset_s: 30 }] }
+      : { rows: [] };
+  const as = (key) => ({ headers: { Authorization: `Bearer ${key}` }, env: { AUTH_MODE: "on" } });
+
+  assert.equal((await call("/sb/digests", as("sbk_user"))).status, 200);
+  assert.deepEqual(queries(/FROM app\.search_digests/)[0].params, ["key:5", 10]);
+
+  const other = await call("/sb/saved-searches?user=u2", as("sbk_user"));
+  assert.equal(other.status, 403);
+  assert.equal(queries(/FROM app\.saved_searches/).length, 0);
+
+  await call("/sb/saved-searches?user=u2", as("sbk_admin"));
+  assert.equal(queries(/FROM app\.saved_searches/)[0].params[0], "u2");
+});
+
+test("digests lists a user's digests newest first", async () => {
+  db.respond = (sql) => (/FROM app\.search_digests/.test(sql) ? { rows: [{ id: "1", total: 2, items: [] }] } : { rows: [] });
+  const body = await (await call("/sb/digests?user=u1&limit=60")).json();
+  assert.deepEqual(queries(/FROM app\.search_digests/)[0].params, ["u1", 60]);
+  assert.equal(body.digests.length, 1);
+});
+
+test("the cron run digests unseen notices per user and records failures", async () => {
+  db.respond = (sql) => {
+    if (/SELECT id, user_id, name, query FROM app\.saved_searches/.test(sql)) {
+      return { rows: [
+        { id: 1, user_id: "u1", name: "Cloud", query: { keywords: "cloud", naics: ["541512"] } },
+        { id: 2, user_id: "u1", name: "Broken", query: { keywords: "broken" } },
+        { id: 3, user_id: "u2", name: "Quiet", query: { keywords: "quiet" } },
+      ] };
+    }
+    if (/FROM app\.saved_search_seen WHERE search_id/.test(sql)) return { rows: [{ notice_id: "N1" }] };
+    return { rows: [] };
+  };
+  upstream.respond = (url) => {
+    const kw = new URL(url).searchParams.get("keyword");
+    if (kw === "broken") return new Response("nope", { status: 503 });
+    if (kw === "quiet") return Response.json({ opportunitiesData: [] });
+    return Response.json({ opportunitiesData: [
+      { noticeId: "N1", title: "Old" },
+      { noticeId: "N2", title: "New", fullParentPathName: "GSA", naicsCode: "541512" },
+      { title: "No id" },
+    ] });
+  };
+
+  await schedule({ env: SAM });
+
+  const samUrl = new URL(upstream.log[0].url);
+  assert.equal(samUrl.searchParams.get("limit"), "100");
+  assert.deepEqual(samUrl.searchParams.getAll("naics"), ["541512"]);
+  assert.deepEqual(queries(/INSERT INTO app\.saved_search_seen/)[0].params, [1, ["N2"]]);
+
+  const digests = queries(/INSERT INTO app\.search_digests/);
+  assert.equal(digests.length, 1, "a user with nothing new and no errors gets no digest");
+  const [user, total, items] = digests[0].params;
+  assert.equal(user, "u1");
+  assert.equal(total, 1);
+  const [cloud, broken] = JSON.parse(items);
+  assert.deepEqual(cloud.notices.map((n) => [n.noticeId, n.agency]), [["N2", "GSA"]]);
+  assert.equal(broken.error, "SAM.gov is unavailable; retry shortly.");
+  assert.equal(queries(/DELETE FROM app\.saved_search_seen/).length, 1);
+});
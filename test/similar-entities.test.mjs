@@ -0,0 +1,81 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { call, db, queries, reset } from "./helpers/worker.mjs";
+
+beforeEach(reset);
+
+const me = {
+  uei: "ME0000000001",
+  business_name: "Mine LLC",
+  capabilities_narrative: "Cloud migration; cybersecurity assessments; zero trust architecture",
+  naics_codes: ["541512", "541519"],
+};
+const candidates = [
+  { uei: "JAN001", business_name: "Mops Inc", capabilities_narrative: "Janitorial and custodial work", naics_codes: ["561720"], smallbiz_categories: ["8(a) Certified"] },
+  { uei: "CLD001", business_name: "Cloudy", capabilities_narrative: "Cloud migration; cybersecurity assessments", naics_codes: ["541512"], smallbiz_categories: ["8(a) Certified", "HUBZone"] },
+  { uei: "NAI001", business_name: "Codes Only", capabilities_narrative: "", naics_codes: ["541512", "541519"], active_sba_certifications_raw: "WOSB; HUBZone" },
+];
+
+function serve() {
+  db.respond = (sql) => {
+    if (/LIMIT 3000/.test(sql)) return { rows: candidates };
+    if (/WHERE upper\(uei\) = \$1/.test(sql)) return { rows: [me] };
+    return { rows: [] };
+  };
+}
+
+test("similar-entities validates the uei and needs an SBA profile", async () => {
+  assert.equal((await call("/sb/similar-entities")).status, 400);
+  const bad = await call("/sb/similar-entities?uei=IO0000000001");
+  assert.equal(bad.status, 400);
+  assert.equal((await bad.json()).code, "INVALID_UEI");
+  assert.equal((await call("/sb/similar-entities?uei=NXBXDY000001")).status, 404);
+});
+
+test("similar-entities ranks candidates by narrative and NAICS overlap", async () => {
+  serve();
+  const res = await call("/sb/similar-entities?uei=me0000000001&agency=GSA");
+  assert.equal(res.status, 200);
+  const body = await res.json();
+
+  const [sql] = queries(/LIMIT 3000/);
+  const [uei, naics, probes, agency] = sql.params;
+  assert.equal(uei, "ME0000000001");
+  assert.deepEqual(naics, ["541512", "541519"]);
+  assert.ok(probes.length > 0 && probes.every((p) => /^%\w+%$/.test(p)));
+  assert.equal(agency, "GSA");
+
+  assert.deepEqual(body.results.map((r) => r.uei), ["CLD001", "NAI001", "JAN001"]);
+  const [cloudy, codes] = body.results;
+  assert.deepEqual(cloudy.certifications, ["8(A)", "HUBZONE"]);
+  assert.deepEqual(cloudy.naicsOverlap, ["541512"]);
+  assert.equal(cloudy.naicsJaccard, 0.5);
+  assert.ok(cloudy.shared_keywords.some((k) => k.term === "cloud migration"));
+  assert.equal(codes.narrativeSimilarity, 0);
+  assert.equal(codes.naicsJaccard, 1);
+  assert.equal(body.candidatesScanned, 3);
+});
+
+test("similar-entities filters certs in SQL and keeps the strongest NAICS overlaps under the limit", async () => {
+  serve();
+  const body = await (await call("/sb/similar-entities?uei=ME0000000001&certs=hubzone,8(a)&limit=1")).json();
+  assert.deepEqual(body.filters, { certs: ["HUBZONE", "8(A)"], agency: null });
+
+  const { sql } = queries(/LIMIT 3000/)[0];
+  const exists = sql.match(/AND EXISTS \(\s+SELECT 1 FROM unnest\(regexp_split_to_array\(upper\(/g) || [];
+  assert.equal(exists.length, 2, "one EXISTS per required cert");
+  assert.match(sql, /WHERE e LIKE '%HUBZONE%'\)/);
+  assert.match(sql, /WHERE e ~ '\\y8\\s\*\\\(\?A\\\)\?'\)/);
+  assert.match(sql, /ORDER BY cardinality\(ARRAY\(SELECT unnest\(n\.naics\) INTERSECT SELECT unnest\(\$2::text\[\]\)\)\) DESC\s+LIMIT 3000/);
+});
+
+test("similar-entities reads naics_codes stored as array text or delimited strings", async () => {
+  db.respond = (sql) => {
+    if (/LIMIT 3000/.test(sql)) return { rows: [{ ...candidates[2], naics_codes: '{541512,"541519"}' }] };
+    if (/WHERE upper\(uei\) = \$1/.test(sql)) return { rows: [{ ...me, naics_codes: "541512; 541519, 541512" }] };
+    return { rows: [] };
+  };
+  const body = await (await call("/sb/similar-entities?uei=ME0000000001")).json();
+  assert.deepEqual(queries(/LIMIT 3000/)[0].params[1], ["541512", "541519"]);
+  assert.deepEqual(body.results[0].naicsOverlap, ["541512", "541519"]);
+});
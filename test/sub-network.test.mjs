@@ -0,0 +1,56 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { call, db, queries, reset } from "./helpers/worker.mjs";
+
+beforeEach(reset);
+
+test("sub-network requires a uei", async () => {
+  assert.equal((await call("/sb/sub-network")).status, 400);
+});
+
+test("sub-network builds a prime -> sub graph around the entity", async () => {
+  db.respond = (sql) => {
+    if (/WITH primes AS/.test(sql)) {
+      return {
+        rows: [
+          { uei: "PRIME1", name: "Big Prime", subawards: 3, piids: 2, amount: "750", agencies: ["GSA"], first_date: "2022-01-01", last_date: "2024-01-01" },
+          { uei: null, name: null, subawards: 1, piids: 1, amount: "50", agencies: [] },
+        ],
+      };
+    }
+    if (/WITH mine AS/.test(sql)) {
+      return {
+        rows: [
+          { uei: "PRIME1", name: "Big Prime", subawards: 1, piids: 1, amount: "100", agencies: ["DOD"] },
+          { uei: null, name: null, subawards: 2, piids: 1, amount: "20", agencies: [] },
+        ],
+      };
+    }
+    if (/business_name FROM sba\.smallbiz_v/.test(sql)) return { rows: [{ business_name: "Me Inc" }] };
+    return { rows: [] };
+  };
+  const res = await call("/sb/sub-network?uei=me0000000001&limit=200");
+  assert.equal(res.status, 200);
+  const body = await res.json();
+
+  assert.deepEqual(queries(/WITH primes AS/)[0].params, ["ME0000000001", 200]);
+  assert.equal(body.name, "Me Inc");
+  assert.deepEqual(body.summary, { primesWorkedUnder: 2, amountAsSub: 800, subsUsed: 2, amountAsPrime: 120 });
+  assert.deepEqual(
+    body.nodes.map((n) => [n.id, n.role]),
+    [["ME0000000001", "self"], ["PRIME1", "both"], ["NAME:(Prime not in award tables)", "prime"], ["NAME:(Unnamed subrecipient)", "sub"]]
+  );
+  assert.deepEqual(body.edges[0], {
+    source: "PRIME1", target: "ME0000000001", amount: 750, subawards: 3, piids: 2,
+    agencies: ["GSA"], firstDate: "2022-01-01", lastDate: "2024-01-01",
+  });
+  assert.equal(body.edges[2].source, "ME0000000001");
+  assert.match(body.disclaimer, /incomplete/);
+});
+
+test("sub-network falls back to award tables for the entity name", async () => {
+  db.respond = (sql) => (/SELECT recipient_name FROM/.test(sql) ? { rows: [{ recipient_name: "From Awards" }] } : { rows: [] });
+  const body = await (await call("/sb/sub-network?uei=X00000000001")).json();
+  assert.equal(body.name, "From Awards");
+  assert.deepEqual(body.edges, []);
+});
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { STOP, bag, configureTextPipeline, cosineFromBags, tokenize } from "../text.js";
+
+test("STOP holds individual words", () => {
+  assert.ok(STOP.size > 50);
+  for (const w of ["the", "and", "for", "with", "services"]) assert.ok(STOP.has(w), w);
+});
+
+test("tokenize drops stopwords from unigrams and n-grams", () => {
+  const toks = tokenize("Support for the design and the operation of the cloud platform");
+  for (const t of toks) {
+    for (const w of t.split(" ")) assert.ok(!STOP.has(w), `stopword "${w}" in "${t}"`);
+  }
+  assert.ok(toks.includes("design"));
+  assert.ok(toks.includes("cloud platform"));
+  assert.ok(!toks.includes("and the"));
+  assert.ok(!toks.includes("of the"));
+});
+
+test("n-grams are built from the filtered words of one segment", () => {
+  const toks = tokenize("network operations and maintenance; help desk");
+  assert.ok(toks.includes("network operations"));
+  assert.ok(toks.includes("network operations maintenance"));
+  assert.ok(!toks.some((t) => t.includes("maintenance help")), "phrases must not cross segments");
+});
+
+test("capitalized acronyms survive the short-token filter", () => {
+  assert.deepEqual(tokenize("IT and it", 1), ["it"]);
+});
+
+test("synonyms canonicalize variants before scoring", () => {
+  configureTextPipeline(null);
+  assert.deepEqual(tokenize("O&M", 1), ["operations", "maintenance"]);
+  assert.deepEqual(tokenize("cyber security and Helpdesk", 1), tokenize("cybersecurity and help desk", 1));
+  assert.deepEqual(tokenize("Information Technology", 1), ["it"]);
+});
+
+test("env overrides extend the synonym and acronym lists", () => {
+  try {
+    configureTextPipeline({ TEXT_SYNONYMS: '{"sec ops": "secops"}', TEXT_ACRONYMS: "EW" });
+    assert.deepEqual(tokenize("Sec Ops and EW", 1), ["secops", "ew"]);
+    configureTextPipeline({ TEXT_SYNONYMS: "not json" });
+    assert.deepEqual(tokenize("O&M", 1), ["operations", "maintenance"], "bad JSON keeps the defaults");
+  } finally {
+    configureTextPipeline(null);
+  }
+});
+
+test("cosine of term bags", () => {
+  const a = bag(["cloud", "cloud", "data"]);
+  assert.ok(Math.abs(cosineFromBags(a, a) - 1) < 1e-12);
+  assert.equal(cosineFromBags(a, bag(["janitorial"])), 0);
+  assert.equal(cosineFromBags(a, new Map()), 0);
+});
@@ -0,0 +1,85 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { call, db, queries, reset } from "./helpers/worker.mjs";
+
+beforeEach(reset);
+
+function spans(res) {
+  const out = {};
+  for (const part of res.headers.get("Server-Timing").split(", ")) {
+    const [name, ...kv] = part.split(";");
+    out[name] = Object.fromEntries(kv.map((x) => x.split("=")));
+  }
+  return out;
+}
+
+// Runs first: the probe result is isolate state shared by every later request in this file.
+test("the fast-table probe is cached per isolate and dropped when the table fails", async () => {
+  const serve = (fastBroken) => {
+    db.respond = (sql) => {
+      if (/pg_matviews/.test(sql)) return { rows: [{ ispopulated: true }] };
+      if (fastBroken && /WITH primes AS/.test(sql) && sql.includes("usaspending_awards_fast")) {
+        throw new Error("relation is being refreshed");
+      }
+      return { rows: [] };
+    };
+  };
+  serve(false);
+  await call("/sb/v1/agencies");
+  await call("/sb/v1/sub-network?uei=ABC123DEF456");
+  assert.equal(queries(/pg_matviews/).length, 1);
+  assert.ok(queries(/awarding_office_name\s+AS name/)[0].sql.includes("usaspending_awards_fast"));
+
+  reset();
+  serve(true);
+  const res = await call("/sb/v1/sub-network?uei=BCD123DEF456");
+  assert.equal(res.status, 200);
+  assert.ok(queries(/usaspending_awards_v2/).length > 0, "fell back to v2");
+
+  reset();
+  await call("/sb/v1/agencies?probe=again");
+  assert.equal(queries(/pg_matviews/).length, 0);
+  assert.ok(queries(/awarding_office_name\s+AS name/)[0].sql.includes("usaspending_awards_v2"), "stops preferring the fast table");
+});
+
+test("Server-Timing reports total, connect and db time per route", async () => {
+  const res = await call("/sb/v1/agencies");
+  const s = spans(res);
+  assert.equal(s.total.desc, '"agencies"');
+  assert.match(s.total.dur, /^\d+$/);
+  assert.equal(s.connect.desc, '"1x"');
+  assert.equal(s.db.desc, `"${db.log.length}x"`);
+  assert.match(res.headers.get("Access-Control-Expose-Headers"), /Server-Timing/);
+});
+
+test("error responses carry Server-Timing too", async () => {
+  const res = await call("/sb/v1/vendor-profile");
+  assert.equal(res.status, 400);
+  assert.deepEqual(Object.keys(spans(res)), ["total"]);
+});
+
+test("vendor-profile runs its three queries on separate connections", async () => {
+  const res = await call("/sb/v1/vendor-profile?uei=ABC123DEF456");
+  assert.equal(res.status, 200);
+  assert.equal(db.connects, 3);
+  assert.equal(spans(res).connect.desc, '"3x"');
+});
+
+test("sub-network looks its name up alongside the graph queries, not after them", async () => {
+  let graphDone = 0;
+  let graphDoneAtName = null;
+  db.respond = async (sql) => {
+    if (/FROM sba\.smallbiz_v/.test(sql)) {
+      graphDoneAtName = graphDone;
+      return { rows: [{ business_name: "Acme" }] };
+    }
+    if (!/subaward/i.test(sql)) return { rows: [] };
+    await new Promise((r) => setTimeout(r, 10));
+    graphDone++;
+    return { rows: [] };
+  };
+  const res = await call("/sb/v1/sub-network?uei=ABC123DEF456");
+  assert.equal((await res.json()).name, "Acme");
+  assert.equal(graphDoneAtName, 0);
+  assert.equal(db.connects, 3, "one pooled connection per job, no idle client");
+});
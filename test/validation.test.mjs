@@ -0,0 +1,80 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { call, db, env, reset, worker } from "./helpers/worker.mjs";
+
+beforeEach(reset);
+
+const json = async (res) => ({ status: res.status, body: await res.json() });
+
+test("one bad field reports that field's code", async () => {
+  const missing = await json(await call("/sb/v1/vendor-profile"));
+  assert.equal(missing.status, 400);
+  assert.deepEqual(missing.body, {
+    ok: false,
+    code: "MISSING_FIELD",
+    error: "uei is required",
+    fields: [{ field: "uei", code: "MISSING_FIELD", message: "uei is required" }],
+  });
+
+  const enumBad = await json(await call("/sb/v1/recompetes?sort=biggest"));
+  assert.equal(enumBad.body.code, "INVALID_ENUM");
+  const intBad = await json(await call("/sb/v1/recompetes?limit=ten"));
+  assert.equal(intBad.body.code, "INVALID_INTEGER");
+});
+
+test("several bad fields are reported together", async () => {
+  const { status, body } = await json(
+    await call("/sb/v1/fit/capability", { method: "POST", body: { piid: "!", uei: "short" } })
+  );
+  assert.equal(status, 400);
+  assert.equal(body.code, "VALIDATION_FAILED");
+  assert.deepEqual(body.fields.map((f) => [f.field, f.code]), [["piid", "INVALID_PIID"], ["uei", "INVALID_UEI"]]);
+});
+
+test("bodies must be JSON objects", async () => {
+  const txt = await call("/sb/v1/cap-compare", { method: "POST", headers: { "Content-Type": "application/json" } });
+  assert.equal(txt.status, 200, "an empty body is an empty object");
+  const notJson = await fetchRaw("/sb/v1/cap-compare", "{nope");
+  assert.equal(notJson.body.code, "INVALID_JSON");
+  const arr = await fetchRaw("/sb/v1/cap-compare", "[1]");
+  assert.equal(arr.body.error, "Request body must be a JSON object");
+});
+
+/** POST a body verbatim (call() always sends valid JSON). */
+async function fetchRaw(path, text) {
+  const req = new Request(`https://api.test${path}`, { method: "POST", body: text });
+  return json(await worker.fetch(req, env, { waitUntil() {} }));
+}
+
+test("values are normalized before the handler sees them", async () => {
+  db.respond = (sql) => (/FROM sba\.smallbiz_v/.test(sql) ? { rows: [{ uei: "ABC123DEF456", narrative: "cloud" }] } : { rows: [] });
+  const { body } = await json(
+    await call("/sb/v1/cap-compare", { method: "POST", body: { my: " abc123def456 ", weighting: "TF" } })
+  );
+  assert.equal(body.mine.uei, "ABC123DEF456");
+  assert.equal(body.weighting.requested, "tf");
+});
+
+test("database failures map to stable codes", async () => {
+  db.respond = () => {
+    throw Object.assign(new Error("canceling statement due to statement timeout"), { code: "57014" });
+  };
+  let r = await json(await call("/sb/v1/agencies"));
+  assert.deepEqual([r.status, r.body.code], [504, "DB_TIMEOUT"]);
+
+  db.respond = () => {
+    throw new Error("connect ECONNREFUSED 10.0.0.1:5432");
+  };
+  r = await json(await call("/sb/v1/agencies"));
+  assert.deepEqual([r.status, r.body.code], [503, "DB_UNAVAILABLE"]);
+});
+
+test("SAM routes report a missing key as 503", async () => {
+  const r = await json(await call("/sb/v1/opportunities/search"));
+  assert.deepEqual([r.status, r.body.code], [503, "SAM_NOT_CONFIGURED"]);
+});
+
+test("auth failures use the same envelope", async () => {
+  const r = await json(await call("/sb/v1/agencies", { env: { AUTH_MODE: "on" } }));
+  assert.deepEqual([r.status, r.body.code], [401, "UNAUTHORIZED"]);
+});
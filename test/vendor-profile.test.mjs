@@ -0,0 +1,88 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { call, db, queries, reset } from "./helpers/worker.mjs";
+
+const daysFromNow = (d) => new Date(Date.now() + d * 86400000).toISOString().slice(0, 10);
+
+function serveProfile() {
+  db.respond = (sql) => {
+    if (/FROM sba\.smallbiz_v/.test(sql)) {
+      return {
+        rows: [{
+          uei: "ABCDEFGHJK12", business_name: "Acme Federal", website: "acme.example",
+          capabilities_narrative: "Cloud migration", naics_codes: ["541512"],
+          active_sba_certifications_raw: "8(a) Program; HUBZone Certified",
+        }],
+      };
+    }
+    if (/GROUPING SETS/.test(sql)) {
+      return {
+        rows: [
+          { dim: "fiscal_year", fiscal_year: 2025, awards: 2, obligated: "300" },
+          { dim: "fiscal_year", fiscal_year: 2024, awards: 1, obligated: "100" },
+          { dim: "office", agency: "GSA", sub_agency: "FAS", office: "East", awards: 1, obligated: "100" },
+          { dim: "office", agency: "GSA", sub_agency: "FAS", office: "West", awards: 1, obligated: "250" },
+          { dim: "office", agency: "DOD", sub_agency: "Army", office: "ACC", awards: 1, obligated: "50" },
+          // A1 was awarded by both GSA offices, so the agency counts one distinct PIID, not two.
+          { dim: "sub_agency", agency: "GSA", sub_agency: "FAS", awards: 1, obligated: "350" },
+          { dim: "sub_agency", agency: "DOD", sub_agency: "Army", awards: 1, obligated: "50" },
+          { dim: "agency", agency: "GSA", awards: 1, obligated: "350" },
+          { dim: "agency", agency: "DOD", awards: 1, obligated: "50" },
+          { dim: "naics", naics: "541512", naics_description: "Computer Systems Design", awards: 3, obligated: "400" },
+        ],
+      };
+    }
+    if (/GROUP BY award_id_piid/.test(sql)) {
+      return {
+        rows: [
+          { piid: "A1", title: "Cloud", agency: "GSA", end_date: daysFromNow(90), ceiling: "500", obligated: "250", offers: "3" },
+          { piid: "A2", title: "Help desk", agency: "GSA", end_date: daysFromNow(-30), obligated: "100", offers: "4" },
+          { piid: "A3", title: "Range", agency: "DOD", end_date: null, obligated: "50", offers: null },
+        ],
+      };
+    }
+    return { rows: [] };
+  };
+}
+
+beforeEach(reset);
+
+test("vendor-profile requires a uei", async () => {
+  const res = await call("/sb/vendor-profile");
+  assert.equal(res.status, 400);
+});
+
+test("vendor-profile rolls award history up by dimension", async () => {
+  serveProfile();
+  const res = await call("/sb/vendor-profile?uei=abcdefghjk12&years=3&top=2");
+  assert.equal(res.status, 200);
+  const body = await res.json();
+
+  assert.deepEqual(queries(/GROUPING SETS/)[0].params, ["ABCDEFGHJK12", 3]);
+  assert.deepEqual(body.byFiscalYear.map((r) => r.fiscalYear), [2024, 2025], "fiscal years ascend");
+  assert.deepEqual(body.byOffice.map((r) => r.office), ["West", "East", "ACC"], "largest obligations first");
+  assert.deepEqual(body.byAgency, [
+    { agency: "GSA", awards: 1, obligated: 350 },
+    { agency: "DOD", awards: 1, obligated: 50 },
+  ]);
+  assert.deepEqual(body.bySubAgency.map((r) => [r.agency, r.subAgency, r.awards]), [["GSA", "FAS", 1], ["DOD", "Army", 1]]);
+  const sql = queries(/GROUPING SETS/)[0].sql;
+  assert.match(sql, /\(awarding_agency_name\),\s*\(awarding_agency_name, awarding_sub_agency_name\),/);
+  assert.match(sql, /GROUPING\(awarding_sub_agency_name\) = 0 THEN 'sub_agency'/);
+  assert.equal(body.byNaics[0].description, "Computer Systems Design");
+
+  assert.deepEqual(body.summary, {
+    awards: 3, totalObligated: 400, active: 1, completed: 1, unknownStatus: 1, avgOffersReceived: 3.5,
+  });
+  assert.deepEqual(body.largestAwards.map((a) => a.piid), ["A1", "A2"]);
+  assert.equal(body.largestAwards[0].offers, undefined);
+});
+
+test("vendor-profile entity prefers the SBA view and normalizes certifications", async () => {
+  serveProfile();
+  const { entity } = await (await call("/sb/vendor-profile?uei=ABCDEFGHJK12")).json();
+  assert.equal(entity.name, "Acme Federal");
+  assert.equal(entity.website, "acme.example");
+  assert.deepEqual(entity.naics, ["541512"]);
+  assert.deepEqual(entity.smallBizCategories.sort(), ["8(A)", "HUBZONE"]);
+});
@@ -0,0 +1,74 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { call, db, reset, upstream } from "./helpers/worker.mjs";
+
+beforeEach(reset);
+
+const HOME = `<html><head><title>Acme</title><meta name="description" content="Acme builds secure cloud platforms &amp; data pipelines for federal agencies."></head>
+<body><nav><a href="/careers">Careers</a></nav>
+<script>window.track = "ignore me";</script>
+<p>Welcome to Acme. We modernize legacy systems for government customers nationwide.</p>
+<a href="/about-us">About</a> <a href="https://www.acme.example/services">What we do</a>
+<a href="https://other.example/services">Partner</a> <a href="/brochure.pdf">Capabilities brochure</a>
+<footer>Copyright Acme</footer></body></html>`;
+const SERVICES = "<html><body><h1>Services</h1><p>Zero trust architecture, DevSecOps pipelines and FedRAMP authorization support.</p></body></html>";
+const ABOUT = "<html><body><p>Founded by veterans, Acme is a service-disabled veteran-owned small business.</p></body></html>";
+
+function serve({ narrative = "", website = "acme.example", pages = { "/": HOME, "/services": SERVICES, "/about-us": ABOUT } } = {}) {
+  db.respond = (sql, params) =>
+    /from sba\.smallbiz_v/.test(sql) ? { rows: [{ uei: params[0], name: "Acme", narrative, pdf_link: null, website }] } : { rows: [] };
+  upstream.respond = (url) => {
+    const html = pages[new URL(url).pathname];
+    return html == null ? new Response("missing", { status: 404 }) : new Response(html, { headers: { "Content-Type": "text/html" } });
+  };
+}
+
+const compare = (body = {}) => call("/sb/cap-compare", { method: "POST", body: { my: "ABC123DEF456", ...body } });
+
+test("cap-compare reads the website when the narrative is missing, capabilities pages first", async () => {
+  serve();
+  const res = await (await compare({ txDescs: ["DevSecOps veteran-owned track careers"] })).json();
+  const [web] = res.sources.mine;
+  assert.equal(web.source, "website");
+  assert.equal(web.used, true);
+  assert.equal(web.role, "fallback");
+  assert.deepEqual(web.pages, ["https://acme.example/", "https://www.acme.example/services", "https://acme.example/about-us"]);
+  assert.deepEqual(upstream.log.map((r) => r.url), ["https://acme.example/", "https://www.acme.example/services", "https://acme.example/about-us"]);
+
+  assert.equal(res.scores.basis.mine, "website text");
+  assert.equal(res.scores.websiteUsed, true);
+  assert.match(res.scores.uiNote, /website text used where the SBA narrative was missing$/);
+  assert.match(res.scores.memoB, /^Capabilities comparison \(your website text ↔ transaction descriptions\)/);
+  assert.equal(res.explain.anchors[0], "acme", "the meta description leads");
+  const shared = res.explain.sharedTx.map((x) => x.term);
+  assert.ok(shared.includes("devsecops") && shared.includes("veteran"), "linked pages are read");
+  assert.ok(!shared.includes("track") && !shared.includes("careers"), "scripts and nav chrome are dropped");
+});
+
+test("website text is cached per UEI and skipped when the narrative is enough or it is off", async () => {
+  serve();
+  await compare();
+  const fetched = upstream.log.length;
+  assert.equal((await (await compare()).json()).sources.mine[0].cached, true);
+  assert.equal(upstream.log.length, fetched);
+
+  reset();
+  serve({ narrative: "Enterprise cloud migration and managed infrastructure. ".repeat(5) });
+  assert.equal((await (await compare()).json()).scores.basis.mine, "SBA narrative");
+  serve();
+  assert.deepEqual((await (await compare({ website: "off" })).json()).sources.mine, []);
+  assert.equal(upstream.log.length, 0);
+});
+
+test("script-rendered and unreachable sites are reported, not scored", async () => {
+  serve({ pages: { "/": '<html><body><div id="root"></div><script src="/app.js"></script></body></html>' } });
+  const [web] = (await (await compare()).json()).sources.mine;
+  assert.equal(web.used, false);
+  assert.equal(web.error, "no readable text (script-rendered site?)");
+
+  reset();
+  serve({ pages: {} });
+  const res = await (await compare()).json();
+  assert.equal(res.sources.mine[0].error, "HTTP 404");
+  assert.equal(res.scores.basis.mine, "(no capability text)");
+});
@@ -0,0 +1,64 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { call, db, queries, reset } from "./helpers/worker.mjs";
+
+beforeEach(reset);
+
+// "engineering" is in every corpus document, "cybersecurity" in two: BM25 should rank the rare term first.
+const corpus = [
+  "cybersecurity engineering for agencies",
+  "cybersecurity engineering and audits",
+  "janitorial engineering",
+  "construction engineering",
+  "logistics engineering",
+  "staffing engineering",
+];
+const narrative = "engineering; engineering; cybersecurity";
+
+function serve({ withCorpus }) {
+  db.respond = (sql, params) => {
+    if (/AS t\b/.test(sql) || /SELECT DISTINCT t/.test(sql)) {
+      return { rows: withCorpus && /smallbiz_v/.test(sql) ? corpus.map((t) => ({ t })) : [] };
+    }
+    if (/from sba\.smallbiz_v/i.test(sql)) {
+      return { rows: [{ uei: params[0], name: "Mine", narrative }] };
+    }
+    return { rows: [] };
+  };
+}
+
+const compare = (weighting) =>
+  call("/sb/cap-compare", { method: "POST", body: { my: "MNE000000001", txDescs: ["cybersecurity engineering"], weighting } });
+
+test("cap-compare falls back to raw tf when no corpus is available", async () => {
+  serve({ withCorpus: false });
+  const body = await (await compare("bm25")).json();
+  assert.deepEqual(body.weighting, { model: "tf", requested: "bm25", corpusDocs: 0, corpusBuiltAt: null });
+  assert.equal(body.explain.anchors[0], "engineering");
+});
+
+test("a cold isolate scores with tf while one shared background build runs", async () => {
+  serve({ withCorpus: true });
+  const cold = await Promise.all([compare(), compare()]);
+  for (const res of cold) assert.equal((await res.json()).weighting.model, "tf");
+  assert.equal(queries(/capabilities_narrative AS t/).length, 1, "concurrent misses share one build");
+});
+
+test("cap-compare weights terms by corpus rarity and memoizes the corpus", async () => {
+  serve({ withCorpus: true });
+  const body = await (await compare()).json();
+  assert.equal(body.weighting.model, "bm25");
+  assert.equal(body.weighting.corpusDocs, corpus.length);
+  assert.equal(body.explain.anchors[0], "cybersecurity");
+  assert.equal(body.explain.sharedTx[0].term, "cybersecurity");
+  assert.equal(queries(/capabilities_narrative AS t/).length, 0, "built by the earlier request's background job");
+
+  const tf = await (await compare("tf")).json();
+  assert.equal(tf.weighting.model, "tf");
+  assert.equal(tf.explain.anchors[0], "engineering");
+  assert.equal(queries(/capabilities_narrative AS t/).length, 0, "corpus comes from isolate memory");
+
+  const tfidf = await (await compare("TFIDF")).json();
+  assert.equal(tfidf.weighting.model, "tfidf");
+  assert.equal(tfidf.explain.anchors[0], "cybersecurity");
+});
@@ -0,0 +1,123 @@
+// text.js — text utils (domain-agnostic): tokenizing, term bags and cosine similarity
+
+export const STOP = new Set(
+  ("the a an and or of for to from in on at with without into over under before after during " +
+   "is are was were be been being by this that these those as it its their his her our your you " +
+   "we they them not no yes do does did done can could should would will may might must such " +
+   "any all each other more most some same own per via than then there here where when while " +
+   "subject requirement provide provides provided providing support supports solution solutions " +
+   "services service systems system include includes including perform performs performed performing")
+  .split(/\s+/)
+);
+/* Short tokens survive filtering when written in capitals (IT, AI, QA, HR...). */
+const DEFAULT_ACRONYMS =
+  "it ai ml qa qc hr ui ux bi db os pm ba sme gis erp crm hvac ehr emr iot isr eod ems cad rpa ato " +
+  "c2 c4 c4isr vr ar 3d km ip va dod dhs";
+
+/* Abbreviation/variant -> canonical phrase, applied before scoring (matched case-insensitively). */
+const DEFAULT_SYNONYMS = {
+  "o&m": "operations and maintenance",
+  "itsm": "IT service management",
+  "r&d": "research and development",
+  "a&e": "architecture and engineering",
+  "iv&v": "independent verification and validation",
+  "ivv": "independent verification and validation",
+  "c&a": "certification and accreditation",
+  "pmo": "program management office",
+  "smes": "SME",
+  "cyber security": "cybersecurity",
+  "cyber-security": "cybersecurity",
+  "helpdesk": "help desk",
+  "service desk": "help desk",
+  "dev ops": "devops",
+  "dev sec ops": "devsecops",
+  "artificial intelligence": "AI",
+  "machine learning": "ML",
+  "human resources": "HR",
+  "quality assurance": "QA",
+  "information technology": "IT",
+};
+
+let textConfig = null; // { sig, acronyms, rules } — per isolate
+
+function compileTextConfig(synonyms, acronyms) {
+  const split = (x) => String(x).split(/[^A-Za-z0-9&]+/).filter(Boolean);
+  const rules = Object.entries(synonyms)
+    .map(([from, to]) => ({ from: split(from).map((w) => w.toLowerCase()), to: split(to) }))
+    .filter((r) => r.from.length)
+    .sort((a, b) => b.from.length - a.from.length);
+  return { acronyms: new Set(String(acronyms).toLowerCase().split(/[\s,]+/).filter(Boolean)), rules };
+}
+
+/**
+ * Merge optional env overrides into the text pipeline (once per isolate per config):
+ * TEXT_SYNONYMS = JSON object {"variant": "canonical phrase"}, TEXT_ACRONYMS = comma/space list.
+ */
+export function configureTextPipeline(env) {
+  const syn = (env && env.TEXT_SYNONYMS) || "";
+  const acr = (env && env.TEXT_ACRONYMS) || "";
+  const sig = `${typeof syn === "string" ? syn : JSON.stringify(syn)}|${acr}`;
+  if (textConfig && textConfig.sig === sig) return;
+  let extra = {};
+  try { extra = typeof syn === "string" ? (syn ? JSON.parse(syn) : {}) : syn; } catch {}
+  textConfig = { sig, ...compileTextConfig({ ...DEFAULT_SYNONYMS, ...extra }, `${DEFAULT_ACRONYMS} ${acr}`) };
+}
+
+/** Case-preserving word runs per sentence-ish segment, with synonym rules applied. */
+function segmentsOf(s) {
+  if (!textConfig) configureTextPipeline(null);
+  const out = [];
+  const text = String(s || "").replace(/https?:\/\/\S+/g, " ");
+  for (const seg of text.split(/[.,;:!?()\[\]\n\r]+/)) {
+    const raw = seg.split(/[^A-Za-z0-9&]+/).map((w) => w.replace(/^&+|&+$/g, "")).filter(Boolean);
+    const words = [];
+    for (let i = 0; i < raw.length; ) {
+      const rule = textConfig.rules.find((r) =>
+        r.from.every((w, k) => raw[i + k] && raw[i + k].toLowerCase() === w)
+      );
+      if (rule) { words.push(...rule.to); i += rule.from.length; }
+      else { words.push(raw[i]); i++; }
+    }
+    if (words.length) out.push(words);
+  }
+  return out;
+}
+
+/** Unigrams plus (by default) bigram/trigram phrases built from the filtered words of each segment. */
+export function tokenize(s, maxN = 3) {
+  const out = [];
+  for (const words of segmentsOf(s)) {
+    const kept = [];
+    for (const w of words) {
+      const low = w.toLowerCase().replace(/&/g, "");
+      if (!low) continue;
+      const isAcronym = /[A-Z]/.test(w) && w === w.toUpperCase() && textConfig.acronyms.has(low);
+      if (isAcronym || (low.length > 2 && !STOP.has(low))) kept.push(low);
+    }
+    out.push(...kept);
+    for (let n = 2; n <= maxN; n++) {
+      for (let i = 0; i + n <= kept.length; i++) out.push(kept.slice(i, i + n).join(" "));
+    }
+  }
+  return out;
+}
+export function bag(words) {
+  const m = new Map();
+  for (const w of words) m.set(w, (m.get(w) || 0) + 1);
+  return m;
+}
+export function cosineFromBags(A, B) {
+  let dot = 0, na = 0, nb = 0;
+  for (const [, v] of A) na += v * v;
+  for (const [, v] of B) nb += v * v;
+  for (const [k, va] of A) dot += va * (B.get(k) || 0);
+  const d = Math.sqrt(na) * Math.sqrt(nb);
+  return d ? dot / d : 0;
+}
+export function topTermsFrom(text, max = 20) {
+  const b = bag(tokenize(text));
+  return Array.from(b.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, max)
+    .map(([term, freq]) => ({ term, freq }));
+}
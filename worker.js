@@ -1,6 +1,8 @@
 // worker.js — sb-analytics (DB-first; resilient; includes /fit/capability with explainable, domain-agnostic matching)
 
 import { Client } from "pg";
+import { bag, configureTextPipeline, cosineFromBags, tokenize } from "./text.js";
+import { extractPdfText, latin1, looksLikeText } from "./pdf.js";
 
 /* =====================================================================
    C O R S
@@ -19,7 +21,10 @@ function cors(origin, env) {
   return {
     "Access-Control-Allow-Origin": allow || "*",
     "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization, X-API-Key",
+    "Access-Control-Expose-Headers":
+      "Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, Server-Timing, Content-Disposition, X-Next-Cursor",
+    "Timing-Allow-Origin": "*",
     "Access-Control-Max-Age": "86400",
     Vary: "Origin",
   };
@@ -30,23 +35,237 @@ function withCors(res, headers) {
   return new Response(res.body, { status: res.status, headers: h });
 }
 
+/* =====================================================================
+   E R R O R S   +   V A L I D A T I O N
+   ===================================================================== */
+/*
+  Every error leaves the worker as one envelope:
+    { ok: false, code: "INVALID_UEI", error: "<human message>", fields?: [{ field, code, message }], details? }
+  Codes are stable; messages are not. Validation failures with a single field use that
+  field's code (e.g. INVALID_UEI); several fields at once use VALIDATION_FAILED.
+*/
+class ApiError extends Error {
+  constructor(status, code, message, extra) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.extra = extra || null;
+  }
+}
+
+function errorResponse(headers, status, code, message, extra) {
+  return new Response(JSON.stringify({ ok: false, code, error: message, ...(extra || {}) }), {
+    status,
+    headers: { ...headers, "Content-Type": "application/json" },
+  });
+}
+
+/** Map anything thrown by a handler to { status, code, message, extra }. */
+function classifyError(e) {
+  if (e instanceof ApiError) return { status: e.status, code: e.code, message: e.message, extra: e.extra };
+  const msg = (e && e.message) || String(e || "Unexpected error");
+  const pgCode = e && typeof e.code === "string" ? e.code : "";
+  if (pgCode === "57014" || /statement timeout|canceling statement|timeout exceeded|timed out/i.test(msg)) {
+    return { status: 504, code: "DB_TIMEOUT", message: "Database query timed out" };
+  }
+  if (/^(08|53|57P)/.test(pgCode) || /ECONNREFUSED|ECONNRESET|Connection terminated|connect ETIMEDOUT/i.test(msg)) {
+    return { status: 503, code: "DB_UNAVAILABLE", message: "Database unavailable" };
+  }
+  if (/^[0-9A-Z]{5}$/.test(pgCode)) return { status: 500, code: "DB_ERROR", message: msg };
+  return { status: 500, code: "INTERNAL_ERROR", message: msg };
+}
+
+const UEI_RE = /^[A-HJ-NP-Z1-9][A-HJ-NP-Z0-9]{11}$/; // SAM UEI: 12 chars, no I/O, no leading 0
+const PIID_RE = /^[A-Z0-9][A-Z0-9_.-]{2,49}$/;
+const NOTICE_ID_RE = /^[0-9A-F]{32}$/; // SAM opportunity noticeId (hex; compared upper-cased)
+const FORMAT_CODES = { uei: "INVALID_UEI", piid: "INVALID_PIID", noticeId: "INVALID_NOTICE_ID" };
+const FORMAT_RES = { uei: UEI_RE, piid: PIID_RE, noticeId: NOTICE_ID_RE };
+
+/** Validate + normalize one value against a param spec; returns { value } or { error }. */
+function checkParam(name, spec, raw) {
+  const fail = (code, message) => ({ error: { field: name, code, message } });
+  if (raw == null || raw === "" || (Array.isArray(raw) && !raw.length)) {
+    if (spec.required) return fail("MISSING_FIELD", `${name} is required`);
+    return { value: spec.default };
+  }
+  let v = raw;
+  switch (spec.type) {
+    case "string": {
+      if (typeof v !== "string" && typeof v !== "number") return fail("INVALID_TYPE", `${name} must be a string`);
+      v = String(v).trim();
+      if (spec.format) {
+        v = v.toUpperCase();
+        if (!FORMAT_RES[spec.format].test(v)) return fail(FORMAT_CODES[spec.format], `${name} is not a valid ${spec.format.toUpperCase()}`);
+      }
+      if (spec.enum) {
+        const hit = spec.enum.find((x) => x.toLowerCase() === v.toLowerCase());
+        if (!hit) return fail("INVALID_ENUM", `${name} must be one of: ${spec.enum.join(", ")}`);
+        v = hit;
+      }
+      if (spec.maxLength && v.length > spec.maxLength) return fail("TOO_LONG", `${name} must be at most ${spec.maxLength} characters`);
+      break;
+    }
+    case "integer":
+    case "number": {
+      const s = String(v).trim();
+      const n = spec.type === "integer" ? (/^-?\d+$/.test(s) ? parseInt(s, 10) : NaN) : Number(s);
+      if (!Number.isFinite(n)) return fail(spec.type === "integer" ? "INVALID_INTEGER" : "INVALID_NUMBER", `${name} must be a${spec.type === "integer" ? "n integer" : " number"}`);
+      if ((spec.minimum != null && n < spec.minimum) || (spec.maximum != null && n > spec.maximum)) {
+        const range = [spec.minimum != null ? `>= ${spec.minimum}` : null, spec.maximum != null ? `<= ${spec.maximum}` : null].filter(Boolean).join(" and ");
+        return fail("OUT_OF_RANGE", `${name} must be ${range}`);
+      }
+      v = n;
+      break;
+    }
+    case "boolean": {
+      if (typeof v === "boolean") break;
+      const s = String(v).trim().toLowerCase();
+      if (!["true", "false", "1", "0"].includes(s)) return fail("INVALID_TYPE", `${name} must be true or false`);
+      v = s === "true" || s === "1";
+      break;
+    }
+    case "array": {
+      if (typeof v === "string") v = v.split(",").map((x) => x.trim()).filter(Boolean);
+      if (!Array.isArray(v)) return fail("INVALID_TYPE", `${name} must be an array`);
+      if (spec.maxItems && v.length > spec.maxItems) return fail("TOO_MANY_ITEMS", `${name} accepts at most ${spec.maxItems} items`);
+      if (spec.items) {
+        const out = [];
+        for (let i = 0; i < v.length; i++) {
+          const r = checkParam(`${name}[${i}]`, spec.items, v[i]);
+          if (r.error) return r;
+          out.push(r.value);
+        }
+        v = out;
+      }
+      break;
+    }
+    case "object": {
+      if (typeof v !== "object" || Array.isArray(v)) return fail("INVALID_TYPE", `${name} must be an object`);
+      break;
+    }
+  }
+  return { value: v };
+}
+
+/**
+ * Central request validation from the route's param schema. Returns { raw, input } where
+ * input = raw fields overlaid with normalized known fields; throws ApiError on bad input.
+ */
+async function validateRequest(route, request, url, params = {}) {
+  let raw = Object.fromEntries(url.searchParams.entries());
+  let specs = route.query || {};
+  if (request.method === "POST" && route.body) {
+    const txt = await request.text();
+    let body = {};
+    if (txt.trim()) {
+      try { body = JSON.parse(txt); } catch {
+        throw new ApiError(400, "INVALID_JSON", "Request body is not valid JSON");
+      }
+    }
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      throw new ApiError(400, "INVALID_JSON", "Request body must be a JSON object");
+    }
+    raw = body;
+    specs = route.body;
+  }
+  const input = { ...raw };
+  const fields = [];
+  for (const [name, spec] of Object.entries(specs)) {
+    const r = checkParam(name, spec, raw[name]);
+    if (r.error) fields.push(r.error);
+    else if (r.value !== undefined) input[name] = r.value;
+  }
+  for (const [name, spec] of Object.entries(route.params || {})) {
+    const r = checkParam(name, spec, params[name]);
+    if (r.error) fields.push(r.error);
+    else input[name] = r.value;
+  }
+  if (fields.length) {
+    const code = fields.length === 1 ? fields[0].code : "VALIDATION_FAILED";
+    const message = fields.length === 1 ? fields[0].message : "Request validation failed";
+    throw new ApiError(400, code, message, { fields });
+  }
+  return { raw, input };
+}
+
 /* =====================================================================
    D A T A B A S E
    ===================================================================== */
-function makeClient(env) {
-  return new Client({
+/**
+ * Per-request timing collector. Spans with the same name accumulate (e.g. every query
+ * lands in "db"); the dispatcher reports them as a Server-Timing header.
+ */
+function createTiming() {
+  const started = Date.now();
+  const spans = new Map();
+  return {
+    async time(name, fn) {
+      const t0 = Date.now();
+      try {
+        return await fn();
+      } finally {
+        const s = spans.get(name) || { dur: 0, count: 0 };
+        s.dur += Date.now() - t0;
+        s.count += 1;
+        spans.set(name, s);
+      }
+    },
+    header(routeId) {
+      const parts = [`total;dur=${Date.now() - started};desc="${routeId}"`];
+      for (const [name, s] of spans) parts.push(`${name};dur=${s.dur};desc="${s.count}x"`);
+      return parts.join(", ");
+    },
+  };
+}
+
+function makeClient(env, timing) {
+  const client = new Client({
     connectionString: env.HYPERDRIVE.connectionString,
     ssl: { rejectUnauthorized: false },
     connectionTimeoutMillis: 15000,
   });
+  if (timing) {
+    const connect = client.connect.bind(client);
+    const query = client.query.bind(client);
+    client.connect = () => timing.time("connect", connect);
+    client.query = (...args) => timing.time("db", () => query(...args));
+  }
+  return client;
+}
+
+/**
+ * Run independent queries side by side. A pg Client executes one statement at a time,
+ * so each job gets its own (Hyperdrive-pooled) connection.
+ */
+async function parallelQueries(env, timing, statementTimeout, jobs) {
+  return Promise.all(
+    jobs.map(async (job) => {
+      const client = makeClient(env, timing);
+      try {
+        await client.connect();
+        await client.query(`SET statement_timeout = '${statementTimeout}'`);
+        return await job(client);
+      } finally {
+        try { await client.end(); } catch {}
+      }
+    })
+  );
 }
 
 const TBL_FAST = "public.usaspending_awards_fast";
 const TBL_V2   = "public.usaspending_awards_v2";
+const FAST_PROBE_TTL_MS = 5 * 60 * 1000;
+const FAST_PROBE_TIMEOUT = "1500ms";
+let fastProbe = { useFast: null, at: 0 }; // isolate-wide; re-probed after FAST_PROBE_TTL_MS
 
-/** Probe the materialized view safely; ok if you don’t have it. */
+/** Probe the materialized view safely (ok if you don’t have it); the answer is cached per isolate. */
 async function preferFast(client) {
+  if (fastProbe.useFast !== null && Date.now() - fastProbe.at < FAST_PROBE_TTL_MS) return fastProbe.useFast;
+  let useFast = false;
   try {
+    // SET LOCAL only applies inside a transaction; scope the short timeout to the probe.
+    await client.query("BEGIN");
+    await client.query(`SET LOCAL statement_timeout = '${FAST_PROBE_TIMEOUT}'`);
     const r = await client.query(
       `SELECT ispopulated
          FROM pg_matviews
@@ -55,25 +274,28 @@ async function preferFast(client) {
     );
     const populated =
       r.rows && r.rows[0] && (r.rows[0].ispopulated === true || r.rows[0].ispopulated === "t");
-    if (!populated) return false;
-
-    await client.query(`SET LOCAL statement_timeout = '1500ms'`);
-    await client.query(`SELECT 1 FROM ${TBL_FAST} LIMIT 1`);
-    return true;
+    if (populated) {
+      await client.query(`SELECT 1 FROM ${TBL_FAST} LIMIT 1`);
+      useFast = true;
+    }
+    await client.query("COMMIT");
   } catch {
-    return false;
+    try { await client.query("ROLLBACK"); } catch {}
   }
+  fastProbe = { useFast, at: Date.now() };
+  return useFast;
 }
 
-/** Prefer FAST when available; otherwise fall back to v2. */
+/** Prefer FAST when available; otherwise fall back to v2 (and stop preferring FAST until the next probe). */
 async function queryPreferringFast(client, mkSQL, params) {
   const useFast = await preferFast(client);
   const sql = mkSQL(useFast ? TBL_FAST : TBL_V2);
   try {
     return await client.query(sql, params);
   } catch (e) {
-    if (useFast) return await client.query(mkSQL(TBL_V2), params);
-    throw e;
+    if (!useFast) throw e;
+    fastProbe = { useFast: false, at: Date.now() };
+    return await client.query(mkSQL(TBL_V2), params);
   }
 }
 
@@ -93,27 +315,84 @@ async function fetchJSON(u, init) {
   return j;
 }
 
+/* ---------------- keyset cursors ---------------- */
+/*
+  List routes page by keyset: the response carries nextCursor = the last row's sort key,
+  and the next request resumes strictly after it. Cursors are opaque base64url JSON
+  { s: <sort>, k: [...key] } so a cursor can't be replayed against a different ordering.
+*/
+function encodeCursor(sort, key) {
+  const bytes = new TextEncoder().encode(JSON.stringify({ s: sort, k: key }));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function decodeCursor(cursor, sort) {
+  if (!cursor) return null;
+  try {
+    const bin = atob(cursor.replace(/-/g, "+").replace(/_/g, "/"));
+    const obj = JSON.parse(new TextDecoder().decode(Uint8Array.from(bin, (ch) => ch.charCodeAt(0))));
+    if (obj && obj.s === sort && Array.isArray(obj.k)) return obj.k;
+  } catch {}
+  throw new ApiError(400, "INVALID_CURSOR", "cursor is malformed or was issued for a different sort");
+}
+
+/** Federal fiscal year for a date (FY starts Oct 1). */
+function fiscalYearOf(d = new Date()) {
+  return d.getUTCFullYear() + (d.getUTCMonth() >= 9 ? 1 : 0);
+}
+
+/** Clamp an optional { fromFy, toFy } pair; defaults to the last `span` fiscal years. */
+function fiscalYearRange(fromFy, toFy, span = 5) {
+  const thisFy = fiscalYearOf();
+  const to = Math.min(thisFy, toFy ?? thisFy);
+  const from = Math.max(2000, Math.min(to, fromFy ?? to - (span - 1)));
+  return { fromFy: from, toFy: to };
+}
+
+/** Escape LIKE wildcards in user text (pair with ESCAPE '!'). */
+const likeEscape = (s) => String(s).replace(/[!%_]/g, "!$&");
+
+/* ---------------- SAM entity registration ---------------- */
+const SAM_ENTITY_SECTIONS = "entityRegistration,coreData,assertions,pointsOfContact";
+const SAM_EXPIRY_WARN_DAYS = 60; // "expiringSoon" window for registration lapses
+
+/**
+ * Raw SAM entity record for a UEI (null when SAM has none). Edge-cached for a day; every SAM
+ * entity lookup goes through here so they share one upstream cache entry per UEI.
+ */
+async function fetchSamEntityRecord(uei, env) {
+  const key = env.SAM_API_KEY;
+  if (!key) throw new ApiError(503, "SAM_NOT_CONFIGURED", "SAM_API_KEY is not configured");
+  const u = new URL("https://api.sam.gov/entity-information/v2/entities");
+  u.searchParams.set("ueiSAM", uei);
+  u.searchParams.set("includeSections", SAM_ENTITY_SECTIONS);
+  u.searchParams.set("api_key", key);
+  const r = await fetch(u.toString(), { cf: { cacheTtl: 86400, cacheEverything: true } });
+  if (!r.ok) {
+    throw new ApiError(r.status >= 500 ? 502 : 400, "UPSTREAM_SAM_ERROR", "SAM entity lookup failed", {
+      details: { status: r.status, upstream: (await r.text().catch(() => "")).slice(0, 500) },
+    });
+  }
+  const j = await r.json().catch(() => null);
+  return j && j.entityRegistration
+    ? j
+    : Array.isArray(j && j.entityData)
+    ? j.entityData[0] || null
+    : Array.isArray(j && j.entities)
+    ? j.entities[0] || null
+    : Array.isArray(j && j.results)
+    ? j.results[0] || null
+    : null;
+}
+
 /** Best-effort website lookup via SAM entity API (cached). */
 async function fetchVendorWebsiteByUEI(uei, env) {
-  const key = env.SAM_API_KEY;
-  if (!key || !uei) return null;
+  if (!env.SAM_API_KEY || !uei) return null;
   try {
-    const u = new URL("https://api.sam.gov/entity-information/v2/entities");
-    u.searchParams.set("ueiSAM", uei);
-    u.searchParams.set("api_key", key);
-    const r = await fetch(u.toString(), { cf: { cacheTtl: 86400, cacheEverything: true } });
-    if (!r.ok) return null;
-    const j = await r.json().catch(() => null);
-    const ent =
-      j && j.entityRegistration
-        ? j.entityRegistration
-        : Array.isArray(j && j.entities)
-        ? j.entities[0]
-        : Array.isArray(j && j.results)
-        ? j.results[0]
-        : null;
+    const ent = await fetchSamEntityRecord(uei, env);
     const website =
       ent?.coreData?.businessInformation?.url ??
+      ent?.coreData?.entityInformation?.entityURL ??
       ent?.coreData?.generalInformation?.corporateUrl ??
       ent?.coreData?.generalInformation?.url ??
       null;
@@ -123,1035 +402,4747 @@ async function fetchVendorWebsiteByUEI(uei, env) {
   }
 }
 
-/* ---------------- text utils (domain-agnostic) ---------------- */
-const STOP = new Set(
-  ("the a an and or of for to from in on at with without into over under before after during " +
-   "is are was were be been being by this that these those as it its their his her our your you " +
-   "we they them not no yes do does did done can could should would will may might must such " +
-   "any all each other more most some same own per via than then there here where when while " +
-   "subject requirement provide provides provided providing support supports solution solutions " +
-   "services service systems system include includes including perform performs performed performing")
-  .split(/\\s+/)
-);
-function normalize(s) {
-  return String(s || "")
-    .toLowerCase()
-    .replace(/https?:\\/\\/\\S+/g, " ")
-    .replace(/[^a-z0-9\\s]/g, " ")
-    .replace(/\\s+/g, " ")
-    .trim();
-}
-function tokenize(s) {
-  return normalize(s)
-    .split(/\\s+/)
-    .filter((w) => w && w.length > 2 && !STOP.has(w));
-}
-function bag(words) {
-  const m = new Map();
-  for (const w of words) m.set(w, (m.get(w) || 0) + 1);
-  return m;
-}
-function cosineFromBags(A, B) {
-  let dot = 0, na = 0, nb = 0;
+const samYN = (v) => (v === "Y" || v === true ? true : v === "N" || v === false ? false : null);
+
+function samAddress(a) {
+  if (!a) return null;
+  const zip = [a.zipCode, a.zipCodePlus4].filter(Boolean).join("-");
+  return {
+    line1: a.addressLine1 || null,
+    line2: a.addressLine2 || null,
+    city: a.city || null,
+    state: a.stateOrProvinceCode || null,
+    zip: zip || null,
+    country: a.countryCode || null,
+  };
+}
+
+function samPoc(role, p) {
+  if (!p || !(p.firstName || p.lastName)) return null;
+  return {
+    role,
+    name: [p.firstName, p.middleInitial, p.lastName].filter(Boolean).join(" "),
+    title: p.title || null,
+    email: p.email || null, // only present with a FOUO-level key
+    phone: p.usPhone || p.nonUSPhone || null,
+    city: p.city || null,
+    state: p.stateOrProvinceCode || null,
+  };
+}
+
+/** Registration status with days to expiry; expiringSoon inside SAM_EXPIRY_WARN_DAYS. */
+function samRegistrationStatus(reg, now = Date.now()) {
+  const exp = reg?.registrationExpirationDate ? Date.parse(reg.registrationExpirationDate) : NaN;
+  const days = Number.isFinite(exp) ? Math.floor((exp - now) / 86400000) : null;
+  return {
+    status: reg?.registrationStatus || null,
+    expirationDate: reg?.registrationExpirationDate || null,
+    daysUntilExpiration: days,
+    expired: days != null && days < 0,
+    expiringSoon: days != null && days >= 0 && days <= SAM_EXPIRY_WARN_DAYS,
+  };
+}
+
+/** Flatten a SAM entity record into the fields the UI shows. */
+function normalizeSamEntity(ent) {
+  const reg = ent.entityRegistration || {};
+  const core = ent.coreData || {};
+  const gen = core.generalInformation || {};
+  const info = core.entityInformation || {};
+  const gs = ent.assertions?.goodsAndServices || {};
+  const pocs = ent.pointsOfContact || {};
+  const primary = gs.primaryNaics || null;
+  return {
+    uei: reg.ueiSAM || null,
+    cageCode: reg.cageCode || null,
+    legalBusinessName: reg.legalBusinessName || null,
+    dbaName: reg.dbaName || null,
+    registration: {
+      ...samRegistrationStatus(reg),
+      registrationDate: reg.registrationDate || null,
+      activationDate: reg.activationDate || null,
+      lastUpdateDate: reg.lastUpdateDate || null,
+      purpose: reg.purposeOfRegistrationDesc || null,
+      exclusionStatusFlag: samYN(reg.exclusionStatusFlag),
+    },
+    website: info.entityURL || core.businessInformation?.url || null,
+    startDate: info.entityStartDate || null,
+    physicalAddress: samAddress(core.physicalAddress),
+    mailingAddress: samAddress(core.mailingAddress),
+    structure: {
+      entityStructure: gen.entityStructureDesc || null,
+      entityType: gen.entityTypeDesc || null,
+      profitStructure: gen.profitStructureDesc || null,
+      organizationStructure: gen.organizationStructureDesc || null,
+      stateOfIncorporation: gen.stateOfIncorporationCode || null,
+      countryOfIncorporation: gen.countryOfIncorporationCode || null,
+    },
+    naics: (gs.naicsList || []).map((n) => ({
+      code: n.naicsCode != null ? String(n.naicsCode) : null,
+      description: n.naicsDescription || null,
+      primary: primary != null && String(n.naicsCode) === String(primary),
+      smallBusiness: samYN(n.sbaSmallBusiness),
+      exception: n.naicsException || null,
+    })),
+    psc: (gs.pscList || []).map((p) => p.pscCode).filter(Boolean),
+    businessTypes: (core.businessTypes?.businessTypeList || []).map((b) => b.businessTypeDesc).filter(Boolean),
+    sbaCertifications: (core.businessTypes?.sbaBusinessTypeList || [])
+      .filter((b) => b.sbaBusinessTypeDesc)
+      .map((b) => ({
+        code: b.sbaBusinessTypeCode || null,
+        type: b.sbaBusinessTypeDesc,
+        entryDate: b.certificationEntryDate || null,
+        exitDate: b.certificationExitDate || null,
+      })),
+    pointsOfContact: [
+      samPoc("governmentBusiness", pocs.governmentBusinessPOC),
+      samPoc("governmentBusinessAlternate", pocs.governmentBusinessAlternatePOC),
+      samPoc("electronicBusiness", pocs.electronicBusinessPOC),
+      samPoc("electronicBusinessAlternate", pocs.electronicBusinessAlternatePOC),
+      samPoc("pastPerformance", pocs.pastPerformancePOC),
+      samPoc("pastPerformanceAlternate", pocs.pastPerformanceAlternatePOC),
+    ].filter(Boolean),
+  };
+}
+
+/* ---------------- corpus weighting (TF-IDF / BM25 over SBA narratives + txn descriptions) ---------------- */
+const WEIGHT_MODELS = new Set(["bm25", "tfidf", "tf"]);
+const CORPUS_TTL_MS = 24 * 3600 * 1000;
+const CORPUS_SAMPLE = 5000;
+let corpusMemo = null; // { stats, at } — per isolate
+let corpusBuild = null; // the isolate's in-flight build, shared by every request that misses
+
+/** Document frequencies from a sample of narratives and distinct transaction descriptions. */
+async function buildCorpusStats(client) {
+  const caps = await client.query(
+    `SELECT capabilities_narrative AS t
+       FROM sba.smallbiz_v
+      WHERE NULLIF(TRIM(capabilities_narrative), '') IS NOT NULL
+      LIMIT ${CORPUS_SAMPLE}`
+  );
+  const tx = await client.query(
+    `SELECT DISTINCT t FROM (
+       SELECT transaction_description AS t
+         FROM fp.contract_txn_min_v1
+        WHERE transaction_description IS NOT NULL
+        LIMIT ${CORPUS_SAMPLE * 4}
+     ) x
+     LIMIT ${CORPUS_SAMPLE}`
+  );
+  const df = new Map();
+  let n = 0, totalLen = 0;
+  for (const r of [...(caps.rows || []), ...(tx.rows || [])]) {
+    const terms = tokenize(r.t);
+    if (!terms.length) continue;
+    n++;
+    totalLen += terms.length;
+    for (const w of new Set(terms)) df.set(w, (df.get(w) || 0) + 1);
+  }
+  // Singletons carry no more information than unseen terms; drop them to keep the cache small.
+  for (const [w, c] of df) if (c < 2) df.delete(w);
+  return { n, avgdl: n ? totalLen / n : 0, df, builtAt: new Date().toISOString() };
+}
+
+/** Build the stats on a connection of its own, then publish them to isolate memory and the edge cache. */
+async function refreshCorpusStats(env, cacheKey) {
+  const client = makeClient(env);
+  let stats;
+  try {
+    await client.connect();
+    await client.query(`SET statement_timeout = '30s'`);
+    stats = await buildCorpusStats(client);
+  } finally {
+    try { await client.end(); } catch {}
+  }
+  if (!stats.n) return null;
+  corpusMemo = { stats, at: Date.now() };
+  const body = JSON.stringify({ n: stats.n, avgdl: stats.avgdl, builtAt: stats.builtAt, df: Array.from(stats.df) });
+  await caches.default.put(cacheKey, new Response(body, {
+    headers: { "Content-Type": "application/json", "Cache-Control": "public, s-maxage=86400" },
+  }));
+  return stats;
+}
+
+/**
+ * Corpus stats from isolate memory, then the edge cache. A miss (or stale memory) queues one
+ * background build per isolate with ctx.waitUntil and never blocks the request: it returns the
+ * stale stats, or null so the caller scores with raw tf until the build lands.
+ */
+async function getCorpusStats(env, ctx, origin) {
+  if (corpusMemo && Date.now() - corpusMemo.at < CORPUS_TTL_MS) return corpusMemo.stats;
+  const cacheKey = new Request(new URL("/sb/__corpus-stats/v2", origin).toString());
+  if (!corpusMemo) {
+    try {
+      const hit = await caches.default.match(cacheKey);
+      if (hit) {
+        const j = await hit.json();
+        const stats = { n: j.n, avgdl: j.avgdl, df: new Map(j.df), builtAt: j.builtAt };
+        corpusMemo = { stats, at: Date.parse(j.builtAt) || Date.now() };
+        return stats;
+      }
+    } catch {}
+  }
+  if (!corpusBuild) {
+    corpusBuild = refreshCorpusStats(env, cacheKey)
+      .catch(() => null) // best-effort: the next miss tries again
+      .finally(() => { corpusBuild = null; });
+  }
+  if (ctx) ctx.waitUntil(corpusBuild);
+  return corpusMemo ? corpusMemo.stats : null;
+}
+
+function idfOf(stats, term, model) {
+  const d = stats.df.get(term) || 0;
+  return model === "tfidf"
+    ? Math.log((stats.n + 1) / (d + 1)) + 1
+    : Math.log(1 + (stats.n - d + 0.5) / (d + 0.5));
+}
+
+/** Re-weight a term-count bag; "tf" (or missing stats) returns raw counts. */
+function weightBag(b, stats, model = "bm25") {
+  if (!stats || model === "tf") return b;
+  const k1 = 1.2, bb = 0.75;
+  let dl = 0;
+  for (const [, v] of b) dl += v;
+  const norm = stats.avgdl ? dl / stats.avgdl : 1;
+  const out = new Map();
+  for (const [t, tf] of b) {
+    const idf = idfOf(stats, t, model);
+    const w = model === "tfidf"
+      ? (1 + Math.log(tf)) * idf
+      : idf * ((tf * (k1 + 1)) / (tf + k1 * (1 - bb + bb * norm)));
+    out.set(t, w);
+  }
+  return out;
+}
+
+/** Each shared term's share of cosine(A, B), largest first. */
+function termContributions(A, B, max = 12) {
+  let na = 0, nb = 0;
   for (const [, v] of A) na += v * v;
   for (const [, v] of B) nb += v * v;
-  for (const [k, va] of A) dot += va * (B.get(k) || 0);
   const d = Math.sqrt(na) * Math.sqrt(nb);
-  return d ? dot / d : 0;
+  if (!d) return [];
+  const out = [];
+  for (const [t, va] of A) {
+    const vb = B.get(t);
+    if (vb) out.push({ term: t, weight: Math.round(((va * vb) / d) * 10000) / 10000 });
+  }
+  return out.sort((x, y) => y.weight - x.weight).slice(0, max);
 }
-function topTermsFrom(text, max = 20) {
-  const b = bag(tokenize(text));
-  return Array.from(b.entries())
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, max)
-    .map(([term, freq]) => ({ term, freq }));
+
+/** Resolve the requested weighting model; falls back to raw tf when corpus stats are unavailable. */
+function weightingInfo(requested, stats) {
+  const want = WEIGHT_MODELS.has(String(requested || "").toLowerCase()) ? String(requested).toLowerCase() : "bm25";
+  const model = stats ? want : "tf";
+  return {
+    model,
+    requested: want,
+    corpusDocs: stats ? stats.n : 0,
+    corpusBuiltAt: stats ? stats.builtAt : null,
+  };
 }
 
-/* =====================================================================
-   W O R K E R   E N T R Y
-   ===================================================================== */
-export default {
-  async fetch(request, env, ctx) {
-    const url = new URL(request.url);
-    const origin = request.headers.get("Origin") || "";
-    const headers = cors(origin, env);
+/* ---------------- opportunity fit (SAM notice vs. capabilities narrative) ---------------- */
+/**
+ * Text we can score for a SAM notice. Search results carry the description as a link to the
+ * SAM description endpoint, so it only counts once it has been fetched as text.
+ */
+function opportunityText(o) {
+  const description = typeof o.description === "string" && !/^https?:\/\//i.test(o.description.trim()) ? o.description : null;
+  return [o.title, description, o.classificationCode, o.typeOfSetAsideDescription]
+    .filter((x) => x && typeof x === "string")
+    .join(" ");
+}
 
-    if (request.method === "OPTIONS") {
-      return new Response(null, { status: 204, headers });
-    }
+/**
+ * Score one notice against a (corpus-weighted) capabilities bag + NAICS set; the notice text
+ * is weighted with the same corpus stats and model.
+ * fit_0to100 = 80 * cosine + 20 for an exact NAICS hit (10 for same 4-digit industry).
+ */
+function scoreOpportunityFit(o, capsBag, naicsSet, corpus, model) {
+  const oppBag = weightBag(bag(tokenize(opportunityText(o))), corpus, model);
+  const cos = capsBag.size && oppBag.size ? cosineFromBags(capsBag, oppBag) : 0;
 
-    const segments = url.pathname.split("/").filter(Boolean);
-    // Expect base like /sb/...
-    const last = segments[segments.length - 1] || "";
+  const codes = [o.naicsCode, ...(Array.isArray(o.naicsCodes) ? o.naicsCodes : [])]
+    .map((c) => String(c || "").replace(/\D+/g, ""))
+    .filter(Boolean);
+  let naicsMatch = null;
+  if (codes.some((c) => naicsSet.has(c))) naicsMatch = "exact";
+  else if (codes.some((c) => Array.from(naicsSet).some((m) => m.slice(0, 4) === c.slice(0, 4)))) naicsMatch = "industry";
 
-    /* -------------------- health -------------------- */
-    if (last === "health") {
-      return new Response(JSON.stringify({ ok: true }), {
-        status: 200,
-        headers: { ...headers, "Content-Type": "application/json" },
-      });
-    }
+  const shared = Array.from(oppBag.keys())
+    .filter((k) => capsBag.has(k))
+    .map((term) => ({
+      term,
+      mine: Math.round(capsBag.get(term) * 10000) / 10000,
+      opp: Math.round(oppBag.get(term) * 10000) / 10000,
+    }))
+    .sort((x, y) => y.mine * y.opp - x.mine * x.opp)
+    .slice(0, 12);
 
-    /* -------------------- agencies (cached 24h) -------------------- */
-    if (last === "agencies") {
-      const cache = caches.default;
-      const cacheKey = new Request(url.toString(), request);
-      const cached = await cache.match(cacheKey);
-      if (cached) {
-        return withCors(
-          cached,
-          { ...headers, "Cache-Control": "public, s-maxage=86400, stale-while-revalidate=604800" }
-        );
-      }
+  const naicsPoints = naicsMatch === "exact" ? 20 : naicsMatch === "industry" ? 10 : 0;
+  return {
+    fit_0to100: Math.round(cos * 80) + naicsPoints,
+    cosine: Math.round(cos * 1000) / 1000,
+    naicsMatch,
+    naicsCodes: codes,
+    shared_keywords: shared,
+  };
+}
 
-      const client = makeClient(env);
-      try {
-        await client.connect();
-        await client.query(`SET statement_timeout = '20s'`);
-        const mkSQL = (t) => \`
-          SELECT DISTINCT name FROM (
-            SELECT awarding_agency_name      AS name FROM \${t} WHERE awarding_agency_name IS NOT NULL
-            UNION
-            SELECT awarding_sub_agency_name AS name FROM \${t} WHERE awarding_sub_agency_name IS NOT NULL
-            UNION
-            SELECT awarding_office_name     AS name FROM \${t} WHERE awarding_office_name IS NOT NULL
-          ) x WHERE name IS NOT NULL
-          ORDER BY name LIMIT 400\`;
-        const { rows } = await queryPreferringFast(client, mkSQL, []);
-        const res = new Response(JSON.stringify({ ok: true, rows }), {
-          status: 200,
-          headers: {
-            ...headers,
-            "Content-Type": "application/json",
-            "Cache-Control": "public, s-maxage=86400, stale-while-revalidate=604800",
-          },
-        });
-        ctx.waitUntil(cache.put(cacheKey, res.clone()));
-        return res;
-      } catch (e) {
-        return new Response(
-          JSON.stringify({ ok: false, error: (e && e.message) || "query failed" }),
-          { status: 500, headers: { ...headers, "Content-Type": "application/json" } }
-        );
-      } finally {
-        try { await client.end(); } catch {}
-      }
-    }
+/* =====================================================================
+   L I F E C Y C L E
+   ===================================================================== */
+/** End of the performance window: potential end first, then current end. */
+function popEndDate(a) {
+  const raw = a.pop_potential_end_date || a.pop_current_end_date || null;
+  return raw ? new Date(raw) : null;
+}
 
-    /* -------------------- sba-caps (get capabilities narratives by UEI) -------------------- */
-    // GET /sb/sba-caps?uei=<your UEI>&incumbentUei=<prime UEI>
-    if (last === "sba-caps") {
-      const uei = (url.searchParams.get("uei") || "").trim().toUpperCase();
-      const incUei = (url.searchParams.get("incumbentUei") || "").trim().toUpperCase();
-
-      if (!uei) {
-        return new Response(JSON.stringify({ ok: false, error: "missing uei" }), {
-          status: 400,
-          headers: { ...headers, "Content-Type": "application/json" },
-        });
-      }
+/** Stage an award within its period of performance (shared by insights + recompetes). */
+function lifecycleStage(start, end, now = Date.now()) {
+  let stage = "unknown", label = "Lifecycle insight limited", windowLabel = "Window unknown", elapsedPct = null;
+  if (start && end && end > start) {
+    const t = end.getTime() - start.getTime();
+    const e = Math.min(Math.max(now, start.getTime()), end.getTime()) - start.getTime();
+    const pct = Math.round((e / t) * 100);
+    elapsedPct = pct;
+    if (now < start.getTime()) { stage = "not_started"; label = "Not started yet"; windowLabel = "Window not opened"; }
+    else if (now > end.getTime()) { stage = "complete"; label = "Performance complete"; windowLabel = "Window passed"; }
+    else if (pct < 25) { stage = "early"; label = "Early stage"; windowLabel = "In performance window"; }
+    else if (pct < 75) { stage = "mid"; label = "Mid-stage"; windowLabel = "In performance window"; }
+    else { stage = "late"; label = "Late / near end"; windowLabel = "In performance window"; }
+  }
+  return { stage, label, windowLabel, elapsedPct };
+}
 
-      const client = makeClient(env);
-      try {
-        await client.connect();
-        await client.query(`SET statement_timeout = '15s'`);
-
-        const fetchOne = async (xUei) => {
-          if (!xUei) return null;
-          const q = \`
-            SELECT
-              uei,
-              business_name,
-              NULLIF(TRIM(capabilities_narrative), '') AS capabilities_narrative
-            FROM sba.smallbiz_v
-            WHERE UPPER(uei) = $1
-            ORDER BY NULLIF(TRIM(last_updated_date), '') DESC NULLS LAST
-            LIMIT 1\`;
-          const { rows } = await client.query(q, [xUei]);
-          return rows?.[0] || null;
-        };
+const MS_PER_MONTH = 30.44 * 86400000;
 
-        const mine = await fetchOne(uei);
-        const incumbent = incUei ? await fetchOne(incUei) : null;
+/**
+ * Spend-rate forecast from a transaction series [{ date, obligation }].
+ * Trailing burn = net obligations over the last `trailingMonths`; exhaustion projects the
+ * remaining ceiling at that rate and compares it with the end of the performance window.
+ */
+function burnForecast(points, { obligated, ceiling, end, now = Date.now(), trailingMonths = 12 }) {
+  const since = now - trailingMonths * MS_PER_MONTH;
+  let trailingObligated = 0, trailingActions = 0;
+  for (const p of points || []) {
+    const t = p.date ? new Date(p.date).getTime() : NaN;
+    if (!Number.isFinite(t) || t < since || t > now) continue;
+    trailingObligated += Number(p.obligation || 0);
+    trailingActions++;
+  }
+  const monthlyBurnRate = trailingObligated / trailingMonths;
+  const remainingCeiling = ceiling && ceiling > 0 ? Math.max(0, ceiling - (obligated || 0)) : null;
 
-        return new Response(JSON.stringify({ ok: true, mine, incumbent }), {
-          status: 200,
-          headers: { ...headers, "Content-Type": "application/json" },
-        });
-      } catch (e) {
-        return new Response(JSON.stringify({ ok: false, error: e?.message || "query failed" }), {
-          status: 500,
-          headers: { ...headers, "Content-Type": "application/json" },
-        });
-      } finally {
-        try { await client.end(); } catch {}
-      }
+  let projectedExhaustionDate = null, exhaustsBeforeEnd = null, monthsBeforeEnd = null, signal = "insufficient_data";
+  let at = null;
+  if (remainingCeiling === 0) {
+    at = now;
+    signal = "ceiling_exhausted";
+  } else if (remainingCeiling != null && trailingActions && monthlyBurnRate > 0) {
+    at = now + (remainingCeiling / monthlyBurnRate) * MS_PER_MONTH;
+  } else if (remainingCeiling != null) {
+    signal = "no_recent_obligations";
+  }
+  if (at != null) {
+    projectedExhaustionDate = new Date(at).toISOString().slice(0, 10);
+    if (end) {
+      exhaustsBeforeEnd = at < end.getTime();
+      monthsBeforeEnd = Math.round(((end.getTime() - at) / MS_PER_MONTH) * 10) / 10;
+      if (signal !== "ceiling_exhausted") signal = exhaustsBeforeEnd ? "early_exhaustion" : "within_ceiling";
+    } else if (signal !== "ceiling_exhausted") {
+      signal = "end_date_unknown";
     }
+  }
 
-    /* -------------------- capabilities compare (cosine-based; explainable) -------------------- */
-    /*
-      POST /sb/cap-compare
-      Body: { my: "<UEI>", inc: "<UEI|null>", txDescs?: string[] }
-    */
-    if (last === "cap-compare" && request.method === "POST") {
-      try {
-        const body = await request.json().catch(() => ({}));
-        const myUEI = String(body?.my || "").trim().toUpperCase();
-        const incUEI = String(body?.inc || "").trim().toUpperCase();
-        const txDescs = Array.isArray(body?.txDescs) ? body.txDescs : [];
+  return {
+    trailingMonths,
+    trailingObligated,
+    trailingActions,
+    monthlyBurnRate: Math.round(monthlyBurnRate),
+    remainingCeiling,
+    projectedExhaustionDate,
+    potentialEndDate: end ? end.toISOString().slice(0, 10) : null,
+    exhaustsBeforeEnd,
+    monthsBeforeEnd,
+    signal,
+  };
+}
 
-        const client = makeClient(env);
-        let mine = { uei: myUEI, name: null, narrative: "" };
-        let inc  = { uei: incUEI || null, name: null, narrative: "" };
+/* ---------------- modification classification (FPDS action_type + description) ---------------- */
+const MOD_CLASSES = {
+  base_award: "Base award",
+  option_exercise: "Option exercise",
+  funding_only: "Funding-only",
+  scope_change: "Scope change",
+  administrative: "Administrative",
+  termination: "Termination",
+  novation: "Novation / name change",
+  other: "Other",
+};
 
-        try {
-          await client.connect();
-          await client.query(\`SET statement_timeout = '12s'\`);
-
-          const sql = \`
-            select uei, business_name as name, coalesce(nullif(capabilities_narrative,''), '') as narrative
-            from sba.smallbiz_v
-            where upper(uei) = upper($1)
-            limit 1\`;
-
-          if (myUEI) {
-            const r1 = await client.query(sql, [myUEI]);
-            if (r1?.rows?.length) mine = { ...mine, ...r1.rows[0] };
-          }
-          if (incUEI) {
-            const r2 = await client.query(sql, [incUEI]);
-            if (r2?.rows?.length) inc = { ...inc, ...r2.rows[0] };
-          }
-        } finally {
-          try { await client.end(); } catch {}
-        }
+// FPDS reason-for-modification codes; the view may carry the code or its description.
+const ACTION_TYPE_CLASS = {
+  A: "scope_change",   // additional work (new agreement)
+  B: "scope_change",   // supplemental agreement for work within scope
+  C: "funding_only",   // funding only action
+  D: "scope_change",   // change order
+  E: "termination",    // terminate for default
+  F: "termination",    // terminate for convenience
+  G: "option_exercise",
+  H: "administrative", // definitize letter contract
+  J: "novation",
+  K: "administrative", // close out
+  L: "administrative", // definitize change order
+  M: "administrative", // other administrative action
+  N: "termination",    // legal contract cancellation
+  S: "administrative", // change PIID
+  T: "administrative", // transfer action
+  V: "novation",       // vendor UEI change
+  W: "administrative", // vendor address change
+  X: "termination",    // terminate for cause
+  Y: "administrative", // add subcontracting plan
+};
 
-        // Cosine on narratives + transactions
-        const myCaps = mine.narrative || "";
-        const incCaps = inc.narrative || "";
-        const txBlob  = (txDescs || []).join(" ");
+const MOD_TEXT_RULES = [
+  ["termination", /terminat|cancell?ation/i],
+  ["novation", /novation|successor in interest|change of name|name change/i],
+  ["option_exercise", /exercis\w*.{0,40}option|option.{0,40}exercis/i],
+  ["funding_only", /funding only|incremental(ly)? fund|de-?obligat|add(s|ing|ed)? fund|obligat\w* (additional )?fund/i],
+  ["scope_change", /scope|change order|additional work|supplemental agreement|add(s|ing|ed)? (clin|task|requirement)|increase\w* (the )?ceiling/i],
+  ["administrative", /admin|close ?out|correct|definitiz|address|contracting officer|\bcor\b|transfer/i],
+];
 
-        const mineBag = bag(tokenize(myCaps));
-        const incBag  = bag(tokenize(incCaps));
-        const txBag   = bag(tokenize(txBlob));
+/** Classify one transaction: action_type code first, then description text. */
+function classifyModification(tx) {
+  const type = String(tx.type || "").trim();
+  const mod = String(tx.mod || "").trim();
+  const code = /^[A-Z]$/i.test(type) ? type.toUpperCase() : (type.match(/^([A-Z])\s*[:\-]/i) || [])[1];
+  let cls = code ? ACTION_TYPE_CLASS[code.toUpperCase()] : null;
+  let basis = cls ? "action_type" : null;
+  if (!cls) {
+    const hay = `${type} ${tx.description || ""}`;
+    const hit = MOD_TEXT_RULES.find(([, re]) => re.test(hay));
+    if (hit) { cls = hit[0]; basis = type && hit[1].test(type) ? "action_type" : "description"; }
+  }
+  if (!cls && (!mod || /^0+$/.test(mod))) { cls = "base_award"; basis = "mod_number"; }
+  if (!cls) { cls = "other"; basis = "default"; }
+  return { class: cls, label: MOD_CLASSES[cls], basis };
+}
 
-        let inc01 = (myCaps && incCaps) ? cosineFromBags(mineBag, incBag) : 0;
-        if (incUEI && myUEI && incUEI.toUpperCase() === myUEI.toUpperCase() && myCaps) inc01 = 1; // same entity: perfect
+/**
+ * Option runway: options exercised so far, typical option length (median gap between
+ * exercises, default 12 months) and how many of those fit between current and potential end.
+ */
+function optionAnalysis(classified, meta, now = Date.now()) {
+  const counts = Object.fromEntries(Object.keys(MOD_CLASSES).map((k) => [k, 0]));
+  for (const t of classified) counts[t.modClass.class]++;
 
-        const tx01  = (myCaps && txBlob) ? cosineFromBags(mineBag, txBag) : 0;
+  const exercises = classified
+    .filter((t) => t.modClass.class === "option_exercise" && t.date)
+    .map((t) => ({ date: t.date, mod: t.mod }));
+  const times = exercises.map((e) => new Date(e.date).getTime()).filter(Number.isFinite).sort((a, b) => a - b);
+  const gaps = [];
+  for (let i = 1; i < times.length; i++) {
+    const m = (times[i] - times[i - 1]) / MS_PER_MONTH;
+    if (m >= 3) gaps.push(m); // same-day/partial exercises are not separate periods
+  }
+  gaps.sort((a, b) => a - b);
+  const optionLengthMonths = gaps.length ? Math.round(gaps[Math.floor(gaps.length / 2)]) : 12;
 
-        const inc5  = Math.round(inc01 * 5);
-        const tx5   = Math.round(tx01 * 5);
-        const combined100 = Math.round((inc01 + tx01) * 50); // 0..100
+  const curEnd = meta.pop_current_end ? new Date(meta.pop_current_end).getTime() : NaN;
+  const potEnd = meta.pop_potential_end ? new Date(meta.pop_potential_end).getTime() : NaN;
+  const unexercisedMonths = Number.isFinite(curEnd) && Number.isFinite(potEnd) ? Math.max(0, (potEnd - curEnd) / MS_PER_MONTH) : null;
+  const monthsTo = (t) => (Number.isFinite(t) ? Math.round(((t - now) / MS_PER_MONTH) * 10) / 10 : null);
 
-        const uiNote =
-          \`Capabilities match: combined \${combined100}/100 · vs incumbent \${inc5}/5 · vs transactions \${tx5}/5\`;
+  return {
+    counts,
+    optionsExercised: exercises.length,
+    optionExercises: exercises,
+    estimatedOptionLengthMonths: optionLengthMonths,
+    unexercisedMonths: unexercisedMonths == null ? null : Math.round(unexercisedMonths * 10) / 10,
+    estimatedOptionsRemaining: unexercisedMonths == null ? null : Math.round(unexercisedMonths / optionLengthMonths),
+    monthsToCurrentEnd: monthsTo(curEnd),
+    monthsToPotentialEnd: monthsTo(potEnd),
+  };
+}
 
-        const anchors = topTermsFrom(myCaps, 25).map(x => x.term);
+/* =====================================================================
+   E N T I T Y
+   ===================================================================== */
+/** Collapse raw SBA category/certification strings into canonical tags. */
+function normTags(list) {
+  const out = new Set();
+  for (const raw of list || []) {
+    const s = String(raw || "").toUpperCase();
+    if (!s) continue;
+    if (/\b8\s*\(?A\)?/.test(s) || s.includes("8(A)")) out.add("8(A)");
+    if (s.includes("SDVOSB") || s.includes("SERVICE-DISABLED")) out.add("SDVOSB");
+    if (s.includes("WOSB") || s.includes("WOMEN")) out.add("WOSB");
+    if (s.includes("HUBZONE")) out.add("HUBZONE");
+    if (s.includes("VOSB") && !s.includes("SDVOSB")) out.add("VOSB");
+    if (s.includes("SMALL BUSINESS")) out.add("SMALL BUSINESS");
+  }
+  return Array.from(out);
+}
 
-        const res = {
-          ok: true,
-          mine,
-          incumbent: inc,
-          scores: {
-            inc5, tx5, combined100,
-            bonus: Math.round((inc01 * 20) + (tx01 * 30)), // legacy field; not used by UI math now
-            uiNote,
-            memoA: \`Capabilities comparison (your SBA narrative ↔ incumbent): \${inc5}/5.\`,
-            memoB: \`Capabilities comparison (your SBA narrative ↔ transaction descriptions): \${tx5}/5.\`,
-          },
-          explain: { anchors },
-        };
+/*
+  SQL twins of normTags, one per tag, tested against each upper-cased category element `e`
+  (used to filter in the database instead of after the LIMIT).
+*/
+const CERT_TAG_SQL = {
+  "8(A)": "e ~ '\\y8\\s*\\(?A\\)?'",
+  SDVOSB: "(e LIKE '%SDVOSB%' OR e LIKE '%SERVICE-DISABLED%')",
+  WOSB: "(e LIKE '%WOSB%' OR e LIKE '%WOMEN%')",
+  HUBZONE: "e LIKE '%HUBZONE%'",
+  VOSB: "(e LIKE '%VOSB%' AND e NOT LIKE '%SDVOSB%')",
+  "SMALL BUSINESS": "e LIKE '%SMALL BUSINESS%'",
+};
 
-        return new Response(JSON.stringify(res), {
-          status: 200,
-          headers: { ...headers, "Content-Type": "application/json" },
-        });
-      } catch (e) {
-        return new Response(
-          JSON.stringify({ ok: false, error: e?.message || "cap compare failed" }),
-          { status: 500, headers: { ...headers, "Content-Type": "application/json" } }
-        );
-      }
-    }
+/**
+ * sba.smallbiz_v.naics_codes as a clean text[] whether the column is an array or a delimited
+ * string. naicsList is the JS side of the same rule, so SQL overlap and JS scoring agree.
+ */
+const sbaNaicsSQL = (col) => `ARRAY(
+  SELECT DISTINCT x
+    FROM unnest(regexp_split_to_array(regexp_replace(COALESCE(${col}::text, ''), '[{}"]', '', 'g'), '[,;[:space:]]+')) x
+   WHERE x <> '')`;
 
-    /* -------------------- vendor-awards (left pane list) -------------------- */
-    if (last === "vendor-awards") {
-      const uei = (url.searchParams.get("uei") || "").trim();
-      const agency = (url.searchParams.get("agency") || "").trim();
-      const years = Math.max(1, Math.min(10, parseInt(url.searchParams.get("years") || "5", 10)));
-      const limit = Math.max(1, Math.min(300, parseInt(url.searchParams.get("limit") || "100", 10)));
-      if (!uei) {
-        return new Response(JSON.stringify({ ok: false, error: "Missing uei" }), {
-          status: 400, headers: { ...headers, "Content-Type": "application/json" },
-        });
-      }
+function naicsList(v) {
+  const list = Array.isArray(v) ? v : String(v ?? "").replace(/[{}"]/g, "").split(/[,;\s]+/);
+  return Array.from(new Set(list.map((x) => String(x ?? "").trim()).filter(Boolean)));
+}
 
-      const mkSQL = (t) => \`
-        SELECT
-          award_id_piid            AS piid,
-          fiscal_year,
-          awarding_agency_name     AS agency,
-          awarding_sub_agency_name AS sub_agency,
-          awarding_office_name     AS office,
-          naics_code               AS naics,
-          type_of_set_aside        AS set_aside,
-          idv_type_of_award        AS vehicle,
-          title,
-          extent_competed,
-          number_of_offers_received,
-          total_dollars_obligated_num AS obligated
-        FROM \${t}
+/** Entity details (awards fallback, SBA view first, SAM website fallback); shared by my-entity + vendor-profile. */
+async function loadEntity(client, uei, env) {
+  // Base fallbacks from awards (name + NAICS), one round trip
+  const mkBasics = (t) => `
+    SELECT
+      (SELECT recipient_name
+         FROM ${t}
         WHERE recipient_uei = $1
-          AND (
-            $2::text IS NULL
-            OR awarding_agency_name      = $2
-            OR awarding_sub_agency_name  = $2
-            OR awarding_office_name      = $2
-          )
-          AND fiscal_year >= EXTRACT(YEAR FROM CURRENT_DATE)::int - ($3::int - 1)
-        ORDER BY fiscal_year DESC, pop_current_end_date DESC NULLS LAST, piid DESC
-        LIMIT $4\`;
+        ORDER BY total_dollars_obligated_num DESC NULLS LAST
+        LIMIT 1) AS recipient_name,
+      ARRAY(
+        SELECT DISTINCT naics_code
+          FROM ${t}
+         WHERE recipient_uei = $1 AND naics_code IS NOT NULL
+         LIMIT 200) AS naics_codes`;
 
-      const client = makeClient(env);
-      try {
-        await client.connect();
-        await client.query(\`SET statement_timeout = '20s'\`);
-        const { rows } = await queryPreferringFast(client, mkSQL, [uei, agency || null, years, limit]);
-        return new Response(JSON.stringify({ ok: true, rows }), {
-          status: 200, headers: { ...headers, "Content-Type": "application/json" },
-        });
-      } catch (e) {
-        return new Response(
-          JSON.stringify({ ok: false, error: (e && e.message) || "query failed" }),
-          { status: 500, headers: { ...headers, "Content-Type": "application/json" } }
-        );
-      } finally {
-        try { await client.end(); } catch {}
-      }
-    }
+  let name = null;
+  let naics = [];
+  {
+    const basics = (await queryPreferringFast(client, mkBasics, [uei])).rows[0] || {};
+    name = basics.recipient_name || null;
+    naics = (basics.naics_codes || []).filter(Boolean);
+  }
 
-    /* -------------------- contracts/insights (POST, cached 10m) -------------------- */
-    if (request.method === "POST" && url.pathname.toLowerCase().endsWith("/contracts/insights")) {
-      const bodyTxt = await request.clone().text();
-      let piid = "";
-      try { piid = (JSON.parse(bodyTxt).piid || "").trim().toUpperCase(); } catch {}
-      if (!piid) {
-        return new Response(JSON.stringify({ ok: false, error: "Missing piid" }), {
-          status: 400, headers: { ...headers, "Content-Type": "application/json" },
-        });
-      }
-      const cache = caches.default;
-      const cacheKey = new Request(url.toString() + "::" + piid, request);
-      const cached = await cache.match(cacheKey);
-      if (cached) {
-        return withCors(
-          cached,
-          { ...headers, "Cache-Control": "public, s-maxage=600, stale-while-revalidate=86400" }
-        );
-      }
+  // Prefer SBA view (rich)
+  let website = null;
+  let caps = null;
+  let capsPdf = null;
+  let smallBizCategories = [];
+  try {
+    const sba = await client.query(
+      `SELECT uei, business_name, website,
+              capabilities_narrative, capabilities_statement_link,
+              smallbiz_categories, naics_codes, active_sba_certifications_raw
+         FROM sba.smallbiz_v
+        WHERE upper(uei) = $1
+        LIMIT 1`,
+      [uei]
+    );
+    if (sba.rows.length) {
+      const r = sba.rows[0];
+      name = r.business_name || name;
+      website = r.website || website;
+      caps = r.capabilities_narrative || null;
+      capsPdf = r.capabilities_statement_link || null;
 
-      const client = makeClient(env);
-      try {
-        await client.connect();
-        await client.query(\`SET statement_timeout = '20s'\`);
-
-        const mkSQL = (t) => \`
-          SELECT
-            award_id_piid,
-            awarding_agency_name,
-            awarding_sub_agency_name,
-            awarding_office_name,
-            recipient_name,
-            recipient_uei,
-            naics_code,
-            naics_description,
-            pop_start_date,
-            pop_current_end_date,
-            pop_potential_end_date,
-            current_total_value_of_award_num,
-            potential_total_value_of_award_num,
-            total_dollars_obligated_num,
-            type_of_set_aside,
-            number_of_offers_received,
-            extent_competed,
-            title
-          FROM \${t}
-          WHERE award_id_piid = $1
-          ORDER BY pop_current_end_date DESC
-          LIMIT 1\`;
-
-        const aRes = await queryPreferringFast(client, mkSQL, [piid]);
-        if (!aRes.rows.length) {
-          return new Response(JSON.stringify({ ok: false, error: "No award found for that PIID." }), {
-            status: 404, headers: { ...headers, "Content-Type": "application/json" },
-          });
-        }
-        const a = aRes.rows[0];
-        const num = (x) => (typeof x === "number" ? x : x == null ? null : Number(x));
-        const obligated = num(a.total_dollars_obligated_num) ?? 0;
-        const current = num(a.current_total_value_of_award_num);
-        const ceiling = num(a.potential_total_value_of_award_num) ?? current ?? 0;
-
-        const start = a.pop_start_date ? new Date(a.pop_start_date) : null;
-        const end = a.pop_potential_end_date
-          ? new Date(a.pop_potential_end_date)
-          : a.pop_current_end_date
-          ? new Date(a.pop_current_end_date)
-          : null;
-
-        let burnPct = null, stage = "unknown", label = "Lifecycle insight limited", windowLabel = "Window unknown";
-        if (ceiling && ceiling > 0) burnPct = Math.round((obligated / ceiling) * 100);
-        if (start && end && end > start) {
-          const now = Date.now();
-          const t = end.getTime() - start.getTime();
-          const e = Math.min(Math.max(now, start.getTime()), end.getTime()) - start.getTime();
-          const pct = Math.round((e / t) * 100);
-          if (now < start.getTime()) { stage = "not_started"; label = "Not started yet"; windowLabel = "Window not opened"; }
-          else if (now > end.getTime()) { stage = "complete"; label = "Performance complete"; windowLabel = "Window passed"; }
-          else if (pct < 25) { stage = "early"; label = "Early stage"; windowLabel = "In performance window"; }
-          else if (pct < 75) { stage = "mid"; label = "Mid-stage"; windowLabel = "In performance window"; }
-          else { stage = "late"; label = "Late / near end"; windowLabel = "In performance window"; }
-        }
+      const sbaNaics = naicsList(r.naics_codes);
+      if (sbaNaics.length) naics = sbaNaics;
+      const rawCats = Array.isArray(r.smallbiz_categories)
+        ? r.smallbiz_categories
+        : String(r.active_sba_certifications_raw || "")
+            .split(/[;,]/)
+            .map((x) => x.trim())
+            .filter(Boolean);
+      smallBizCategories = normTags(rawCats);
+    }
+  } catch {}
 
-        // Subs (best-effort)
-        let subs = { count: 0, distinctRecipients: 0, totalAmount: 0, top: [] };
-        try {
-          const s = await client.query(
-            \`SELECT subawardee_name, subawardee_uei, subaward_amount
-               FROM public.usaspending_contract_subawards
-              WHERE prime_award_piid = $1\`,
-            [piid]
-          );
-          const map = new Map();
-          for (const r of s.rows || []) {
-            const name = r.subawardee_name || "(Unnamed subrecipient)";
-            const key = \`\${r.subawardee_uei || "NOUEI"}|\${name}\`;
-            const prev = map.get(key) || { name, uei: r.subawardee_uei || null, amount: 0 };
-            prev.amount += Number(r.subaward_amount || 0);
-            map.set(key, prev);
-          }
-          const agg = Array.from(map.values()).sort((a, b) => (b.amount || 0) - (a.amount || 0));
-          subs = {
-            count: s.rowCount || 0,
-            distinctRecipients: agg.length,
-            totalAmount: agg.reduce((sum, x) => sum + (x.amount || 0), 0),
-            top: agg.slice(0, 5),
-          };
-        } catch {}
+  // Fallback website from SAM if missing
+  if (!website) {
+    const w = await fetchVendorWebsiteByUEI(uei, env);
+    if (w) website = w;
+  }
 
-        const primary = {
-          piid: a.award_id_piid,
-          agency: a.awarding_agency_name || null,
-          subAgency: a.awarding_sub_agency_name || null,
-          office: a.awarding_office_name || null,
-          primeName: a.recipient_name || null,
-          primeUei: a.recipient_uei || null,
-          naicsCode: a.naics_code || null,
-          naicsDescription: a.naics_description || null,
-          popStartDate: a.pop_start_date || null,
-          popCurrentEndDate: a.pop_current_end_date || null,
-          popPotentialEndDate: a.pop_potential_end_date || null,
-          obligated,
-          currentValue: current ?? (ceiling || null),
-          ceiling,
-          type_of_set_aside: a.type_of_set_aside || null,
-          number_of_offers_received: a.number_of_offers_received || null,
-          extent_competed: a.extent_competed || null,
-          title: a.title || null,
-        };
-        const website = await fetchVendorWebsiteByUEI(primary.primeUei, env);
-        if (website) primary.website = website;
+  return {
+    uei,
+    name,
+    naics,
+    smallBizCategories,
+    website: website || null,
+    capabilities: caps || null,
+    capabilities_pdf: capsPdf || null,
+  };
+}
 
-        const lifecycle = {
-          stage, label, windowLabel,
-          timeElapsedPct: null, burnPct,
-          primeVsSubsPct: null, largestSubPct: null,
-        };
+/* =====================================================================
+   C A P A B I L I T Y   S O U R C E S
+   ===================================================================== */
+/*
+  Scoring endpoints compare capability text. The SBA narrative comes first; when it is thin
+  (or the caller asks to append), the entity's linked capability-statement PDF is fetched,
+  its text extracted and cached per UEI. If that still leaves nothing substantial, the firm's
+  website (homepage plus capabilities/services pages) is the last, labeled fallback.
+  Every scoring response lists the sources it used.
+*/
+const CAP_PDF_MAX_BYTES = 2 * 1024 * 1024;
+const CAP_PDF_MAX_INFLATED = 8 * 1024 * 1024; // decompressed stream bytes per PDF
+const CAP_PDF_MAX_PAGES = 25;
+const CAP_TEXT_MAX_CHARS = 20000;
+const CAP_SOURCE_TTL_S = 7 * 86400;
+const CAP_SOURCE_MISS_TTL_S = 86400; // retry failed/empty extractions daily
+const THIN_NARRATIVE_CHARS = 200; // "auto" adds fallbacks below this
 
-        const res = new Response(
-          JSON.stringify({
-            ok: true,
-            primary,
-            lifecycle,
-            subs,
-            disclaimer:
-              "Subcontractor data is sourced from USAspending. Primes are not required to report every subcontract, so this list may be incomplete.",
-          }),
-          {
-            status: 200,
-            headers: {
-              ...headers,
-              "Content-Type": "application/json",
-              "Cache-Control": "public, s-maxage=600, stale-while-revalidate=86400",
-            },
-          }
-        );
-        ctx.waitUntil(cache.put(cacheKey, res.clone()));
-        return res;
-      } catch (e) {
-        return new Response(
-          JSON.stringify({ ok: false, error: (e && e.message) || "insights failed" }),
-          { status: 500, headers: { ...headers, "Content-Type": "application/json" } }
-        );
-      } finally {
-        try { await client.end(); } catch {}
-      }
-    }
+/* ---------------- per-UEI cache for derived capability text ---------------- */
+function capSourceCacheKey(origin, kind, uei) {
+  return new Request(new URL(`${API_BASE}/__cap-source/${kind}/${encodeURIComponent(uei)}`, origin).toString());
+}
 
-    /* -------------------- usa-contract (DB-backed, resilient) -------------------- */
-    if (last === "usa-contract") {
-      const piid = (url.searchParams.get("piid") || "").trim().toUpperCase();
-      if (!piid) {
-        return new Response(JSON.stringify({ ok: false, error: "Missing piid" }), {
-          status: 400, headers: { ...headers, "Content-Type": "application/json" },
-        });
-      }
+const capSourceJobs = new Set(); // per isolate: background builds in flight, by cache key
 
-      const cache = caches.default;
-      const cacheKey = new Request(url.toString(), request);
-      const cached = await cache.match(cacheKey);
-      if (cached) {
-        return withCors(
-          cached,
-          { ...headers, "Cache-Control": "public, s-maxage=900, stale-while-revalidate=86400" }
-        );
-      }
+/**
+ * Cached derived text for a UEI. On a miss, `build` runs inline, or with { background: true }
+ * after the response (ctx.waitUntil) while this call reports { pending: true }.
+ */
+async function cachedCapSource(kind, uei, ctx, origin, build, { background = false } = {}) {
+  const cache = caches.default;
+  const key = capSourceCacheKey(origin, kind, uei);
+  const hit = await cache.match(key);
+  if (hit) return { ...(await hit.json()), cached: true };
 
-      const client = makeClient(env);
-      try {
-        await client.connect();
-        await client.query(\`SET statement_timeout = '20s'\`);
-
-        const sumSQL = \`
-          SELECT
-            piid,
-            pop_start          AS pop_start,
-            pop_current_end    AS pop_current_end,
-            pop_potential_end  AS pop_potential_end,
-            current_total_value_of_award_num      AS current_total_value_of_award,
-            potential_total_value_of_award_num    AS potential_total_value_of_award
-          FROM fp.contract_award_summary_v
-          WHERE piid = $1
-          LIMIT 1\`;
-        const sumRes = await client.query(sumSQL, [piid]);
-        if (!sumRes.rows.length) {
-          return new Response(
-            JSON.stringify({ ok: false, error: \`No award found for PIID \${piid}\` }),
-            { status: 404, headers: { ...headers, "Content-Type": "application/json" } }
-          );
-        }
-        const s = sumRes.rows[0];
-
-        const txSQL = \`
-          SELECT action_date, obligation, modification_number, action_type, transaction_description
-            FROM fp.contract_txn_min_v1
-           WHERE piid = $1
-           ORDER BY action_date ASC
-           LIMIT 5000\`;
-        const txRes = await client.query(txSQL, [piid]);
-
-        const spendPoints = (txRes.rows || []).map((r) => ({
-          date: r.action_date ? String(r.action_date) : null,
-          obligation: Number(r.obligation || 0),
-          mod: r.modification_number || "",
-          type: r.action_type || "",
-          description: r.transaction_description || "",
-        }));
-
-        // also include raw transactions (so UI can build txDescs for /cap-compare)
-        const transactions = (txRes.rows || []).map((r) => ({
-          date: r.action_date ? String(r.action_date) : null,
-          description: r.transaction_description || "",
-          mod: r.modification_number || "",
-          type: r.action_type || "",
-          obligation: Number(r.obligation || 0),
-        }));
-
-        const payload = {
-          ok: true,
-          piid,
-          award_id: null,
-          meta: {
-            pop_start: s.pop_start || null,
-            pop_current_end: s.pop_current_end || null,
-            pop_potential_end: s.pop_potential_end || null,
-            current_total_value_of_award: s.current_total_value_of_award ?? null,
-            potential_total_value_of_award: s.potential_total_value_of_award ?? null,
-          },
-          spendPoints,
-          transactions,
-        };
+  const run = async () => {
+    let result;
+    try {
+      result = await build();
+    } catch (e) {
+      result = { text: null, error: (e && e.message) || String(e) };
+    }
+    const ttl = result.text ? CAP_SOURCE_TTL_S : CAP_SOURCE_MISS_TTL_S;
+    const entry = { ...result, fetchedAt: new Date().toISOString() };
+    await cache.put(key, new Response(JSON.stringify(entry), {
+      headers: { "Content-Type": "application/json", "Cache-Control": `public, s-maxage=${ttl}` },
+    }));
+    return entry;
+  };
 
-        const res = new Response(JSON.stringify(payload), {
-          status: 200,
-          headers: {
-            ...headers,
-            "Content-Type": "application/json",
-            "Cache-Control": "public, s-maxage=900, stale-while-revalidate=86400",
-          },
-        });
-        ctx.waitUntil(cache.put(cacheKey, res.clone()));
-        return res;
-      } catch (e) {
-        return new Response(
-          JSON.stringify({ ok: false, error: (e && e.message) || "usa-contract failed" }),
-          { status: 500, headers: { ...headers, "Content-Type": "application/json" } }
-        );
-      } finally {
-        try { await client.end(); } catch {}
-      }
+  if (background) {
+    if (!capSourceJobs.has(key.url)) {
+      capSourceJobs.add(key.url);
+      ctx.waitUntil(run().catch(() => {}).finally(() => capSourceJobs.delete(key.url)));
     }
+    return { text: null, pending: true, error: "extraction queued; retry shortly", cached: false };
+  }
+  const entry = await run();
+  return { ...entry, cached: false };
+}
 
-    /* -------------------- contract-summary (alias -> usa-contract.meta) -------------------- */
-    if (last === "contract-summary") {
-      const piid = (url.searchParams.get("piid") || "").trim().toUpperCase();
-      if (!piid) {
-        return new Response(JSON.stringify({ ok: false, error: "Missing piid" }), {
-          status: 400, headers: { ...headers, "Content-Type": "application/json" },
-        });
-      }
-      const r = await fetch(\`\${url.origin}/sb/usa-contract?piid=\${encodeURIComponent(piid)}\`);
-      const j = await r.json().catch(() => ({}));
-      if (!r.ok || !j || j.ok !== true) {
-        return new Response(
-          JSON.stringify({ ok: false, error: (j && j.error) || "lookup failed" }),
-          { status: r.status || 500, headers: { ...headers, "Content-Type": "application/json" } }
-        );
-      }
-      const m = j.meta || {};
-      return new Response(
-        JSON.stringify({
-          ok: true,
-          award_id: j.award_id || null,
-          pop_start: m.pop_start || null,
-          pop_current_end: m.pop_current_end || null,
-          pop_potential_end: m.pop_potential_end || null,
-          current_total_value_of_award: m.current_total_value_of_award ?? null,
-          potential_total_value_of_award: m.potential_total_value_of_award ?? null,
-        }),
-        { status: 200, headers: { ...headers, "Content-Type": "application/json" } }
-      );
+/** Normalize an SBA-provided link to an absolute http(s) URL (or null). */
+function absoluteLink(link) {
+  const s = String(link || "").trim();
+  if (!s) return null;
+  try {
+    const u = new URL(/^https?:\/\//i.test(s) ? s : `https://${s}`);
+    return /^https?:$/.test(u.protocol) ? u.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Capability-statement PDF text for a UEI (cached per UEI; extracted in the background on a miss). */
+async function capabilityPdfText(uei, link, ctx, origin) {
+  const url = absoluteLink(link);
+  if (!url) return { text: null, url: null, error: "no capability statement link" };
+  return cachedCapSource("pdf", uei, ctx, origin, async () => {
+    const r = await fetch(url, {
+      headers: { Accept: "application/pdf" },
+      cf: { cacheTtl: 86400, cacheEverything: true },
+      signal: AbortSignal.timeout(10000),
+    });
+    if (!r.ok) return { text: null, url, error: `HTTP ${r.status}` };
+    if (Number(r.headers.get("Content-Length") || 0) > CAP_PDF_MAX_BYTES) return { text: null, url, error: "PDF too large" };
+    const bytes = new Uint8Array(await r.arrayBuffer());
+    if (bytes.length > CAP_PDF_MAX_BYTES) return { text: null, url, error: "PDF too large" };
+    if (latin1(bytes.subarray(0, 1024)).indexOf("%PDF-") < 0) return { text: null, url, error: "link is not a PDF" };
+    const text = await extractPdfText(bytes, { maxChars: CAP_TEXT_MAX_CHARS, maxPages: CAP_PDF_MAX_PAGES, maxInflated: CAP_PDF_MAX_INFLATED });
+    if (!looksLikeText(text)) return { text: null, url, error: "no extractable text (scanned or unmapped fonts)" };
+    return { text, url };
+  }, { background: true });
+}
+
+/* ---------------- website capability text ---------------- */
+const CAP_HTML_MAX_BYTES = 1.5 * 1024 * 1024;
+const CAP_WEB_SUBPAGES = 3; // linked capabilities/services pages fetched after the homepage
+const CAP_PAGE_HINT = /capabilit|service|solution|what-?we-?do|expertise|offering|core-?competenc|about/i;
+
+const HTML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ", ndash: "–", mdash: "—", rsquo: "’", lsquo: "‘", rdquo: "”", ldquo: "“", hellip: "…", reg: "®", trade: "™", copy: "©" };
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const cp = e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : Number(e.slice(1));
+      return cp > 0 && cp < 0x110000 ? String.fromCodePoint(cp) : " ";
+    }
+    return HTML_ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+/** Visible text of an HTML page (scripts, styles, nav/footer chrome dropped); meta description first. */
+function htmlToText(html) {
+  const meta = /<meta[^>]+name=["']description["'][^>]*content=["']([^"']*)["']/i.exec(html);
+  const body = html
+    .replace(/<!--[\s\S]*?-->/g, " ")
+    .replace(/<(script|style|noscript|svg|template|head|nav|footer|form|iframe)\b[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<(br|p|div|li|tr|h[1-6]|section|article|ul|ol|table)\b[^>]*>/gi, "\n")
+    .replace(/<[^>]+>/g, " ");
+  const text = decodeEntities((meta ? meta[1] + "\n" : "") + body);
+  return text.replace(/[^\S\n]+/g, " ").replace(/\s*\n\s*/g, "\n").trim();
+}
+
+/** Same-site links that look like capabilities/services pages, best first. */
+function capabilityLinks(html, base) {
+  const seen = new Set([base.toString().replace(/#.*$/, "")]);
+  const out = [];
+  for (const m of html.matchAll(/<a\b[^>]*href=["']([^"'#]+)[^"']*["'][^>]*>([\s\S]*?)<\/a>/gi)) {
+    let u;
+    try { u = new URL(decodeEntities(m[1]), base); } catch { continue; }
+    if (!/^https?:$/.test(u.protocol) || u.hostname.replace(/^www\./, "") !== base.hostname.replace(/^www\./, "")) continue;
+    if (/\.(pdf|jpe?g|png|gif|zip|docx?|xlsx?|mp4)$/i.test(u.pathname)) continue;
+    const label = m[2].replace(/<[^>]+>/g, " ");
+    if (!CAP_PAGE_HINT.test(u.pathname) && !CAP_PAGE_HINT.test(label)) continue;
+    const href = u.toString();
+    if (seen.has(href)) continue;
+    seen.add(href);
+    // "capabilities"/"services" outrank generic "about" pages
+    out.push({ href, rank: /about/i.test(u.pathname + label) && !/capabilit|service/i.test(u.pathname + label) ? 1 : 0 });
+  }
+  return out.sort((a, b) => a.rank - b.rank).map((x) => x.href);
+}
+
+async function fetchHtml(url) {
+  const r = await fetch(url, {
+    headers: { Accept: "text/html", "User-Agent": "Mozilla/5.0 (compatible; capability-match/1.0)" },
+    cf: { cacheTtl: 86400, cacheEverything: true },
+    redirect: "follow",
+    signal: AbortSignal.timeout(8000),
+  });
+  if (!r.ok) throw new Error(`HTTP ${r.status}`);
+  if (!/html/i.test(r.headers.get("Content-Type") || "text/html")) throw new Error("not an HTML page");
+  if (Number(r.headers.get("Content-Length") || 0) > CAP_HTML_MAX_BYTES) throw new Error("page too large");
+  const html = await r.text();
+  return { html: html.slice(0, CAP_HTML_MAX_BYTES), url: new URL(r.url || url) };
+}
+
+/**
+ * Website text for a UEI (cached per UEI): homepage plus a few linked capabilities/services pages.
+ * The site comes from the SBA profile, else from the SAM entity record.
+ */
+async function capabilityWebsiteText(uei, website, env, ctx, origin) {
+  return cachedCapSource("web", uei, ctx, origin, async () => {
+    const url = absoluteLink(website || (await fetchVendorWebsiteByUEI(uei, env)));
+    if (!url) return { text: null, url: null, error: "no website on file" };
+    const home = await fetchHtml(url);
+    const pages = [home.url.toString()];
+    const texts = [htmlToText(home.html)];
+    const links = capabilityLinks(home.html, home.url).slice(0, CAP_WEB_SUBPAGES);
+    const subs = await Promise.all(links.map((l) => fetchHtml(l).catch(() => null)));
+    for (const p of subs) {
+      if (!p) continue;
+      pages.push(p.url.toString());
+      texts.push(htmlToText(p.html));
     }
+    const text = texts.filter(Boolean).join("\n").slice(0, CAP_TEXT_MAX_CHARS);
+    if (!looksLikeText(text)) return { text: null, url, pages, error: "no readable text (script-rendered site?)" };
+    return { text, url, pages };
+  });
+}
 
-    /* -------------------- contracts/activity (alias -> usa-contract.spendPoints) -------------------- */
-    if (segments.length >= 2 && segments[segments.length - 2] === "contracts" && last === "activity") {
-      const piid = (url.searchParams.get("piid") || "").trim().toUpperCase();
-      if (!piid) {
-        return new Response(JSON.stringify({ ok: false, error: "Missing piid" }), {
-          status: 400, headers: { ...headers, "Content-Type": "application/json" },
-        });
-      }
-      const r = await fetch(\`\${url.origin}/sb/usa-contract?piid=\${encodeURIComponent(piid)}\`);
-      const j = await r.json().catch(() => ({}));
-      if (!r.ok || !j || j.ok !== true) {
-        return new Response(
-          JSON.stringify({ ok: false, error: (j && j.error) || "activity failed" }),
-          { status: r.status || 500, headers: { ...headers, "Content-Type": "application/json" } }
-        );
-      }
-      const points = (j.spendPoints || []).map((p) => ({
-        date: p.date,
-        federal_action_obligation: p.obligation,
-        modification_number: p.mod,
-        action_type: p.type || null,
-        transaction_description: p.description || null,
-      }));
-      return new Response(JSON.stringify({ ok: true, points, results: points }), {
-        status: 200, headers: { ...headers, "Content-Type": "application/json" },
+const CAP_SOURCE_LABELS = {
+  sba_narrative: "SBA narrative",
+  capability_statement_pdf: "capability statement",
+  website: "website text",
+};
+
+/** Human label for the text a score was computed on, e.g. "SBA narrative + capability statement". */
+function capabilityBasis(sources) {
+  const used = (sources || []).filter((s) => s.used).map((s) => CAP_SOURCE_LABELS[s.source] || s.source);
+  return used.length ? used.join(" + ") : "(no capability text)";
+}
+
+/**
+ * Capability text for scoring plus the sources behind it.
+ * ent: { uei, narrative, pdfLink, website }
+ * opts.pdf: "auto" (when the narrative is thin), "append" (always add) or "off".
+ * opts.website: "auto" (only when the narrative and PDF still leave the text thin) or "off".
+ */
+async function resolveCapabilityText(ent, { env, ctx, origin, pdf = "auto", website = "auto" }) {
+  const narrative = String(ent.narrative || "").trim();
+  const parts = [];
+  const sources = [];
+  if (narrative) {
+    parts.push(narrative);
+    sources.push({ source: "sba_narrative", used: true, chars: narrative.length });
+  }
+  const role = () => (parts.length ? "supplement" : "fallback");
+  const thin = narrative.length < THIN_NARRATIVE_CHARS;
+  if (ent.uei && ent.pdfLink && (pdf === "append" || (pdf === "auto" && thin))) {
+    const r = await capabilityPdfText(ent.uei, ent.pdfLink, ctx, origin);
+    sources.push({
+      source: "capability_statement_pdf",
+      used: !!r.text,
+      url: r.url || absoluteLink(ent.pdfLink),
+      chars: r.text ? r.text.length : 0,
+      role: role(),
+      cached: !!r.cached,
+      ...(r.pending ? { pending: true } : {}),
+      ...(r.text ? {} : { error: r.error || "no text" }),
+    });
+    if (r.text) parts.push(r.text);
+  }
+  if (ent.uei && website === "auto" && parts.join("\n").length < THIN_NARRATIVE_CHARS) {
+    const r = await capabilityWebsiteText(ent.uei, ent.website, env, ctx, origin);
+    sources.push({
+      source: "website",
+      used: !!r.text,
+      url: r.url || null,
+      pages: r.pages || [],
+      chars: r.text ? r.text.length : 0,
+      role: role(),
+      cached: !!r.cached,
+      ...(r.text ? {} : { error: r.error || "no text" }),
+    });
+    if (r.text) parts.push(r.text);
+  }
+  return { text: parts.join("\n"), sources, basis: capabilityBasis(sources) };
+}
+
+/* =====================================================================
+   S A M . G O V   O P P O R T U N I T I E S
+   ===================================================================== */
+const SAM_ALLOWED_TYPES = new Set([
+  "Solicitation",
+  "Combined Synopsis/Solicitation",
+  "Presolicitation",
+  "Sources Sought",
+  "Award Notice",
+  "Special Notice",
+]);
+function coerceTypes(input) {
+  let types = Array.isArray(input) ? input : String(input || "").split(",");
+  types = types.map((s) => String(s || "").trim()).filter(Boolean).filter((t) => SAM_ALLOWED_TYPES.has(t));
+  if (types.length === 0) types = ["Solicitation"];
+  return types;
+}
+function coerceNaics(input) {
+  let arr = Array.isArray(input) ? input : String(input || "").split(/[,\s]+/);
+  return Array.from(
+    new Set(arr.map((s) => String(s).replace(/\D+/g, "")).filter((s) => s.length >= 2 && s.length <= 6))
+  );
+}
+function fmtMDY(d) {
+  const mm = String(d.getMonth() + 1).padStart(2, "0");
+  const dd = String(d.getDate()).padStart(2, "0");
+  const yyyy = d.getFullYear();
+  return `${mm}/${dd}/${yyyy}`;
+}
+function isMDY(s) { return /^\d{2}\/\d{2}\/\d{4}$/.test(String(s || "")); }
+/** Set-aside codes from any of the accepted aliases (deduped, upper-cased). */
+function coerceSetAsides(input) {
+  const arr = Array.isArray(input) ? input : String(input || "").split(",");
+  return Array.from(new Set(arr.map((v) => String(v || "").toUpperCase().replace(/[^A-Z0-9]/g, "")).filter(Boolean)));
+}
+
+/** Interactive page size and offset: the one place a caller's limit/offset are clamped. */
+function samPaging(body) {
+  return {
+    limit: Math.max(1, Math.min(SAM_SEARCH_LIMIT_MAX, parseInt(body.limit || "25", 10) || 25)),
+    offset: Math.max(0, parseInt(body.offset || "0", 10) || 0),
+  };
+}
+
+/**
+ * SAM search URL for one page. SAM takes a single set-aside code per call, so callers with
+ * several codes fan out (see samSearch); `setAsideCode` picks the one for this URL.
+ * `paging` defaults to the caller's clamped limit/offset; all=true sweeps pass their own.
+ */
+function buildSamURL(env, body, setAsideCode, paging = samPaging(body)) {
+  const u = new URL("https://api.sam.gov/prod/opportunities/v2/search");
+  if (!env.SAM_API_KEY) throw new ApiError(503, "SAM_NOT_CONFIGURED", "SAM_API_KEY is not configured");
+  u.searchParams.set("api_key", env.SAM_API_KEY);
+
+  const days = Math.max(1, Math.min(365, parseInt(body.windowDays || "15", 10)));
+  const now = new Date();
+  const from = new Date(now.getTime() - days * 86400000);
+
+  const postedFrom = isMDY(body.postedFrom) ? body.postedFrom : isMDY(body.posted_from) ? body.posted_from : fmtMDY(from);
+  const postedTo   = isMDY(body.postedTo)   ? body.postedTo   : isMDY(body.posted_to)   ? body.posted_to   : fmtMDY(now);
+
+  u.searchParams.set("postedFrom", postedFrom);
+  u.searchParams.set("postedTo", postedTo);
+
+  for (const t of coerceTypes(body.noticeTypes || body.type || body.noticeType)) {
+    u.searchParams.append("noticeType", t);
+  }
+  for (const code of coerceNaics(body.naics || body.naicsCode || body.naicsCodes)) {
+    u.searchParams.append("naics", code);
+  }
+
+  const q = String(body.q || body.keyword || body.keywords || body.search || body.searchText || body.searchTerm || "").trim();
+  if (q) u.searchParams.set("keyword", q);
+
+  // Organization is a real SAM filter (name matches anywhere in the parent path), not a keyword.
+  const org = String(body.organization || body.agency_contains || body.agency || body.agencyName || body.org || body.fullParentPathName || "").trim();
+  if (org) u.searchParams.set("organizationName", org);
+  if (body.organizationCode) u.searchParams.set("organizationCode", String(body.organizationCode).trim());
+
+  const code = setAsideCode === undefined
+    ? coerceSetAsides(body.setAside || body.setAsideCodes || body.typeOfSetAside || body.type_of_set_aside)[0]
+    : setAsideCode;
+  if (code) u.searchParams.set("setAsideCode", code);
+
+  // Response deadline window, place of performance, solicitation number, PSC, status
+  if (isMDY(body.deadlineFrom)) u.searchParams.set("rdlfrom", body.deadlineFrom);
+  if (isMDY(body.deadlineTo)) u.searchParams.set("rdlto", body.deadlineTo);
+  if (body.state) u.searchParams.set("state", String(body.state).trim().toUpperCase());
+  if (body.zip) u.searchParams.set("zip", String(body.zip).trim());
+  if (body.solicitationNumber) u.searchParams.set("solnum", String(body.solicitationNumber).trim());
+  if (body.psc) u.searchParams.set("ccode", String(body.psc).trim().toUpperCase());
+  if (body.status) u.searchParams.set("status", String(body.status).toLowerCase());
+
+  u.searchParams.set("limit", String(paging.limit));
+  u.searchParams.set("offset", String(paging.offset));
+  u.searchParams.set("sort", "modifiedDate");
+  u.searchParams.set("order", "desc");
+
+  return u;
+}
+
+/** Normalize the SAM search payload shape (it varies by API version). */
+function normalizeSamSearch(rawText, body) {
+  try {
+    const j = rawText ? JSON.parse(rawText) : {};
+    const dataAny = j.opportunitiesData || j.searchResults || j.data || j.results || [];
+    const opportunitiesData = Array.isArray(dataAny)
+      ? dataAny
+      : Array.isArray(dataAny.opportunitiesData)
+      ? dataAny.opportunitiesData
+      : [];
+    const totalRecords = j.totalRecords || j.total || (Array.isArray(opportunitiesData) ? opportunitiesData.length : 0);
+    const limit = Number(j.limit || body.limit || 25) || 25;
+    const offset = Number(j.offset || body.offset || 0) || 0;
+    return { totalRecords, limit, offset, opportunitiesData };
+  } catch {
+    return { totalRecords: 0, limit: 25, offset: 0, opportunitiesData: [] };
+  }
+}
+
+const SAM_PAGE_MAX = 1000; // SAM's own page-size ceiling, used by all=true sweeps
+const SAM_SEARCH_LIMIT_MAX = 100; // interactive page size ceiling (matches the route's limit param)
+const SAM_SWEEP_DEFAULT = 1000;
+const SAM_SWEEP_MAX = 10000; // all=true ceiling on merged records per request
+
+async function fetchSamPage(url) {
+  const r = await fetch(url.toString(), {
+    cf: { cacheTtl: 900, cacheEverything: true },
+    headers: { Accept: "application/json" },
+  });
+  const rawText = await r.text();
+  if (r.status >= 400) {
+    throw new ApiError(r.status >= 500 ? 502 : 400, "UPSTREAM_SAM_ERROR", samErrorHint(r.status), {
+      details: { status: r.status, upstream: rawText, setAside: url.searchParams.get("setAsideCode") },
+    });
+  }
+  return normalizeSamSearch(rawText, {});
+}
+
+/**
+ * SAM search with set-aside fan-out (one call per code, merged and de-duplicated by noticeId).
+ * all=true pages each fan-out branch at SAM_PAGE_MAX until it is exhausted or the merged
+ * result reaches maxRecords; otherwise one page of limit/offset per branch, and the merged
+ * page is cut back to `limit` (newest first, truncated=true). offset applies per branch, so
+ * paging a multi-code search can skip notices; all=true is the complete sweep.
+ * totalRecords sums the branches, so a notice under two set-asides counts twice there.
+ */
+async function samSearch(env, body) {
+  const paging = samPaging(body);
+  const codes = coerceSetAsides(body.setAside || body.setAsideCodes || body.typeOfSetAside || body.type_of_set_aside);
+  const branches = codes.length ? codes : [null];
+  const maxRecords = Math.max(1, Math.min(SAM_SWEEP_MAX, parseInt(body.maxRecords || SAM_SWEEP_DEFAULT, 10)));
+  const byId = new Map();
+  const fanOut = [];
+  let pages = 0;
+  let truncated = false;
+  const add = (rows) => {
+    for (const o of rows) {
+      const id = o && o.noticeId ? String(o.noticeId) : null;
+      if (!id) continue;
+      if (!byId.has(id)) byId.set(id, o);
+    }
+  };
+
+  await Promise.all(branches.map(async (code) => {
+    const branch = { setAside: code, totalRecords: 0, fetched: 0 };
+    fanOut.push(branch);
+    if (!body.all) {
+      const page = await fetchSamPage(buildSamURL(env, body, code, paging));
+      pages++;
+      branch.totalRecords = page.totalRecords;
+      branch.fetched = page.opportunitiesData.length;
+      add(page.opportunitiesData);
+      return;
+    }
+    for (let offset = 0; ; offset += SAM_PAGE_MAX) {
+      if (byId.size >= maxRecords) { truncated = true; break; }
+      const page = await fetchSamPage(buildSamURL(env, body, code, { limit: SAM_PAGE_MAX, offset }));
+      pages++;
+      branch.totalRecords = page.totalRecords;
+      branch.fetched += page.opportunitiesData.length;
+      add(page.opportunitiesData);
+      if (page.opportunitiesData.length < SAM_PAGE_MAX || offset + SAM_PAGE_MAX >= page.totalRecords) break;
+    }
+  }));
+
+  let opportunitiesData = Array.from(byId.values());
+  if (branches.length > 1 || body.all) {
+    // Merged branches lose SAM's ordering; restore newest-modified first.
+    const ts = (o) => Date.parse(o.modifiedDate || o.postedDate || "") || 0;
+    opportunitiesData.sort((a, b) => ts(b) - ts(a));
+  }
+  const cap = body.all ? maxRecords : paging.limit;
+  if (opportunitiesData.length > cap) {
+    opportunitiesData = opportunitiesData.slice(0, cap);
+    truncated = true;
+  }
+  const totalRecords = fanOut.reduce((n, b) => n + (Number(b.totalRecords) || 0), 0);
+  return {
+    totalRecords,
+    // The page size actually sent to SAM (per branch) and the offset used.
+    limit: body.all ? SAM_PAGE_MAX : paging.limit,
+    offset: body.all ? 0 : paging.offset,
+    opportunitiesData,
+    ...(branches.length > 1 ? { fanOut, truncated } : {}),
+    ...(body.all ? { all: true, pages, maxRecords, truncated } : {}),
+  };
+}
+
+/** Human hint for a SAM upstream error status. */
+function samErrorHint(status) {
+  return status === 400
+    ? "SAM rejected the parameters. Check date format (MM/dd/yyyy), notice types, and window <= 365 days."
+    : status === 401 || status === 403
+    ? "Check SAM_API_KEY on the Worker."
+    : status >= 500
+    ? "SAM.gov is unavailable; retry shortly."
+    : "Upstream client error.";
+}
+
+/* ---------------- single notice (detail) ---------------- */
+const SAM_DETAIL_LOOKBACK_YEARS = 3; // SAM needs a posted-date window of <= 1 year per call
+const SAM_MAX_ATTACHMENT_PROBES = 25;
+const SAM_ATTACHMENTS_TTL = 900; // seconds; matches the detail response s-maxage
+
+/** Find one notice by id, walking back one-year posted-date windows. */
+async function fetchSamNotice(env, noticeId) {
+  if (!env.SAM_API_KEY) throw new ApiError(503, "SAM_NOT_CONFIGURED", "SAM_API_KEY is not configured");
+  let to = new Date();
+  for (let i = 0; i < SAM_DETAIL_LOOKBACK_YEARS; i++) {
+    const from = new Date(to.getTime() - 364 * 86400000);
+    const u = new URL("https://api.sam.gov/prod/opportunities/v2/search");
+    u.searchParams.set("api_key", env.SAM_API_KEY);
+    u.searchParams.set("noticeid", noticeId);
+    u.searchParams.set("postedFrom", fmtMDY(from));
+    u.searchParams.set("postedTo", fmtMDY(to));
+    u.searchParams.set("limit", "1");
+    const r = await fetch(u.toString(), {
+      cf: { cacheTtl: 900, cacheEverything: true },
+      headers: { Accept: "application/json" },
+    });
+    const rawText = await r.text();
+    if (r.status >= 400) {
+      throw new ApiError(r.status >= 500 ? 502 : 400, "UPSTREAM_SAM_ERROR", samErrorHint(r.status), {
+        details: { status: r.status, upstream: rawText },
       });
     }
+    const hit = normalizeSamSearch(rawText, {}).opportunitiesData[0];
+    if (hit) return hit;
+    to = new Date(from.getTime() - 86400000);
+  }
+  return null;
+}
+
+/** The notice's `description` is an API URL (needs the key); resolve it to HTML. */
+async function fetchSamDescription(env, descUrl) {
+  if (!descUrl || !/^https:\/\/api\.sam\.gov\//.test(descUrl)) return descUrl ? String(descUrl) : "";
+  const u = new URL(descUrl);
+  u.searchParams.set("api_key", env.SAM_API_KEY);
+  const r = await fetch(u.toString(), { cf: { cacheTtl: 900, cacheEverything: true }, headers: { Accept: "application/json" } });
+  if (!r.ok) return null;
+  const txt = await r.text();
+  try {
+    const j = JSON.parse(txt);
+    return typeof j.description === "string" ? j.description : "";
+  } catch {
+    return txt;
+  }
+}
 
-    /* -------------------- my-entity (uses SBA view first) -------------------- */
-    if (last === "my-entity") {
-      const uei = (url.searchParams.get("uei") || "").trim().toUpperCase();
-      if (!uei) {
-        return new Response(JSON.stringify({ ok: false, error: "Missing uei parameter." }), {
-          status: 400, headers: { ...headers, "Content-Type": "application/json" },
-        });
+const SAFE_HTML_TAGS = new Set(["p", "br", "ul", "ol", "li", "b", "strong", "i", "em", "u", "h1", "h2", "h3", "h4", "h5", "h6", "table", "thead", "tbody", "tr", "td", "th", "blockquote", "pre", "a"]);
+
+/** Allow-list HTML: known formatting tags without attributes, http(s) links only. */
+function sanitizeHtml(html) {
+  return String(html || "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|iframe|object|embed|svg|math|template|noscript)\b[\s\S]*?<\/\1\s*>/gi, "")
+    .replace(/<\/?([a-z][a-z0-9]*)\b([^>]*)>/gi, (m, tag, attrs) => {
+      const t = tag.toLowerCase();
+      if (!SAFE_HTML_TAGS.has(t)) return "";
+      if (m[1] === "/") return `</${t}>`;
+      if (t === "a") {
+        const href = /href\s*=\s*["']([^"']*)["']/i.exec(attrs);
+        const url = href && decodeEntities(href[1]).trim();
+        return url && /^https?:\/\//i.test(url)
+          ? `<a href="${url.replace(/&/g, "&amp;").replace(/"/g, "&quot;")}" rel="noopener noreferrer" target="_blank">`
+          : "<a>";
       }
+      return `<${t}>`;
+    });
+}
 
-      const normTags = (list) => {
-        const out = new Set();
-        for (const raw of list || []) {
-          const s = String(raw || "").toUpperCase();
-          if (!s) continue;
-          if (/\\b8\\s*\\(?A\\)?/.test(s) || s.includes("8(A)")) out.add("8(A)");
-          if (s.includes("SDVOSB") || s.includes("SERVICE-DISABLED")) out.add("SDVOSB");
-          if (s.includes("WOSB") || s.includes("WOMEN")) out.add("WOSB");
-          if (s.includes("HUBZONE")) out.add("HUBZONE");
-          if (s.includes("VOSB") && !s.includes("SDVOSB")) out.add("VOSB");
-          if (s.includes("SMALL BUSINESS")) out.add("SMALL BUSINESS");
-        }
-        return Array.from(out);
-      };
+/** File name from a Content-Disposition header (RFC 5987 filename* first). */
+function dispositionFilename(cd) {
+  const star = /filename\*\s*=\s*[^']*'[^']*'([^;]+)/i.exec(cd || "");
+  if (star) {
+    try { return decodeURIComponent(star[1].trim()); } catch {}
+  }
+  const plain = /filename\s*=\s*"?([^";]+)"?/i.exec(cd || "");
+  return plain ? plain[1].trim() : null;
+}
 
-      const client = makeClient(env);
-      try {
-        await client.connect();
-        await client.query(\`SET statement_timeout = '20s'\`);
-
-        // Base fallbacks from awards (name + NAICS)
-        const mkName = (t) => \`
-          SELECT recipient_name
-            FROM \${t}
-           WHERE recipient_uei = $1
-           ORDER BY total_dollars_obligated_num DESC NULLS LAST
-           LIMIT 1\`;
-        const mkNaics = (t) => \`
-          SELECT DISTINCT naics_code
-            FROM \${t}
-           WHERE recipient_uei = $1 AND naics_code IS NOT NULL
-           LIMIT 200\`;
-
-        let name = null;
-        let naics = [];
-        {
-          const nameRes = await queryPreferringFast(client, mkName, [uei]);
-          const naicsRes = await queryPreferringFast(client, mkNaics, [uei]);
-          name = (nameRes.rows[0] && nameRes.rows[0].recipient_name) || null;
-          naics = (naicsRes.rows || []).map((r) => r.naics_code).filter(Boolean);
-        }
+/**
+ * Attachments with names and sizes: the public sam.gov resources listing when it answers,
+ * else one HEAD per resource link (name from Content-Disposition, size from Content-Length).
+ * The resolved list is cached per notice, so repeat detail views skip the listing and HEADs.
+ */
+async function fetchSamAttachments(noticeId, resourceLinks, ctx, origin) {
+  const cache = caches.default;
+  const key = new Request(`${origin}${API_BASE}/__sam-attachments/${encodeURIComponent(noticeId)}`);
+  const hit = await cache.match(key);
+  if (hit) return hit.json();
 
-        // Prefer SBA view (rich)
-        let website = null;
-        let caps = null;
-        let capsPdf = null;
-        let smallBizCategories = [];
-        try {
-          const sba = await client.query(
-            \`SELECT uei, business_name, website,
-                    capabilities_narrative, capabilities_statement_link,
-                    smallbiz_categories, naics_codes, active_sba_certifications_raw
-               FROM sba.smallbiz_v
-              WHERE upper(uei) = $1
-              LIMIT 1\`,
-            [uei]
-          );
-          if (sba.rows.length) {
-            const r = sba.rows[0];
-            name = r.business_name || name;
-            website = r.website || website;
-            caps = r.capabilities_narrative || null;
-            capsPdf = r.capabilities_statement_link || null;
-
-            if (Array.isArray(r.naics_codes) && r.naics_codes.length) {
-              naics = r.naics_codes.filter(Boolean);
-            }
-            const rawCats = Array.isArray(r.smallbiz_categories)
-              ? r.smallbiz_categories
-              : String(r.active_sba_certifications_raw || "")
-                  .split(/[;,]/)
-                  .map((x) => x.trim())
-                  .filter(Boolean);
-            smallBizCategories = normTags(rawCats);
-          }
-        } catch {}
-
-        // Fallback website from SAM if missing
-        if (!website) {
-          const w = await fetchVendorWebsiteByUEI(uei, env);
-          if (w) website = w;
-        }
+  const out = await resolveSamAttachments(noticeId, resourceLinks);
+  ctx.waitUntil(
+    cache.put(
+      key,
+      new Response(JSON.stringify(out), {
+        headers: { "Content-Type": "application/json", "Cache-Control": `public, max-age=${SAM_ATTACHMENTS_TTL}` },
+      })
+    )
+  );
+  return out;
+}
 
-        return new Response(
-          JSON.stringify({
-            ok: true,
-            entity: {
-              uei,
-              name,
-              naics,
-              smallBizCategories,
-              website: website || null,
-              capabilities: caps || null,
-              capabilities_pdf: capsPdf || null,
-            },
-          }),
-          {
-            status: 200,
-            headers: { ...headers, "Content-Type": "application/json", "Cache-Control": "public, s-maxage=86400" },
-          }
-        );
-      } catch (e) {
-        return new Response(
-          JSON.stringify({ ok: false, error: (e && e.message) || "query failed" }),
-          { status: 500, headers: { ...headers, "Content-Type": "application/json" } }
-        );
-      } finally {
-        try { await client.end(); } catch {}
+async function resolveSamAttachments(noticeId, resourceLinks) {
+  try {
+    const r = await fetch(`https://sam.gov/api/prod/opps/v3/opportunities/${encodeURIComponent(noticeId)}/resources`, {
+      cf: { cacheTtl: 900, cacheEverything: true },
+      headers: { Accept: "application/json" },
+    });
+    if (r.ok) {
+      const j = await r.json();
+      const lists = j?._embedded?.opportunityAttachmentList || [];
+      const out = [];
+      for (const l of lists) {
+        for (const a of l.attachments || []) {
+          if (a.deletedFlag === "1" || a.deletedFlag === true) continue;
+          const isLink = a.type === "link";
+          out.push({
+            name: a.name || a.description || null,
+            type: isLink ? "link" : "file",
+            url: isLink
+              ? a.uri || null
+              : `https://sam.gov/api/prod/opps/v3/opportunities/resources/files/${a.resourceId}/download`,
+            size: a.size != null ? Number(a.size) : null,
+            mimeType: a.mimeType || null,
+            postedDate: a.postedDate || null,
+            access: a.accessLevel || null,
+          });
+        }
       }
+      if (out.length || !(resourceLinks || []).length) return out;
     }
+  } catch {}
 
-    /* -------------------- fit/capability (POST): cosine-based match) -------------------- */
-    if (request.method === "POST" && last === "capability" && segments[segments.length - 2] === "fit") {
-      let body = {};
-      try { body = await request.json(); } catch { body = {}; }
-      const piid = String(body.piid || "").trim().toUpperCase();
-      const uei  = String(body.uei  || "").trim().toUpperCase();
-      if (!piid || !uei) {
-        return new Response(JSON.stringify({ ok: false, error: "Missing piid or uei" }), {
-          status: 400, headers: { ...headers, "Content-Type": "application/json" },
-        });
+  const links = (resourceLinks || []).slice(0, SAM_MAX_ATTACHMENT_PROBES);
+  return Promise.all(
+    links.map(async (link) => {
+      const att = { name: null, type: "file", url: link, size: null, mimeType: null, postedDate: null, access: null };
+      try {
+        const h = await fetch(link, { method: "HEAD", redirect: "follow", signal: AbortSignal.timeout(5000) });
+        att.name = dispositionFilename(h.headers.get("Content-Disposition"));
+        const len = Number(h.headers.get("Content-Length"));
+        att.size = Number.isFinite(len) && len > 0 ? len : null;
+        att.mimeType = (h.headers.get("Content-Type") || "").split(";")[0] || null;
+      } catch {}
+      if (!att.name) {
+        try {
+          att.name = decodeURIComponent(new URL(link).pathname.split("/").filter(Boolean).slice(-2, -1)[0] || "") || null;
+        } catch {} // unparsable link or bad %-escape: leave the name null
       }
+      return att;
+    })
+  );
+}
+
+function samPlace(p) {
+  if (!p) return null;
+  const pick = (x) => (x && typeof x === "object" ? { code: x.code || null, name: x.name || null } : x ? { code: String(x), name: null } : null);
+  return {
+    street: p.streetAddress || null,
+    street2: p.streetAddress2 || null,
+    city: pick(p.city),
+    state: pick(p.state),
+    zip: p.zip || p.zipcode || null,
+    country: pick(p.country),
+  };
+}
+
+/** Normalized detail for one SAM notice (description resolved separately). */
+function normalizeSamNotice(n) {
+  const deadline = n.responseDeadLine || n.reponseDeadLine || null;
+  const deadlineMs = deadline ? Date.parse(deadline) : NaN;
+  const award = n.award || null;
+  return {
+    noticeId: n.noticeId,
+    title: n.title || null,
+    solicitationNumber: n.solicitationNumber || null,
+    type: n.type || null,
+    baseType: n.baseType || null,
+    active: n.active === "Yes" || n.active === true,
+    postedDate: n.postedDate || null,
+    archiveDate: n.archiveDate || null,
+    responseDeadline: deadline,
+    daysUntilDeadline: Number.isFinite(deadlineMs) ? Math.ceil((deadlineMs - Date.now()) / 86400000) : null,
+    organization: n.fullParentPathName || null,
+    organizationCode: n.fullParentPathCode || null,
+    office: n.officeAddress
+      ? { city: n.officeAddress.city || null, state: n.officeAddress.state || null, zip: n.officeAddress.zipcode || null }
+      : null,
+    naics: n.naicsCode || null,
+    psc: n.classificationCode || null,
+    setAside: n.typeOfSetAside ? { code: n.typeOfSetAside, description: n.typeOfSetAsideDescription || null } : null,
+    placeOfPerformance: samPlace(n.placeOfPerformance),
+    pointsOfContact: (n.pointOfContact || []).map((p) => ({
+      type: p.type || null,
+      name: p.fullName || null,
+      title: p.title || null,
+      email: p.email || null,
+      phone: p.phone || null,
+      fax: p.fax || null,
+    })),
+    award: award
+      ? {
+          date: award.date || null,
+          number: award.number || null,
+          amount: award.amount != null && award.amount !== "" ? Number(award.amount) : null,
+          awardee: award.awardee
+            ? {
+                name: award.awardee.name || null,
+                uei: award.awardee.ueiSAM || null,
+                location: award.awardee.location ? samPlace(award.awardee.location) : null,
+              }
+            : null,
+        }
+      : null,
+    uiLink: n.uiLink || `https://sam.gov/opp/${n.noticeId}/view`,
+  };
+}
+
+/* =====================================================================
+   S A V E D   S E A R C H E S   +   D I G E S T S
+   ===================================================================== */
+const SAVED_QUERY_FIELDS = [
+  "keywords", "naics", "noticeTypes", "setAside", "agency", "organization", "organizationCode", "windowDays",
+  "deadlineFrom", "deadlineTo", "state", "zip", "solicitationNumber", "psc", "status",
+];
+const SEEN_RETENTION_DAYS = 400; // longer than the largest search window
+let appSchemaReady = false; // per isolate
+
+/** Create the app-owned tables on first use (the award/SBA tables are read-only to us). */
+async function ensureAppSchema(client) {
+  if (appSchemaReady) return;
+  await client.query(`CREATE SCHEMA IF NOT EXISTS app`);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS app.saved_searches (
+      id          bigserial PRIMARY KEY,
+      user_id     text        NOT NULL,
+      name        text        NOT NULL,
+      query       jsonb       NOT NULL,
+      created_at  timestamptz NOT NULL DEFAULT now(),
+      last_run_at timestamptz
+    )`);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS app.saved_search_seen (
+      search_id     bigint      NOT NULL REFERENCES app.saved_searches(id) ON DELETE CASCADE,
+      notice_id     text        NOT NULL,
+      first_seen_at timestamptz NOT NULL DEFAULT now(),
+      PRIMARY KEY (search_id, notice_id)
+    )`);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS app.search_digests (
+      id         bigserial PRIMARY KEY,
+      user_id    text        NOT NULL,
+      created_at timestamptz NOT NULL DEFAULT now(),
+      total      int         NOT NULL,
+      items      jsonb       NOT NULL
+    )`);
+  await client.query(`CREATE INDEX IF NOT EXISTS saved_searches_user_idx ON app.saved_searches (user_id)`);
+  await client.query(`CREATE INDEX IF NOT EXISTS search_digests_user_idx ON app.search_digests (user_id, created_at DESC)`);
+  appSchemaReady = true;
+}
+
+/** Keep only the opportunities/search fields a saved query may carry. */
+function pickSavedQuery(q) {
+  const out = {};
+  for (const k of SAVED_QUERY_FIELDS) {
+    const v = q && q[k];
+    if (v == null || v === "" || (Array.isArray(v) && !v.length)) continue;
+    out[k] = v;
+  }
+  if (out.windowDays != null) out.windowDays = Math.max(1, Math.min(365, parseInt(out.windowDays, 10) || 7));
+  return out;
+}
+
+/** Compact notice for digests. */
+function digestNotice(o) {
+  return {
+    noticeId: o.noticeId || null,
+    title: o.title || null,
+    solicitationNumber: o.solicitationNumber || null,
+    type: o.type || o.baseType || null,
+    postedDate: o.postedDate || null,
+    responseDeadLine: o.responseDeadLine || null,
+    agency: o.fullParentPathName || null,
+    naicsCode: o.naicsCode || null,
+    setAside: o.typeOfSetAsideDescription || null,
+    uiLink: o.uiLink || null,
+  };
+}
 
-      // Optional tunable weights (default 18 + 12 = 30 total)
-      const W_INC = Math.max(0, Math.min(30, Number(body?.weights?.inc_vs_my ?? 18)));
-      const W_TX  = Math.max(0, Math.min(30 - W_INC, Number(body?.weights?.my_vs_tx ?? 12)));
-      const P_MAX = 30;
+/**
+ * Cron job: run every saved query, keep notices its previous runs have not seen,
+ * and write one digest per user. Per-search failures are recorded in the digest.
+ */
+async function runSavedSearchDigests(env) {
+  const client = makeClient(env);
+  try {
+    await client.connect();
+    await client.query(`SET statement_timeout = '20s'`);
+    await ensureAppSchema(client);
 
-      const client = makeClient(env);
+    const { rows: searches } = await client.query(
+      `SELECT id, user_id, name, query FROM app.saved_searches ORDER BY user_id, id`
+    );
+    const byUser = new Map();
+    for (const s of searches) {
+      const q = s.query || {};
+      const item = { searchId: String(s.id), name: s.name, notices: [], error: null };
       try {
-        await client.connect();
-        await client.query(\`SET statement_timeout = '20s'\`);
-
-        // Find incumbent UEI for this PIID
-        const mkA = (t) => \`
-          SELECT recipient_uei, recipient_name
-            FROM \${t}
-           WHERE award_id_piid = $1
-           ORDER BY pop_current_end_date DESC NULLS LAST
-           LIMIT 1\`;
-        const a = await queryPreferringFast(client, mkA, [piid]);
-        const incUEI = (a.rows[0] && a.rows[0].recipient_uei) || null;
-
-        // Caps for both parties (SBA view)
-        let myCaps = "", incCaps = "";
-        if (incUEI) {
-          const capsRes = await client.query(
-            \`SELECT uei, capabilities_narrative
-               FROM sba.smallbiz_v
-              WHERE upper(uei) = ANY($1)\`,
-            [[uei, String(incUEI).toUpperCase()]]
-          );
-          for (const r of capsRes.rows || []) {
-            if ((r.uei || "").toUpperCase() === uei) myCaps = r.capabilities_narrative || "";
-            if ((r.uei || "").toUpperCase() === String(incUEI).toUpperCase()) incCaps = r.capabilities_narrative || "";
-          }
-        } else {
-          const capsRes = await client.query(
-            \`SELECT uei, capabilities_narrative
-               FROM sba.smallbiz_v
-              WHERE upper(uei) = $1
-              LIMIT 1\`,
-            [uei]
+        const { opportunitiesData: found } = await samSearch(env, { ...q, windowDays: q.windowDays || 7, limit: 100 });
+
+        const ids = found.map((o) => String(o.noticeId));
+        const seen = ids.length
+          ? await client.query(
+              `SELECT notice_id FROM app.saved_search_seen WHERE search_id = $1 AND notice_id = ANY($2::text[])`,
+              [s.id, ids]
+            )
+          : { rows: [] };
+        const seenSet = new Set(seen.rows.map((x) => x.notice_id));
+        const fresh = found.filter((o) => !seenSet.has(String(o.noticeId)));
+        if (fresh.length) {
+          await client.query(
+            `INSERT INTO app.saved_search_seen (search_id, notice_id)
+             SELECT $1, unnest($2::text[])
+             ON CONFLICT DO NOTHING`,
+            [s.id, fresh.map((o) => String(o.noticeId))]
           );
-          if (capsRes.rows.length) myCaps = capsRes.rows[0].capabilities_narrative || "";
         }
-
-        // Pull all transaction descriptions (concat)
-        const tx = await client.query(
-          \`SELECT transaction_description
-             FROM fp.contract_txn_min_v1
-            WHERE piid = $1
-              AND transaction_description IS NOT NULL
-            LIMIT 5000\`,
-          [piid]
-        );
-        const txnBlob = (tx.rows || []).map((r) => String(r.transaction_description || "")).join(" ");
-
-        // Unified cosine scoring
-        const mineBag = bag(tokenize(myCaps || ""));
-        const incBag  = bag(tokenize(incCaps || ""));
-        const txBag   = bag(tokenize(txnBlob || ""));
-
-        let inc01 = (myCaps && incCaps) ? cosineFromBags(mineBag, incBag) : 0;
-        if (incUEI && uei && incUEI.toUpperCase() === uei.toUpperCase() && myCaps) inc01 = 1; // same entity: perfect match
-        const tx01  = cosineFromBags(mineBag, txBag);      // 0..1
-
-        const inc5         = Math.round(inc01 * 5);        // 0..5
-        const tx5          = Math.round(tx01 * 5);         // 0..5        
-        const combo        = Math.round((inc01 + tx01) * 50);
-
-        // Map to a unified 0..30 bonus using weights
-        const incPoints = Math.round(inc01 * W_INC);
-        const txPoints  = Math.round(tx01  * W_TX);
-        const capPoints = Math.max(0, Math.min(P_MAX, incPoints + txPoints));
-
-        // Optional: shared keywords for UI/explain
-        const anchors = topTermsFrom(myCaps, 15);
-        const incTop  = topTermsFrom(incCaps, 20);
-        const txTop   = topTermsFrom(txnBlob, 20);
-        const mapFrom = (arr) => { const m = new Map(); for (const { term, freq } of arr) m.set(term, freq); return m; };
-        const incMap = mapFrom(incTop);
-        const txMap  = mapFrom(txTop);
-
-        const sharedInc = anchors
-          .filter(a => incMap.has(a.term))
-          .map(a => ({ term: a.term, mine: a.freq, inc: incMap.get(a.term) }))
-          .sort((x, y) => (y.mine + y.inc) - (x.mine + x.inc))
-          .slice(0, 12);
-
-        const sharedTx = anchors
-          .filter(a => txMap.has(a.term))
-          .map(a => ({ term: a.term, mine: a.freq, tx: txMap.get(a.term) }))
-          .sort((x, y) => (y.mine + y.tx) - (x.mine + x.tx))
-          .slice(0, 12);
-
-        return new Response(
-          JSON.stringify({
-            ok: true,
-            piid,
-            uei,
-            incumbent_uei: incUEI,
-            scores: {
-              cap_vs_incumbent_0to5: inc5,
-              cap_vs_txn_0to5: tx5,
-              combined_0to100: combo,
-            },
-            bonus_0to30: capPoints,
-            shared_keywords: { sharedInc, sharedTx },
-          }),
-          { status: 200, headers: { ...headers, "Content-Type": "application/json" } }
-        );
+        await client.query(`UPDATE app.saved_searches SET last_run_at = now() WHERE id = $1`, [s.id]);
+        item.notices = fresh.map(digestNotice);
       } catch (e) {
-        return new Response(
-          JSON.stringify({ ok: false, error: (e && e.message) || "capability fit failed" }),
-          { status: 500, headers: { ...headers, "Content-Type": "application/json" } }
-        );
-      } finally {
-        try { await client.end(); } catch {}
+        item.error = (e && e.message) || "search failed";
       }
+      const list = byUser.get(s.user_id) || [];
+      list.push(item);
+      byUser.set(s.user_id, list);
     }
 
-    /* -------------------- SAM.gov Opportunities proxy -------------------- */
-    const SAM_ALLOWED_TYPES = new Set([
-      "Solicitation",
-      "Combined Synopsis/Solicitation",
-      "Presolicitation",
-      "Sources Sought",
-      "Award Notice",
-      "Special Notice",
-    ]);
-    function coerceTypes(input) {
-      let types = Array.isArray(input) ? input : String(input || "").split(",");
-      types = types.map((s) => String(s || "").trim()).filter(Boolean).filter((t) => SAM_ALLOWED_TYPES.has(t));
-      if (types.length === 0) types = ["Solicitation"];
-      return types;
-    }
-    function coerceNaics(input) {
-      let arr = Array.isArray(input) ? input : String(input || "").split(/[\\,\\s]+/);
-      return Array.from(
-        new Set(arr.map((s) => String(s).replace(/\\D+/g, "")).filter((s) => s.length >= 2 && s.length <= 6))
+    for (const [userId, items] of byUser) {
+      const total = items.reduce((n, x) => n + x.notices.length, 0);
+      if (!total && !items.some((x) => x.error)) continue;
+      await client.query(
+        `INSERT INTO app.search_digests (user_id, total, items) VALUES ($1, $2, $3::jsonb)`,
+        [userId, total, JSON.stringify(items)]
       );
     }
-    function fmtMDY(d) {
-      const mm = String(d.getMonth() + 1).padStart(2, "0");
-      const dd = String(d.getDate()).padStart(2, "0");
-      const yyyy = d.getFullYear();
-      return \`\${mm}/\${dd}/\${yyyy}\`;
+
+    await client.query(
+      `DELETE FROM app.saved_search_seen WHERE first_seen_at < now() - ($1::int * INTERVAL '1 day')`,
+      [SEEN_RETENTION_DAYS]
+    );
+    return { searches: searches.length, users: byUser.size };
+  } finally {
+    try { await client.end(); } catch {}
+  }
+}
+
+/* =====================================================================
+   A U T H   +   R A T E   L I M I T S
+   ===================================================================== */
+/*
+  Keys are sent as "Authorization: Bearer <key>" or "X-API-Key: <key>".
+  Only SHA-256 hashes are stored (app.api_keys). ADMIN_API_KEY (secret) is a bootstrap
+  key with every scope and no rate limit. AUTH_MODE=off disables checks (local dev).
+  A verified key is remembered per isolate for AUTH_KEY_TTL_MS: repeat requests skip the
+  inline lookup, count against the isolate's view of the minute window and write the hit
+  in the background. Revocations reach other isolates within that TTL.
+*/
+const API_SCOPES = ["analytics", "sam", "searches", "admin"];
+const DEFAULT_RATE_PER_MIN = 60;
+const AUTH_KEY_TTL_MS = 60 * 1000;
+let authSchemaReady = false; // per isolate
+const authKeyCache = new Map(); // per isolate: key hash -> { key, at, window, hits }
+
+async function ensureAuthSchema(client) {
+  if (authSchemaReady) return;
+  await ensureAppSchema(client);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS app.api_keys (
+      id           bigserial PRIMARY KEY,
+      name         text        NOT NULL,
+      key_prefix   text        NOT NULL,
+      key_hash     text        NOT NULL UNIQUE,
+      scopes       text[]      NOT NULL,
+      rate_per_min int         NOT NULL DEFAULT ${DEFAULT_RATE_PER_MIN},
+      created_at   timestamptz NOT NULL DEFAULT now(),
+      last_used_at timestamptz,
+      revoked_at   timestamptz
+    )`);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS app.api_key_usage (
+      key_id       bigint      NOT NULL REFERENCES app.api_keys(id) ON DELETE CASCADE,
+      window_start timestamptz NOT NULL,
+      hits         int         NOT NULL,
+      PRIMARY KEY (key_id, window_start)
+    )`);
+  authSchemaReady = true;
+}
+
+async function sha256Hex(s) {
+  const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(s));
+  return Array.from(new Uint8Array(buf)).map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function newApiKey() {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  const b64 = btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  return `sbk_${b64}`;
+}
+
+/** Constant-time string compare (for the env admin key). */
+function safeEqual(a, b) {
+  if (typeof a !== "string" || typeof b !== "string" || a.length !== b.length) return false;
+  let d = 0;
+  for (let i = 0; i < a.length; i++) d |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return d === 0;
+}
+
+function presentedKey(request) {
+  const auth = request.headers.get("Authorization") || "";
+  const m = auth.match(/^Bearer\s+(.+)$/i);
+  return (m ? m[1] : request.headers.get("X-API-Key") || "").trim();
+}
+
+/** Scope and rate decision for a verified key with `hits` requests in the current minute. */
+function keyVerdict(k, hits, resetSeconds, scope) {
+  const rate = {
+    limit: k.rate_per_min,
+    remaining: Math.max(0, k.rate_per_min - hits),
+    resetSeconds: Math.max(1, resetSeconds || 60),
+  };
+  if (!(k.scopes || []).includes(scope)) {
+    return { ok: false, status: 403, code: "FORBIDDEN", error: `API key is not scoped for "${scope}" routes`, rate };
+  }
+  if (hits > k.rate_per_min) return { ok: false, status: 429, code: "RATE_LIMITED", error: "Rate limit exceeded", rate };
+  return { ok: true, key: { id: k.id, name: k.name, scopes: k.scopes }, rate };
+}
+
+/** Background write of one hit for a cached key; adopts the shared count other isolates added. */
+async function recordKeyHit(env, entry) {
+  const window = entry.window;
+  const client = makeClient(env);
+  try {
+    await client.connect();
+    await client.query(`SET statement_timeout = '5s'`);
+    const { rows } = await client.query(
+      `INSERT INTO app.api_key_usage (key_id, window_start, hits)
+       VALUES ($1::bigint, date_trunc('minute', now()), 1)
+       ON CONFLICT (key_id, window_start) DO UPDATE SET hits = app.api_key_usage.hits + 1
+       RETURNING hits`,
+      [entry.key.id]
+    );
+    if (rows.length && entry.window === window) entry.hits = Math.max(entry.hits, rows[0].hits);
+  } finally {
+    try { await client.end(); } catch {}
+  }
+}
+
+/**
+ * Verify the caller's key for `scope` and count the hit against its per-minute window.
+ * Returns { ok, status?, code?, error?, key?, rate? } — rate carries the X-RateLimit-* values.
+ */
+async function authorize(request, env, ctx, scope, timing) {
+  const key = presentedKey(request);
+  if (!key) return { ok: false, status: 401, code: "UNAUTHORIZED", error: "Missing API key" };
+  if (env.ADMIN_API_KEY && safeEqual(key, env.ADMIN_API_KEY)) {
+    return { ok: true, key: { id: "env-admin", name: "ADMIN_API_KEY", scopes: API_SCOPES } };
+  }
+
+  const hash = await sha256Hex(key);
+  const now = Date.now();
+  const cached = authKeyCache.get(hash);
+  if (cached && now - cached.at < AUTH_KEY_TTL_MS) {
+    const window = Math.floor(now / 60000);
+    if (cached.window !== window) Object.assign(cached, { window, hits: 0 });
+    cached.hits++;
+    ctx.waitUntil(
+      recordKeyHit(env, cached).catch((e) => console.error("api key usage write failed:", e && e.message))
+    );
+    return keyVerdict(cached.key, cached.hits, 60 - Math.floor((now % 60000) / 1000), scope);
+  }
+
+  const client = makeClient(env, timing);
+  try {
+    await client.connect();
+    await client.query(`SET statement_timeout = '5s'`);
+    await ensureAuthSchema(client);
+    const { rows } = await client.query(
+      `WITH k AS (
+         SELECT id, name, scopes, rate_per_min
+           FROM app.api_keys
+          WHERE key_hash = $1 AND revoked_at IS NULL
+       ), u AS (
+         INSERT INTO app.api_key_usage (key_id, window_start, hits)
+         SELECT id, date_trunc('minute', now()), 1 FROM k
+         ON CONFLICT (key_id, window_start) DO UPDATE SET hits = app.api_key_usage.hits + 1
+         RETURNING hits
+       ), t AS (
+         UPDATE app.api_keys SET last_used_at = now() WHERE id IN (SELECT id FROM k)
+       )
+       SELECT k.id::text, k.name, k.scopes, k.rate_per_min,
+              (SELECT hits FROM u) AS hits,
+              CEIL(EXTRACT(EPOCH FROM date_trunc('minute', now()) + INTERVAL '1 minute' - now()))::int AS reset_s
+         FROM k`,
+      [hash]
+    );
+    if (!rows.length) {
+      authKeyCache.delete(hash);
+      return { ok: false, status: 401, code: "UNAUTHORIZED", error: "Invalid or revoked API key" };
+    }
+    const k = rows[0];
+    authKeyCache.set(hash, {
+      key: { id: k.id, name: k.name, scopes: k.scopes, rate_per_min: k.rate_per_min },
+      at: now,
+      window: Math.floor(now / 60000),
+      hits: k.hits,
+    });
+    return keyVerdict(k, k.hits, k.reset_s, scope);
+  } catch {
+    return { ok: false, status: 503, code: "AUTH_UNAVAILABLE", error: "Authentication unavailable" };
+  } finally {
+    try { await client.end(); } catch {}
+  }
+}
+
+/** Cron job: drop per-minute usage windows older than a day (only the current minute is ever read). */
+async function pruneApiKeyUsage(env) {
+  const client = makeClient(env);
+  try {
+    await client.connect();
+    await client.query(`SET statement_timeout = '20s'`);
+    await ensureAuthSchema(client);
+    const r = await client.query(`DELETE FROM app.api_key_usage WHERE window_start < now() - INTERVAL '1 day'`);
+    return { deleted: r.rowCount };
+  } finally {
+    try { await client.end(); } catch {}
+  }
+}
+
+function rateHeaders(rate) {
+  if (!rate) return {};
+  return {
+    "X-RateLimit-Limit": String(rate.limit),
+    "X-RateLimit-Remaining": String(rate.remaining),
+    "X-RateLimit-Reset": String(rate.resetSeconds),
+  };
+}
+
+/* =====================================================================
+   E X P O R T   ( C S V  /  X L S X )
+   ===================================================================== */
+/*
+  List routes opt in with an `export` spec in ROUTES:
+    export: { name, rows: (payload, input) => [...], columns: [{ header, key | get, type }] }
+  column type: "text" (default) | "int" | "number" | "money" | "date"; `columns` may also be
+  a function of `input` when one route exports several lists (chosen by params declared in
+  the spec's own `query`, which the handler never sees in its URL). The handler still builds its
+  JSON payload; the dispatcher turns the rows into a file when ?format=csv|xlsx (or the
+  Accept header) asks for one. Keyset-paged routes export the requested page only; the next
+  page's cursor rides along in X-Next-Cursor.
+*/
+const EXPORT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+/** Requested export format: explicit ?format wins, then Accept; "json" means no export. */
+function exportFormat(input, request) {
+  if (input.format) return input.format;
+  const accept = request.headers.get("Accept") || "";
+  if (accept.includes(EXPORT_TYPES.xlsx)) return "xlsx";
+  if (accept.includes("text/csv")) return "csv";
+  return "json";
+}
+
+function cellValue(col, row) {
+  const v = col.get ? col.get(row) : row[col.key];
+  if (v == null || v === "") return null;
+  switch (col.type) {
+    case "int":
+    case "number":
+    case "money": {
+      const n = Number(v);
+      return Number.isFinite(n) ? n : null;
+    }
+    case "date": {
+      const d = v instanceof Date ? v : new Date(v);
+      return Number.isNaN(d.getTime()) ? null : d;
     }
-    function isMDY(s) { return /^\\d{2}\\/\\d{2}\\/\\d{4}$/.test(String(s || "")); }
-    function buildSamURL(env, body) {
-      const u = new URL("https://api.sam.gov/prod/opportunities/v2/search");
-      if (!env.SAM_API_KEY) throw new Error("SAM_API_KEY is not configured");
-      u.searchParams.set("api_key", env.SAM_API_KEY);
+    default:
+      return String(v);
+  }
+}
+
+const isoDate = (d) => d.toISOString().slice(0, 10);
 
-      const days = Math.max(1, Math.min(365, parseInt(body.windowDays || "15", 10)));
-      const now = new Date();
-      const from = new Date(now.getTime() - days * 86400000);
+/* ---------------- CSV ---------------- */
+function toCsv(columns, rows) {
+  const quote = (s) => (/[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s);
+  const fmt = (col, v) => {
+    if (v == null) return "";
+    if (col.type === "money") return v.toFixed(2);
+    if (col.type === "int") return String(Math.round(v));
+    if (col.type === "number") return String(v);
+    if (col.type === "date") return isoDate(v);
+    // Spreadsheets evaluate leading = + - @ as formulas.
+    return quote(/^[=+\-@]/.test(v) ? `'${v}` : v);
+  };
+  const lines = [columns.map((c) => quote(c.header)).join(",")];
+  for (const r of rows) lines.push(columns.map((c) => fmt(c, cellValue(c, r))).join(","));
+  // BOM so Excel reads UTF-8.
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
 
-      const postedFrom = isMDY(body.postedFrom) ? body.postedFrom : isMDY(body.posted_from) ? body.posted_from : fmtMDY(from);
-      const postedTo   = isMDY(body.postedTo)   ? body.postedTo   : isMDY(body.posted_to)   ? body.posted_to   : fmtMDY(now);
+/* ---------------- XLSX (SpreadsheetML in a stored zip; no dependencies) ---------------- */
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
 
-      u.searchParams.set("postedFrom", postedFrom);
-      u.searchParams.set("postedTo", postedTo);
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
 
-      for (const t of coerceTypes(body.noticeTypes || body.type || body.noticeType)) {
-        u.searchParams.append("noticeType", t);
-      }
-      for (const code of coerceNaics(body.naics || body.naicsCode || body.naicsCodes)) {
-        u.searchParams.append("naics", code);
-      }
+/** Minimal zip writer: stored (uncompressed) entries, which every xlsx reader accepts. */
+function zipStore(files) {
+  const enc = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+  const DOS_DATE = 33; // 1980-01-01
+  for (const f of files) {
+    const name = enc.encode(f.name);
+    const data = typeof f.data === "string" ? enc.encode(f.data) : f.data;
+    const crc = crc32(data);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(12, DOS_DATE, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    parts.push(new Uint8Array(local.buffer), name, data);
 
-      const q   = body.q || body.keyword || body.keywords || body.search || body.searchText || body.searchTerm || "";
-      const org = body.agency_contains || body.agency || body.agencyName || body.organization || body.org || body.fullParentPathName || "";
-      const mergedKeyword = [q, org].map((s) => String(s || "").trim()).filter(Boolean).join(" ");
-      if (mergedKeyword) u.searchParams.set("keyword", mergedKeyword);
+    const cd = new DataView(new ArrayBuffer(46));
+    cd.setUint32(0, 0x02014b50, true);
+    cd.setUint16(4, 20, true);
+    cd.setUint16(6, 20, true);
+    cd.setUint16(14, DOS_DATE, true);
+    cd.setUint32(16, crc, true);
+    cd.setUint32(20, data.length, true);
+    cd.setUint32(24, data.length, true);
+    cd.setUint16(28, name.length, true);
+    cd.setUint32(42, offset, true);
+    central.push(new Uint8Array(cd.buffer), name);
+    offset += 30 + name.length + data.length;
+  }
+  const cdSize = central.reduce((s, p) => s + p.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, cdSize, true);
+  end.setUint32(16, offset, true);
 
-      const setAsideRaw = body.setAside || body.setAsideCodes || body.typeOfSetAside || body.type_of_set_aside;
-      if (setAsideRaw) {
-        const val = Array.isArray(setAsideRaw) ? setAsideRaw[0] : setAsideRaw;
-        const code = String(val || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
-        if (code) u.searchParams.set("setAsideCode", code);
-      }
+  const all = [...parts, ...central, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(all.reduce((s, p) => s + p.length, 0));
+  let pos = 0;
+  for (const p of all) { out.set(p, pos); pos += p.length; }
+  return out;
+}
+
+const xmlEscape = (s) =>
+  String(s)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/[&<>"]/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[ch]);
+
+function colRef(i) {
+  let s = "";
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
 
-      const limit  = Math.max(1, Math.min(100, parseInt(body.limit  || "25", 10)));
-      const offset = Math.max(0, parseInt(body.offset || "0", 10));
-      u.searchParams.set("limit", String(limit));
-      u.searchParams.set("offset", String(offset));
-      u.searchParams.set("sort", "modifiedDate");
-      u.searchParams.set("order", "desc");
+// Style ids in styles.xml below: 0 general, 1 header, 2 money, 3 date, 4 integer.
+const XLSX_STYLE = { number: 0, money: 2, date: 3, int: 4 };
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
 
-      return u;
+function toXlsx(columns, rows, sheetName) {
+  const cell = (ref, col, v) => {
+    if (v == null) return "";
+    if (col.type === "date") {
+      const serial = (Date.UTC(v.getUTCFullYear(), v.getUTCMonth(), v.getUTCDate()) - EXCEL_EPOCH) / 86400000;
+      return `<c r="${ref}" s="3"><v>${serial}</v></c>`;
     }
+    if (typeof v === "number") return `<c r="${ref}" s="${XLSX_STYLE[col.type]}"><v>${v}</v></c>`;
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(v)}</t></is></c>`;
+  };
+  const header = columns
+    .map((c, i) => `<c r="${colRef(i)}1" s="1" t="inlineStr"><is><t>${xmlEscape(c.header)}</t></is></c>`)
+    .join("");
+  const body = rows
+    .map((r, ri) => {
+      const n = ri + 2;
+      return `<row r="${n}">${columns.map((c, i) => cell(`${colRef(i)}${n}`, c, cellValue(c, r))).join("")}</row>`;
+    })
+    .join("");
+  const widths = columns
+    .map((c, i) => {
+      const w = c.type === "date" ? 12 : c.type === "money" ? 16 : Math.min(60, Math.max(10, c.header.length + 2));
+      return `<col min="${i + 1}" max="${i + 1}" width="${w}" customWidth="1"/>`;
+    })
+    .join("");
+  const lastRef = `${colRef(columns.length - 1)}${rows.length + 1}`;
 
-    if (segments[0] === "opportunities" && last === "search") {
-      try {
-        let body = {};
-        if (request.method === "POST") {
-          const txt = await request.text();
-          try { body = JSON.parse(txt); } catch { body = {}; }
-        } else {
-          body = Object.fromEntries(new URL(request.url).searchParams.entries());
-        }
+  const sheet =
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+    `<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+    `<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>` +
+    `<cols>${widths}</cols>` +
+    `<sheetData><row r="1">${header}</row>${body}</sheetData>` +
+    `<autoFilter ref="A1:${lastRef}"/>` +
+    `</worksheet>`;
+  const styles =
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+    `<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+    `<numFmts count="1"><numFmt numFmtId="164" formatCode="&quot;$&quot;#,##0.00"/></numFmts>` +
+    `<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>` +
+    `<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>` +
+    `<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>` +
+    `<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>` +
+    `<cellXfs count="5">` +
+    `<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>` +
+    `<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>` +
+    `<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>` +
+    `<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>` +
+    `<xf numFmtId="3" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>` +
+    `</cellXfs></styleSheet>`;
 
-        const samURL = buildSamURL(env, body);
-        const r = await fetch(samURL.toString(), {
-          cf: { cacheTtl: 900, cacheEverything: true },
-          headers: { Accept: "application/json" },
-        });
-        const rawText = await r.text();
+  return zipStore([
+    {
+      name: "[Content_Types].xml",
+      data:
+        `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+        `<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+        `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>` +
+        `<Default Extension="xml" ContentType="application/xml"/>` +
+        `<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>` +
+        `<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>` +
+        `<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>` +
+        `</Types>`,
+    },
+    {
+      name: "_rels/.rels",
+      data:
+        `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+        `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>` +
+        `</Relationships>`,
+    },
+    {
+      name: "xl/workbook.xml",
+      data:
+        `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+        `<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">` +
+        `<sheets><sheet name="${xmlEscape(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+        (rows.length ? `<definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">'${xmlEscape(sheetName.slice(0, 31))}'!$A$1:$${colRef(columns.length - 1)}$${rows.length + 1}</definedName></definedNames>` : "") +
+        `</workbook>`,
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      data:
+        `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+        `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>` +
+        `<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+        `</Relationships>`,
+    },
+    { name: "xl/styles.xml", data: styles },
+    { name: "xl/worksheets/sheet1.xml", data: sheet },
+  ]);
+}
 
-        const passHeaders = {
-          ...headers,
-          "Content-Type": "application/json",
-          "Cache-Control": "public, s-maxage=900, stale-while-revalidate=86400",
-          "x-sam-url": samURL.toString(),
-        };
+/** Turn a handler's JSON response into a CSV/XLSX download per the route's export spec. */
+async function exportResponse(res, route, input, format, headers) {
+  if (!res.ok) return res; // errors stay JSON
+  const payload = await res.json();
+  const spec = route.export;
+  const rows = spec.rows(payload, input) || [];
+  const columns = typeof spec.columns === "function" ? spec.columns(input) : spec.columns;
+  const stem = [spec.name, ...(spec.fileParts ? spec.fileParts(input) : [])]
+    .filter(Boolean)
+    .join("-")
+    .replace(/[^A-Za-z0-9._-]+/g, "_");
+  const filename = `${stem}-${isoDate(new Date())}.${format}`;
+  const body = format === "xlsx" ? toXlsx(columns, rows, spec.sheet || spec.name) : toCsv(columns, rows);
+  return new Response(body, {
+    status: 200,
+    headers: {
+      ...headers,
+      "Content-Type": EXPORT_TYPES[format],
+      "Content-Disposition": `attachment; filename="${filename}"`,
+      "Cache-Control": "private, max-age=300",
+      ...(payload.nextCursor ? { "X-Next-Cursor": payload.nextCursor } : {}),
+    },
+  });
+}
 
-        if (r.status >= 400 && r.status < 500) {
-          return new Response(
-            JSON.stringify({
-              ok: false,
-              status: r.status,
-              hint:
-                r.status === 400
-                  ? "SAM rejected the parameters. Check date format (MM/dd/yyyy), notice types, and window <= 365 days."
-                  : r.status === 401 || r.status === 403
-                  ? "Check SAM_API_KEY on the Worker."
-                  : "Upstream client error.",
-              upstream: rawText,
-            }),
-            { status: 400, headers: passHeaders }
-          );
-        }
+/* =====================================================================
+   R O U T E   H A N D L E R S
+   ===================================================================== */
+/* -------------------- health -------------------- */
+async function handleHealth(c) {
+  const { headers } = c;
+  return new Response(JSON.stringify({ ok: true }), {
+    status: 200,
+    headers: { ...headers, "Content-Type": "application/json" },
+  });
+}
 
-        let normalized;
-        try {
-          const j = rawText ? JSON.parse(rawText) : {};
-          const dataAny = j.opportunitiesData || j.searchResults || j.data || j.results || [];
-          const opportunitiesData = Array.isArray(dataAny)
-            ? dataAny
-            : Array.isArray(dataAny.opportunitiesData)
-            ? dataAny.opportunitiesData
-            : [];
-          const totalRecords = j.totalRecords || j.total || (Array.isArray(opportunitiesData) ? opportunitiesData.length : 0);
-          const limit = Number(j.limit || body.limit || 25) || 25;
-          const offset = Number(j.offset || body.offset || 0) || 0;
-          normalized = { totalRecords, limit, offset, opportunitiesData };
-        } catch {
-          normalized = { totalRecords: 0, limit: 25, offset: 0, opportunitiesData: [] };
-        }
+/* -------------------- admin/keys (list, create, revoke API keys) -------------------- */
+/*
+  GET  /sb/admin/keys
+  POST /sb/admin/keys          Body: { name, scopes: ["analytics","sam","searches","admin"], ratePerMin? }
+  POST /sb/admin/keys/revoke   Body: { id }
+*/
+async function handleAdminKeys(c) {
+  const { request, env, headers, apiKey, route, input, timing } = c;
+  const json = (obj, status = 200) =>
+    new Response(JSON.stringify(obj), { status, headers: { ...headers, "Content-Type": "application/json" } });
 
-        return new Response(JSON.stringify(normalized), { status: 200, headers: passHeaders });
-      } catch (e) {
-        return new Response(JSON.stringify({ ok: false, error: String((e && e.message) || e) }), {
-          status: 500, headers: { ...headers, "Content-Type": "application/json" },
-        });
-      }
+  const client = makeClient(env, timing);
+  try {
+    await client.connect();
+    await client.query(`SET statement_timeout = '10s'`);
+    await ensureAuthSchema(client);
+
+    if (route.id === "adminKeysRevoke") {
+      const r = await client.query(
+        `UPDATE app.api_keys SET revoked_at = now()
+          WHERE id = $1::bigint AND revoked_at IS NULL
+          RETURNING id::text, name, revoked_at`,
+        [input.id.replace(/\D+/g, "") || "0"]
+      );
+      if (!r.rowCount) throw new ApiError(404, "NOT_FOUND", "Active key not found.");
+      for (const [hash, e] of authKeyCache) if (e.key.id === r.rows[0].id) authKeyCache.delete(hash);
+      return json({ ok: true, key: r.rows[0] });
+    }
+
+    if (request.method === "POST") {
+      const { name, ratePerMin } = input;
+      const scopes = Array.from(new Set(input.scopes));
+      const plain = newApiKey();
+      const r = await client.query(
+        `INSERT INTO app.api_keys (name, key_prefix, key_hash, scopes, rate_per_min)
+         VALUES ($1, $2, $3, $4::text[], $5)
+         RETURNING id::text, name, key_prefix, scopes, rate_per_min, created_at`,
+        [name, plain.slice(0, 10), await sha256Hex(plain), scopes, ratePerMin]
+      );
+      // The plaintext key is only ever returned here.
+      return json({ ok: true, key: { ...r.rows[0], apiKey: plain } }, 201);
     }
 
-    // default 404
-    return new Response("Not found", { status: 404, headers });
+    const { rows } = await client.query(
+      `SELECT id::text, name, key_prefix, scopes, rate_per_min, created_at, last_used_at, revoked_at
+         FROM app.api_keys
+        ORDER BY created_at DESC`
+    );
+    return json({ ok: true, keys: rows, requestedBy: apiKey ? apiKey.name : null });
+  } finally {
+    try { await client.end(); } catch {}
+  }
+}
+
+/* -------------------- agencies (cached 24h) -------------------- */
+async function handleAgencies(c) {
+  const { request, env, ctx, url, headers, input, timing } = c;
+  const { q, level, limit } = input;
+  const after = decodeCursor(input.cursor, level || "all");
+
+  const cache = caches.default;
+  const cacheKey = new Request(url.toString(), request);
+  const cached = await cache.match(cacheKey);
+  if (cached) {
+    return withCors(
+      cached,
+      { ...headers, "Cache-Control": "public, s-maxage=86400, stale-while-revalidate=604800" }
+    );
+  }
+
+  const column = { agency: "awarding_agency_name", "sub-agency": "awarding_sub_agency_name", office: "awarding_office_name" };
+  // Prefix matches rank ahead of contains matches; (rank, name) is the keyset.
+  const mkSQL = (t) => {
+    const names = level
+      ? `SELECT ${column[level]} AS name FROM ${t} WHERE ${column[level]} IS NOT NULL`
+      : Object.values(column)
+          .map((col) => `SELECT ${col} AS name FROM ${t} WHERE ${col} IS NOT NULL`)
+          .join(" UNION ");
+    return `
+      SELECT name, rank FROM (
+        SELECT DISTINCT name,
+               CASE WHEN $1::text IS NULL OR name ILIKE $1 || '%' ESCAPE '!' THEN 0 ELSE 1 END AS rank
+          FROM (
+            ${names}
+          ) x
+         WHERE name IS NOT NULL
+           AND ($1::text IS NULL OR name ILIKE '%' || $1 || '%' ESCAPE '!')
+      ) y
+      WHERE $2::int IS NULL OR (rank, name) > ($2::int, $3::text)
+      ORDER BY rank, name
+      LIMIT $4`;
+  };
+
+  const client = makeClient(env, timing);
+  try {
+    await client.connect();
+    await client.query(`SET statement_timeout = '20s'`);
+    const { rows } = await queryPreferringFast(client, mkSQL, [
+      q ? likeEscape(q) : null,
+      after ? after[0] : null,
+      after ? after[1] : null,
+      limit + 1,
+    ]);
+    const page = rows.slice(0, limit);
+    const lastRow = page[page.length - 1];
+    const nextCursor = rows.length > limit ? encodeCursor(level || "all", [lastRow.rank, lastRow.name]) : null;
+    const res = new Response(
+      JSON.stringify({ ok: true, level: level || null, rows: page.map((r) => ({ name: r.name })), nextCursor }),
+      {
+        status: 200,
+        headers: {
+          ...headers,
+          "Content-Type": "application/json",
+          "Cache-Control": "public, s-maxage=86400, stale-while-revalidate=604800",
+        },
+      }
+    );
+    ctx.waitUntil(cache.put(cacheKey, res.clone()));
+    return res;
+  } finally {
+    try { await client.end(); } catch {}
+  }
+}
+
+/* -------------------- sba-caps (get capabilities narratives by UEI) -------------------- */
+// GET /sb/sba-caps?uei=<your UEI>&incumbentUei=<prime UEI>
+async function handleSbaCaps(c) {
+  const { env, headers, input, timing } = c;
+  const { uei, incumbentUei: incUei } = input;
+
+  const client = makeClient(env, timing);
+  try {
+    await client.connect();
+    await client.query(`SET statement_timeout = '15s'`);
+
+    const fetchOne = async (xUei) => {
+      if (!xUei) return null;
+      const q = `
+        SELECT
+          uei,
+          business_name,
+          NULLIF(TRIM(capabilities_narrative), '') AS capabilities_narrative
+        FROM sba.smallbiz_v
+        WHERE UPPER(uei) = $1
+        ORDER BY NULLIF(TRIM(last_updated_date), '') DESC NULLS LAST
+        LIMIT 1`;
+      const { rows } = await client.query(q, [xUei]);
+      return rows?.[0] || null;
+    };
+
+    const mine = await fetchOne(uei);
+    const incumbent = incUei ? await fetchOne(incUei) : null;
+
+    return new Response(JSON.stringify({ ok: true, mine, incumbent }), {
+      status: 200,
+      headers: { ...headers, "Content-Type": "application/json" },
+    });
+  } finally {
+    try { await client.end(); } catch {}
+  }
+}
+
+/* -------------------- capabilities compare (cosine-based; explainable) -------------------- */
+/*
+  POST /sb/cap-compare
+  Body: { my: "<UEI>", inc: "<UEI|null>", txDescs?: string[], pdf?: "auto"|"append"|"off", website?: "auto"|"off" }
+  Thin SBA narratives fall back to capability-statement PDF text, then website text;
+  "sources" and scores.basis say which was used.
+*/
+async function handleCapCompare(c) {
+  const { env, ctx, url, headers, input, timing } = c;
+  const myUEI = input.my || "";
+  const incUEI = input.inc || "";
+  const txDescs = input.txDescs || [];
+
+  const client = makeClient(env, timing);
+  let mine = { uei: myUEI, name: null, narrative: "" };
+  let inc  = { uei: incUEI || null, name: null, narrative: "" };
+  let corpus = null;
+
+  try {
+    await client.connect();
+    await client.query(`SET statement_timeout = '12s'`);
+
+    const sql = `
+      select uei, business_name as name, coalesce(nullif(capabilities_narrative,''), '') as narrative,
+             nullif(trim(capabilities_statement_link), '') as pdf_link,
+             nullif(trim(website), '') as website
+      from sba.smallbiz_v
+      where upper(uei) = upper($1)
+      limit 1`;
+
+    if (myUEI) {
+      const r1 = await client.query(sql, [myUEI]);
+      if (r1?.rows?.length) mine = { ...mine, ...r1.rows[0] };
+    }
+    if (incUEI) {
+      const r2 = await client.query(sql, [incUEI]);
+      if (r2?.rows?.length) inc = { ...inc, ...r2.rows[0] };
+    }
+    corpus = await getCorpusStats(env, ctx, url.origin);
+  } finally {
+    try { await client.end(); } catch {}
+  }
+
+  // Narrative text, with capability-statement PDF / website fallbacks when the narrative is thin
+  const capOpts = { env, ctx, origin: url.origin, pdf: input.pdf, website: input.website };
+  const [myText, incText] = await Promise.all([
+    resolveCapabilityText({ uei: mine.uei, narrative: mine.narrative, pdfLink: mine.pdf_link, website: mine.website }, capOpts),
+    inc.uei
+      ? resolveCapabilityText({ uei: inc.uei, narrative: inc.narrative, pdfLink: inc.pdf_link, website: inc.website }, capOpts)
+      : { text: "", sources: [], basis: capabilityBasis([]) },
+  ]);
+  const websiteUsed = [...myText.sources, ...incText.sources].some((s) => s.source === "website" && s.used);
+
+  // Corpus-weighted cosine on narratives + transactions
+  const weighting = weightingInfo(input.weighting, corpus);
+  const myCaps = myText.text;
+  const incCaps = incText.text;
+  const txBlob  = (txDescs || []).join(" ");
+
+  const mineBag = weightBag(bag(tokenize(myCaps)), corpus, weighting.model);
+  const incBag  = weightBag(bag(tokenize(incCaps)), corpus, weighting.model);
+  const txBag   = weightBag(bag(tokenize(txBlob)), corpus, weighting.model);
+
+  let inc01 = (myCaps && incCaps) ? cosineFromBags(mineBag, incBag) : 0;
+  if (incUEI && myUEI && incUEI.toUpperCase() === myUEI.toUpperCase() && myCaps) inc01 = 1; // same entity: perfect
+
+  const tx01  = (myCaps && txBlob) ? cosineFromBags(mineBag, txBag) : 0;
+
+  const inc5  = Math.round(inc01 * 5);
+  const tx5   = Math.round(tx01 * 5);
+  const combined100 = Math.round((inc01 + tx01) * 50); // 0..100
+
+  const uiNote =
+    `Capabilities match: combined ${combined100}/100 · vs incumbent ${inc5}/5 · vs transactions ${tx5}/5` +
+    (websiteUsed ? " · website text used where the SBA narrative was missing" : "");
+
+  // Anchors: your most distinctive terms under the active weighting
+  const anchors = Array.from(mineBag.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 25)
+    .map(([term]) => term);
+
+  const res = {
+    ok: true,
+    mine,
+    incumbent: inc,
+    scores: {
+      inc5, tx5, combined100,
+      bonus: Math.round((inc01 * 20) + (tx01 * 30)), // legacy field; not used by UI math now
+      uiNote,
+      memoA: `Capabilities comparison (your ${myText.basis} ↔ incumbent ${incText.basis}): ${inc5}/5.`,
+      memoB: `Capabilities comparison (your ${myText.basis} ↔ transaction descriptions): ${tx5}/5.`,
+      basis: { mine: myText.basis, incumbent: incText.basis },
+      websiteUsed,
+    },
+    weighting,
+    sources: { mine: myText.sources, incumbent: incText.sources },
+    explain: {
+      anchors,
+      sharedInc: termContributions(mineBag, incBag),
+      sharedTx: termContributions(mineBag, txBag),
+    },
+  };
+
+  return new Response(JSON.stringify(res), {
+    status: 200,
+    headers: { ...headers, "Content-Type": "application/json" },
+  });
+}
+
+/* -------------------- vendor-awards (left pane list, keyset-paged) -------------------- */
+// GET /sb/vendor-awards?uei=<UEI>&sort=recent|obligation|end&naics=5415&setAside=8(a)&cursor=<nextCursor>
+/*
+  Each sort is a fixed key tuple compared as a row value, so the cursor is just the last
+  row's tuple. `rk` (a hash of the row's visible fields) breaks ties between rows that
+  share every sort column.
+*/
+const VENDOR_AWARD_SORTS = {
+  recent: {
+    keys: ["fiscal_year", "COALESCE(pop_current_end_date::date, DATE '0001-01-01')"],
+    types: ["int", "date"],
+    dir: "DESC",
+  },
+  obligation: {
+    keys: ["COALESCE(total_dollars_obligated_num, 0)", "fiscal_year"],
+    types: ["numeric", "int"],
+    dir: "DESC",
+  },
+  end: {
+    keys: ["COALESCE(pop_potential_end_date, pop_current_end_date, DATE '9999-12-31')::date", "fiscal_year"],
+    types: ["date", "int"],
+    dir: "ASC",
+  },
+};
+
+async function handleVendorAwards(c) {
+  const { env, headers, input, timing } = c;
+  const { uei, agency, years, limit, sort, setAside } = input;
+  const spec = VENDOR_AWARD_SORTS[sort];
+  const after = decodeCursor(input.cursor, sort);
+  const naics = coerceNaics(input.naics || "");
+  const cmp = spec.dir === "DESC" ? "<" : ">";
+
+  const mkSQL = (t) => `
+    SELECT *, k1::text AS c1, k2::text AS c2 FROM (
+      SELECT
+        award_id_piid            AS piid,
+        fiscal_year,
+        awarding_agency_name     AS agency,
+        awarding_sub_agency_name AS sub_agency,
+        awarding_office_name     AS office,
+        naics_code               AS naics,
+        type_of_set_aside        AS set_aside,
+        idv_type_of_award        AS vehicle,
+        title,
+        extent_competed,
+        number_of_offers_received,
+        total_dollars_obligated_num AS obligated,
+        pop_current_end_date     AS end_date,
+        ${spec.keys[0]} AS k1,
+        ${spec.keys[1]} AS k2,
+        md5(concat_ws('|', award_id_piid, fiscal_year, awarding_office_name, naics_code, title,
+                      total_dollars_obligated_num, pop_current_end_date)) AS rk
+      FROM ${t}
+      WHERE recipient_uei = $1
+        AND award_id_piid IS NOT NULL
+        AND (
+          $2::text IS NULL
+          OR awarding_agency_name      = $2
+          OR awarding_sub_agency_name  = $2
+          OR awarding_office_name      = $2
+        )
+        AND fiscal_year >= EXTRACT(YEAR FROM CURRENT_DATE)::int - ($3::int - 1)
+        AND ($5::text[] IS NULL OR naics_code LIKE ANY($5::text[]))
+        AND ($6::text IS NULL OR type_of_set_aside ILIKE '%' || $6 || '%' ESCAPE '!')
+    ) x
+    WHERE $7::text IS NULL
+       OR (k1, k2, piid, rk) ${cmp} ($7::text::${spec.types[0]}, $8::text::${spec.types[1]}, $9::text, $10::text)
+    ORDER BY k1 ${spec.dir}, k2 ${spec.dir}, piid ${spec.dir}, rk ${spec.dir}
+    LIMIT $4`;
+
+  const client = makeClient(env, timing);
+  try {
+    await client.connect();
+    await client.query(`SET statement_timeout = '20s'`);
+    const { rows } = await queryPreferringFast(client, mkSQL, [
+      uei,
+      agency || null,
+      years,
+      limit + 1,
+      naics.length ? naics.map((n) => n + "%") : null,
+      setAside ? likeEscape(setAside) : null,
+      ...(after ? after.map(String) : [null, null, null, null]),
+    ]);
+    const page = rows.slice(0, limit);
+    const lastRow = page[page.length - 1];
+    const nextCursor = rows.length > limit
+      ? encodeCursor(sort, [lastRow.c1, lastRow.c2, lastRow.piid, lastRow.rk])
+      : null;
+    return new Response(
+      JSON.stringify({ ok: true, sort, rows: page.map(({ k1, k2, c1, c2, rk, ...r }) => r), nextCursor }),
+      { status: 200, headers: { ...headers, "Content-Type": "application/json" } }
+    );
+  } finally {
+    try { await client.end(); } catch {}
+  }
+}
+
+/* -------------------- vendor-profile (competitor dossier, cached 6h) -------------------- */
+// GET /sb/vendor-profile?uei=<UEI>&years=10&top=10
+async function handleVendorProfile(c) {
+  const { request, env, ctx, url, headers, input, timing } = c;
+  const { uei, years, top } = input;
+
+  const cache = caches.default;
+  const cacheKey = new Request(url.toString(), request);
+  const cached = await cache.match(cacheKey);
+  if (cached) {
+    return withCors(
+      cached,
+      { ...headers, "Cache-Control": "public, s-maxage=21600, stale-while-revalidate=86400" }
+    );
+  }
+
+  const scope = `
+    recipient_uei = $1
+    AND fiscal_year >= EXTRACT(YEAR FROM CURRENT_DATE)::int - ($2::int - 1)`;
+
+  // One pass for every rollup dimension; "dim" tells the rows apart.
+  const mkRollups = (t) => `
+    SELECT
+      CASE
+        WHEN GROUPING(fiscal_year) = 0 THEN 'fiscal_year'
+        WHEN GROUPING(awarding_office_name) = 0 THEN 'office'
+        WHEN GROUPING(awarding_sub_agency_name) = 0 THEN 'sub_agency'
+        WHEN GROUPING(awarding_agency_name) = 0 THEN 'agency'
+        WHEN GROUPING(naics_code) = 0 THEN 'naics'
+        WHEN GROUPING(type_of_set_aside) = 0 THEN 'set_aside'
+        ELSE 'extent_competed'
+      END AS dim,
+      fiscal_year,
+      awarding_agency_name     AS agency,
+      awarding_sub_agency_name AS sub_agency,
+      awarding_office_name     AS office,
+      naics_code               AS naics,
+      MAX(naics_description)   AS naics_description,
+      type_of_set_aside        AS set_aside,
+      extent_competed,
+      COUNT(DISTINCT award_id_piid)::int       AS awards,
+      COALESCE(SUM(total_dollars_obligated_num), 0) AS obligated
+    FROM ${t}
+    WHERE ${scope}
+    GROUP BY GROUPING SETS (
+      (fiscal_year),
+      (awarding_agency_name),
+      (awarding_agency_name, awarding_sub_agency_name),
+      (awarding_agency_name, awarding_sub_agency_name, awarding_office_name),
+      (naics_code),
+      (type_of_set_aside),
+      (extent_competed)
+    )`;
+
+  // Per-PIID view: latest record for dates, summed obligations across years.
+  const mkAwards = (t) => `
+    SELECT
+      award_id_piid AS piid,
+      MAX(title) AS title,
+      MAX(awarding_agency_name) AS agency,
+      MAX(awarding_sub_agency_name) AS sub_agency,
+      MAX(naics_code) AS naics,
+      MAX(COALESCE(pop_potential_end_date, pop_current_end_date))::date AS end_date,
+      MAX(COALESCE(potential_total_value_of_award_num, current_total_value_of_award_num)) AS ceiling,
+      COALESCE(SUM(total_dollars_obligated_num), 0) AS obligated,
+      AVG(CASE WHEN number_of_offers_received::text ~ '^[0-9]+$' THEN number_of_offers_received::text::numeric END) AS offers
+    FROM ${t}
+    WHERE ${scope} AND award_id_piid IS NOT NULL
+    GROUP BY award_id_piid`;
+
+  const [entity, rollRes, awardRes] = await parallelQueries(env, timing, "25s", [
+    (client) => loadEntity(client, uei, env),
+    (client) => queryPreferringFast(client, mkRollups, [uei, years]),
+    (client) => queryPreferringFast(client, mkAwards, [uei, years]),
+  ]);
+
+  const num = (x) => (x == null ? 0 : Number(x) || 0);
+  const byDim = (dim, pick) =>
+    (rollRes.rows || [])
+      .filter((r) => r.dim === dim)
+      .map((r) => ({ ...pick(r), awards: r.awards, obligated: num(r.obligated) }))
+      .sort((a, b) => b.obligated - a.obligated);
+
+  const byFiscalYear = byDim("fiscal_year", (r) => ({ fiscalYear: r.fiscal_year }))
+    .sort((a, b) => (a.fiscalYear || 0) - (b.fiscalYear || 0));
+  const byOffice = byDim("office", (r) => ({
+    agency: r.agency || null, subAgency: r.sub_agency || null, office: r.office || null,
+  }));
+  // Own grouping sets, not sums of offices: a PIID awarded by two offices counts once per agency.
+  const byAgency = byDim("agency", (r) => ({ agency: r.agency || null }));
+  const bySubAgency = byDim("sub_agency", (r) => ({ agency: r.agency || null, subAgency: r.sub_agency || null }));
+
+  const awards = (awardRes.rows || []).map((r) => ({
+    piid: r.piid,
+    title: r.title || null,
+    agency: r.agency || null,
+    subAgency: r.sub_agency || null,
+    naics: r.naics || null,
+    endDate: r.end_date || null,
+    ceiling: r.ceiling == null ? null : num(r.ceiling),
+    obligated: num(r.obligated),
+    offers: r.offers == null ? null : Number(r.offers),
+  }));
+  const today = new Date(new Date().toISOString().slice(0, 10));
+  const active = awards.filter((a) => a.endDate && new Date(a.endDate) >= today).length;
+  const completed = awards.filter((a) => a.endDate && new Date(a.endDate) < today).length;
+  const offerVals = awards.map((a) => a.offers).filter((x) => x != null && Number.isFinite(x));
+
+  const res = new Response(
+    JSON.stringify({
+      ok: true,
+      entity,
+      years,
+      summary: {
+        awards: awards.length,
+        totalObligated: awards.reduce((s, a) => s + a.obligated, 0),
+        active,
+        completed,
+        unknownStatus: awards.length - active - completed,
+        avgOffersReceived: offerVals.length
+          ? Math.round((offerVals.reduce((s, x) => s + x, 0) / offerVals.length) * 10) / 10
+          : null,
+      },
+      byFiscalYear,
+      byAgency,
+      bySubAgency,
+      byOffice,
+      byNaics: byDim("naics", (r) => ({ naics: r.naics || null, description: r.naics_description || null })),
+      bySetAside: byDim("set_aside", (r) => ({ setAside: r.set_aside || null })),
+      byExtentCompeted: byDim("extent_competed", (r) => ({ extentCompeted: r.extent_competed || null })),
+      largestAwards: awards
+        .slice()
+        .sort((a, b) => b.obligated - a.obligated)
+        .slice(0, top)
+        .map(({ offers, ...a }) => a),
+    }),
+    {
+      status: 200,
+      headers: {
+        ...headers,
+        "Content-Type": "application/json",
+        "Cache-Control": "public, s-maxage=21600, stale-while-revalidate=86400",
+      },
+    }
+  );
+  ctx.waitUntil(cache.put(cacheKey, res.clone()));
+  return res;
+}
+
+/* -------------------- agency-spend (what an agency/sub-agency/office buys, cached 24h) -------------------- */
+// GET /sb/agency-spend?agency=<name>&fromFy=2021&toFy=2025&top=25
+async function handleAgencySpend(c) {
+  const { request, env, ctx, url, headers, input, timing } = c;
+  const { agency, top } = input;
+  const { fromFy, toFy } = fiscalYearRange(input.fromFy, input.toFy);
+
+  const cache = caches.default;
+  const cacheKey = new Request(url.toString(), request);
+  const cached = await cache.match(cacheKey);
+  if (cached) {
+    return withCors(
+      cached,
+      { ...headers, "Cache-Control": "public, s-maxage=86400, stale-while-revalidate=604800" }
+    );
+  }
+
+  const mkSQL = (t) => `
+    SELECT
+      CASE
+        WHEN GROUPING(naics_code) = 0 THEN 'naics'
+        WHEN GROUPING(type_of_set_aside) = 0 THEN 'set_aside'
+        WHEN GROUPING(extent_competed) = 0 THEN 'extent_competed'
+        WHEN GROUPING(idv_type_of_award) = 0 THEN 'vehicle'
+        ELSE 'total'
+      END AS dim,
+      fiscal_year,
+      COALESCE(
+        naics_code, type_of_set_aside, extent_competed, idv_type_of_award
+      ) AS key,
+      MAX(naics_description) AS naics_description,
+      COUNT(DISTINCT award_id_piid)::int             AS awards,
+      COUNT(DISTINCT recipient_uei)::int             AS vendors,
+      COALESCE(SUM(total_dollars_obligated_num), 0)  AS obligated
+    FROM ${t}
+    WHERE (
+        awarding_agency_name      = $1
+        OR awarding_sub_agency_name  = $1
+        OR awarding_office_name      = $1
+      )
+      AND fiscal_year BETWEEN $2::int AND $3::int
+    GROUP BY GROUPING SETS (
+      (fiscal_year),
+      (fiscal_year, naics_code),
+      (fiscal_year, type_of_set_aside),
+      (fiscal_year, extent_competed),
+      (fiscal_year, idv_type_of_award)
+    )`;
+
+  const client = makeClient(env, timing);
+  try {
+    await client.connect();
+    await client.query(`SET statement_timeout = '25s'`);
+    const { rows } = await queryPreferringFast(client, mkSQL, [agency, fromFy, toFy]);
+
+    const fys = [];
+    for (let fy = fromFy; fy <= toFy; fy++) fys.push(fy);
+
+    // Per-year series with year-over-year deltas (missing years count as 0).
+    const series = (byFy) => {
+      let prev = null;
+      return fys.map((fy) => {
+        const cur = byFy.get(fy) || { awards: 0, vendors: 0, obligated: 0 };
+        const delta = prev == null ? null : cur.obligated - prev;
+        const deltaPct = prev ? Math.round((delta / prev) * 1000) / 10 : null;
+        prev = cur.obligated;
+        return { fiscalYear: fy, awards: cur.awards, vendors: cur.vendors, obligated: cur.obligated, delta, deltaPct };
+      });
+    };
+
+    const groups = new Map(); // dim -> key -> { description, byFy }
+    for (const r of rows || []) {
+      const dim = groups.get(r.dim) || new Map();
+      const key = r.dim === "total" ? "total" : r.key || "(not reported)";
+      const g = dim.get(key) || { description: null, byFy: new Map() };
+      if (r.dim === "naics" && r.naics_description) g.description = r.naics_description;
+      g.byFy.set(Number(r.fiscal_year), {
+        awards: r.awards,
+        vendors: r.vendors,
+        obligated: Number(r.obligated || 0),
+      });
+      dim.set(key, g);
+      groups.set(r.dim, dim);
+    }
+
+    const breakdown = (dim) =>
+      Array.from((groups.get(dim) || new Map()).entries())
+        .map(([key, g]) => {
+          const years = series(g.byFy);
+          const total = years.reduce((s, y) => s + y.obligated, 0);
+          const first = years[0].obligated;
+          const lastY = years[years.length - 1].obligated;
+          return {
+            key,
+            ...(dim === "naics" ? { description: g.description } : {}),
+            total,
+            changePct: first ? Math.round(((lastY - first) / first) * 1000) / 10 : null,
+            years,
+          };
+        })
+        .sort((a, b) => b.total - a.total)
+        .slice(0, top);
+
+    const totalYears = series((groups.get("total") || new Map()).get("total")?.byFy || new Map());
+    const grandTotal = totalYears.reduce((s, y) => s + y.obligated, 0);
+    const withShare = (list) =>
+      list.map((x) => ({ ...x, share: grandTotal ? Math.round((x.total / grandTotal) * 1000) / 10 : null }));
+
+    const res = new Response(
+      JSON.stringify({
+        ok: true,
+        agency,
+        fromFy,
+        toFy,
+        totals: { obligated: grandTotal, years: totalYears },
+        byNaics: withShare(breakdown("naics")),
+        bySetAside: withShare(breakdown("set_aside")),
+        byExtentCompeted: withShare(breakdown("extent_competed")),
+        byVehicle: withShare(breakdown("vehicle")),
+      }),
+      {
+        status: 200,
+        headers: {
+          ...headers,
+          "Content-Type": "application/json",
+          "Cache-Control": "public, s-maxage=86400, stale-while-revalidate=604800",
+        },
+      }
+    );
+    ctx.waitUntil(cache.put(cacheKey, res.clone()));
+    return res;
+  } finally {
+    try { await client.end(); } catch {}
+  }
+}
+
+/* -------------------- agency-tree (agency > sub-agency > office, cached 24h) -------------------- */
+// GET /sb/agency-tree?fromFy=2021&toFy=2025&agency=<department>&depth=3
+async function handleAgencyTree(c) {
+  const { request, env, ctx, url, headers, input, timing } = c;
+  const { agency, depth } = input;
+  const { fromFy, toFy } = fiscalYearRange(input.fromFy, input.toFy);
+
+  const cache = caches.default;
+  const cacheKey = new Request(url.toString(), request);
+  const cached = await cache.match(cacheKey);
+  if (cached) {
+    return withCors(
+      cached,
+      { ...headers, "Cache-Control": "public, s-maxage=86400, stale-while-revalidate=604800" }
+    );
+  }
+
+  const sets = [
+    "(awarding_agency_name)",
+    "(awarding_agency_name, awarding_sub_agency_name)",
+    "(awarding_agency_name, awarding_sub_agency_name, awarding_office_name)",
+  ].slice(0, depth);
+  // level: 0 = agency, 1 = sub-agency, 2 = office (GROUPING() tells a real NULL name from a rolled-up one)
+  const mkSQL = (t) => `
+    SELECT
+      CASE GROUPING(awarding_sub_agency_name, awarding_office_name)
+        WHEN 3 THEN 0
+        WHEN 1 THEN 1
+        ELSE 2
+      END AS level,
+      awarding_agency_name     AS agency,
+      awarding_sub_agency_name AS sub_agency,
+      awarding_office_name     AS office,
+      COUNT(DISTINCT award_id_piid)::int            AS awards,
+      COALESCE(SUM(total_dollars_obligated_num), 0) AS obligated
+    FROM ${t}
+    WHERE awarding_agency_name IS NOT NULL
+      AND fiscal_year BETWEEN $1::int AND $2::int
+      AND ($3::text IS NULL OR awarding_agency_name = $3)
+    GROUP BY GROUPING SETS (${sets.join(", ")})`;
+
+  const client = makeClient(env, timing);
+  try {
+    await client.connect();
+    await client.query(`SET statement_timeout = '25s'`);
+    const { rows } = await queryPreferringFast(client, mkSQL, [fromFy, toFy, agency || null]);
+
+    const LEVELS = ["agency", "sub-agency", "office"];
+    const roots = new Map();
+    const nodeAt = (path) => {
+      let siblings = roots;
+      let node = null;
+      path.forEach((name, i) => {
+        const key = name == null ? "" : name;
+        node = siblings.get(key);
+        if (!node) {
+          node = { name: name ?? "(not reported)", level: LEVELS[i], awards: 0, obligated: 0, children: new Map() };
+          siblings.set(key, node);
+        }
+        siblings = node.children;
+      });
+      return node;
+    };
+    // Parents sort first so every child finds its parent already in place.
+    for (const r of (rows || []).slice().sort((a, b) => a.level - b.level)) {
+      const path = [r.agency, r.sub_agency, r.office].slice(0, r.level + 1);
+      const node = nodeAt(path);
+      node.awards = r.awards;
+      node.obligated = Number(r.obligated || 0);
+    }
+
+    const finish = (map) =>
+      Array.from(map.values())
+        .sort((a, b) => b.obligated - a.obligated)
+        .map(({ children, ...n }) => (children.size ? { ...n, children: finish(children) } : n));
+    const tree = finish(roots);
+
+    const res = new Response(
+      JSON.stringify({
+        ok: true,
+        fromFy,
+        toFy,
+        agency: agency || null,
+        depth,
+        totals: { agencies: tree.length, obligated: tree.reduce((s, n) => s + n.obligated, 0) },
+        tree,
+      }),
+      {
+        status: 200,
+        headers: {
+          ...headers,
+          "Content-Type": "application/json",
+          "Cache-Control": "public, s-maxage=86400, stale-while-revalidate=604800",
+        },
+      }
+    );
+    ctx.waitUntil(cache.put(cacheKey, res.clone()));
+    return res;
+  } finally {
+    try { await client.end(); } catch {}
+  }
+}
+
+/* -------------------- similar-entities (teaming partners / competitors, cached 6h) -------------------- */
+// GET /sb/similar-entities?uei=<UEI>&certs=8(A),SDVOSB&agency=<name>&limit=25&weighting=bm25
+async function handleSimilarEntities(c) {
+  const { request, env, ctx, url, headers, input, timing } = c;
+  const { uei, agency, limit } = input;
+  const certs = (input.certs || "")
+    .split(",")
+    .map((s) => s.trim().toUpperCase())
+    .filter(Boolean);
+
+  const cache = caches.default;
+  const cacheKey = new Request(url.toString(), request);
+  const cached = await cache.match(cacheKey);
+  if (cached) {
+    return withCors(
+      cached,
+      { ...headers, "Cache-Control": "public, s-maxage=21600, stale-while-revalidate=86400" }
+    );
+  }
+
+  const client = makeClient(env, timing);
+  try {
+    await client.connect();
+    await client.query(`SET statement_timeout = '25s'`);
+
+    const me = await client.query(
+      `SELECT uei, business_name, capabilities_narrative, naics_codes
+         FROM sba.smallbiz_v
+        WHERE upper(uei) = $1
+        LIMIT 1`,
+      [uei]
+    );
+    if (!me.rows.length) throw new ApiError(404, "NOT_FOUND", "No SBA profile found for that UEI.");
+    const mine = me.rows[0];
+    const myCaps = mine.capabilities_narrative || "";
+    const myNaics = naicsList(mine.naics_codes);
+
+    const corpus = await getCorpusStats(env, ctx, url.origin);
+    const weighting = weightingInfo(input.weighting, corpus);
+    const mineRaw = bag(tokenize(myCaps));
+    const mineBag = weightBag(mineRaw, corpus, weighting.model);
+
+    // Candidate pool: shared NAICS, or narrative mentions one of our most distinctive single words.
+    const probes = Array.from(mineBag.entries())
+      .filter(([t]) => !t.includes(" ") && t.length > 3)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 6)
+      .map(([t]) => `%${t}%`);
+    if (!myNaics.length && !probes.length) {
+      throw new ApiError(422, "NO_DATA", "That UEI has no narrative or NAICS codes to compare.");
+    }
+
+    // Every required tag must match some category element (unknown tags match nothing, as in JS).
+    const certSQL = certs
+      .map((tag) => `AND EXISTS (
+           SELECT 1 FROM unnest(regexp_split_to_array(upper(
+             CASE WHEN s.smallbiz_categories IS NOT NULL
+                  THEN regexp_replace(s.smallbiz_categories::text, '[{}"]', '', 'g')
+                  ELSE s.active_sba_certifications_raw END), '[;,]')) e
+            WHERE ${CERT_TAG_SQL[tag] || "FALSE"})`)
+      .join("\n         ");
+
+    // Most shared NAICS first, so the LIMIT keeps the strongest structural matches.
+    const mkSQL = (t) => `
+      SELECT s.uei, s.business_name, s.website, s.capabilities_narrative, n.naics AS naics_codes,
+             s.smallbiz_categories, s.active_sba_certifications_raw
+        FROM sba.smallbiz_v s
+        CROSS JOIN LATERAL (SELECT ${sbaNaicsSQL("s.naics_codes")} AS naics) n
+       WHERE upper(s.uei) <> $1
+         AND (
+           n.naics && $2::text[]
+           OR s.capabilities_narrative ILIKE ANY($3::text[])
+         )
+         ${certSQL}
+         AND (
+           $4::text IS NULL
+           OR EXISTS (
+             SELECT 1 FROM ${t} a
+              WHERE a.recipient_uei = upper(s.uei)
+                AND (
+                  a.awarding_agency_name      = $4
+                  OR a.awarding_sub_agency_name  = $4
+                  OR a.awarding_office_name      = $4
+                )
+           )
+         )
+       ORDER BY cardinality(ARRAY(SELECT unnest(n.naics) INTERSECT SELECT unnest($2::text[]))) DESC
+       LIMIT 3000`;
+    const { rows } = await queryPreferringFast(client, mkSQL, [uei, myNaics, probes, agency || null]);
+
+    const myNaicsSet = new Set(myNaics);
+    const results = [];
+    for (const r of rows || []) {
+      const rawCats = Array.isArray(r.smallbiz_categories)
+        ? r.smallbiz_categories
+        : String(r.active_sba_certifications_raw || "").split(/[;,]/).map((x) => x.trim()).filter(Boolean);
+      const tags = normTags(rawCats);
+
+      const theirNaics = naicsList(r.naics_codes);
+      const naicsOverlap = theirNaics.filter((c) => myNaicsSet.has(c));
+      const union = new Set([...myNaics, ...theirNaics]).size;
+      const naics01 = union ? naicsOverlap.length / union : 0;
+
+      const theirBag = weightBag(bag(tokenize(r.capabilities_narrative || "")), corpus, weighting.model);
+      const text01 = mineBag.size && theirBag.size ? cosineFromBags(mineBag, theirBag) : 0;
+
+      // Narrative carries most of the signal; NAICS Jaccard breaks ties and covers empty narratives.
+      const sim = myCaps ? text01 * 0.8 + naics01 * 0.2 : naics01;
+      results.push({
+        uei: r.uei,
+        name: r.business_name || null,
+        website: r.website || null,
+        certifications: tags,
+        naics: theirNaics,
+        naicsOverlap,
+        similarity_0to100: Math.round(sim * 100),
+        narrativeSimilarity: Math.round(text01 * 1000) / 1000,
+        naicsJaccard: Math.round(naics01 * 1000) / 1000,
+        shared_keywords: termContributions(mineBag, theirBag, 10)
+          .map(({ term, weight }) => ({ term, mine: mineRaw.get(term), weight })),
+      });
+    }
+    results.sort((a, b) => b.similarity_0to100 - a.similarity_0to100 || b.narrativeSimilarity - a.narrativeSimilarity);
+
+    const res = new Response(
+      JSON.stringify({
+        ok: true,
+        entity: {
+          uei,
+          name: mine.business_name || null,
+          naics: myNaics,
+          narrativeAvailable: !!myCaps.trim(),
+        },
+        filters: { certs, agency: agency || null },
+        weighting,
+        candidatesScanned: (rows || []).length,
+        results: results.slice(0, limit),
+      }),
+      {
+        status: 200,
+        headers: {
+          ...headers,
+          "Content-Type": "application/json",
+          "Cache-Control": "public, s-maxage=21600, stale-while-revalidate=86400",
+        },
+      }
+    );
+    ctx.waitUntil(cache.put(cacheKey, res.clone()));
+    return res;
+  } finally {
+    try { await client.end(); } catch {}
+  }
+}
+
+/* -------------------- sub-network (prime/sub relationship graph, cached 6h) -------------------- */
+// GET /sb/sub-network?uei=<UEI>&limit=50
+async function handleSubNetwork(c) {
+  const { request, env, ctx, url, headers, input, timing } = c;
+  const { uei, limit } = input;
+
+  const cache = caches.default;
+  const cacheKey = new Request(url.toString(), request);
+  const cached = await cache.match(cacheKey);
+  if (cached) {
+    return withCors(
+      cached,
+      { ...headers, "Cache-Control": "public, s-maxage=21600, stale-while-revalidate=86400" }
+    );
+  }
+
+  const amountSQL = `COALESCE(SUM(NULLIF(s.subaward_amount::text, '')::numeric), 0)`;
+
+  // Primes this UEI has subcontracted under (prime identity comes from the award tables).
+  const mkAsSub = (t) => `
+    WITH primes AS (
+      SELECT DISTINCT ON (award_id_piid)
+             award_id_piid, recipient_uei, recipient_name, awarding_agency_name
+        FROM ${t}
+       WHERE award_id_piid IN (
+         SELECT DISTINCT prime_award_piid
+           FROM public.usaspending_contract_subawards
+          WHERE upper(subawardee_uei) = $1
+       )
+       ORDER BY award_id_piid, pop_current_end_date DESC NULLS LAST
+    )
+    SELECT
+      p.recipient_uei                                        AS uei,
+      MAX(p.recipient_name)                                  AS name,
+      COUNT(*)::int                                          AS subawards,
+      COUNT(DISTINCT s.prime_award_piid)::int                AS piids,
+      ${amountSQL}                                           AS amount,
+      ARRAY_REMOVE(ARRAY_AGG(DISTINCT p.awarding_agency_name), NULL) AS agencies,
+      MIN(s.subaward_action_date)                            AS first_date,
+      MAX(s.subaward_action_date)                            AS last_date
+    FROM public.usaspending_contract_subawards s
+    LEFT JOIN primes p ON p.award_id_piid = s.prime_award_piid
+    WHERE upper(s.subawardee_uei) = $1
+    GROUP BY p.recipient_uei
+    ORDER BY amount DESC
+    LIMIT $2`;
+
+  // Subs this UEI has used on its own prime awards.
+  const mkAsPrime = (t) => `
+    WITH mine AS (
+      SELECT DISTINCT ON (award_id_piid) award_id_piid, awarding_agency_name
+        FROM ${t}
+       WHERE recipient_uei = $1
+       ORDER BY award_id_piid, pop_current_end_date DESC NULLS LAST
+    )
+    SELECT
+      upper(s.subawardee_uei)                                AS uei,
+      MAX(s.subawardee_name)                                 AS name,
+      COUNT(*)::int                                          AS subawards,
+      COUNT(DISTINCT s.prime_award_piid)::int                AS piids,
+      ${amountSQL}                                           AS amount,
+      ARRAY_REMOVE(ARRAY_AGG(DISTINCT m.awarding_agency_name), NULL) AS agencies,
+      MIN(s.subaward_action_date)                            AS first_date,
+      MAX(s.subaward_action_date)                            AS last_date
+    FROM public.usaspending_contract_subawards s
+    JOIN mine m ON m.award_id_piid = s.prime_award_piid
+    GROUP BY upper(s.subawardee_uei), CASE WHEN s.subawardee_uei IS NULL THEN s.subawardee_name END
+    ORDER BY amount DESC
+    LIMIT $2`;
+
+  // Display name: SBA profile first, else the UEI's name on its awards.
+  const lookupName = async (cl) => {
+    try {
+      const n = await cl.query(`SELECT business_name FROM sba.smallbiz_v WHERE upper(uei) = $1 LIMIT 1`, [uei]);
+      if (n.rows[0] && n.rows[0].business_name) return n.rows[0].business_name;
+    } catch {}
+    const n = await queryPreferringFast(cl, (t) => `SELECT recipient_name FROM ${t} WHERE recipient_uei = $1 LIMIT 1`, [uei]);
+    return (n.rows[0] && n.rows[0].recipient_name) || null;
+  };
+
+  // Three independent lookups, one pooled connection each (no idle client held alongside).
+  const [asSub, asPrime, selfName] = await parallelQueries(env, timing, "25s", [
+    (cl) => queryPreferringFast(cl, mkAsSub, [uei, limit]),
+    (cl) => queryPreferringFast(cl, mkAsPrime, [uei, limit]),
+    lookupName,
+  ]);
+
+  // Graph: one node per counterparty (UEI, or name when unreported), edges point prime -> sub.
+  const nodes = new Map();
+  const nodeFor = (xUei, name, role) => {
+    const id = xUei ? String(xUei).toUpperCase() : `NAME:${name || "(Unknown)"}`;
+    const prev = nodes.get(id);
+    if (prev) {
+      if (prev.role !== role && prev.role !== "self") prev.role = "both";
+      if (!prev.name && name) prev.name = name;
+    } else {
+      nodes.set(id, { id, uei: xUei ? String(xUei).toUpperCase() : null, name: name || null, role });
+    }
+    return id;
+  };
+  nodeFor(uei, selfName, "self");
+
+  const edge = (source, target, r) => ({
+    source,
+    target,
+    amount: Number(r.amount || 0),
+    subawards: r.subawards,
+    piids: r.piids,
+    agencies: r.agencies || [],
+    firstDate: r.first_date || null,
+    lastDate: r.last_date || null,
+  });
+  const edges = [];
+  for (const r of asSub.rows || []) {
+    edges.push(edge(nodeFor(r.uei, r.name || (r.uei ? null : "(Prime not in award tables)"), "prime"), uei, r));
+  }
+  for (const r of asPrime.rows || []) {
+    edges.push(edge(uei, nodeFor(r.uei, r.name || "(Unnamed subrecipient)", "sub"), r));
+  }
+
+  const sum = (rows) => rows.reduce((s, r) => s + Number(r.amount || 0), 0);
+  const res = new Response(
+    JSON.stringify({
+      ok: true,
+      uei,
+      name: selfName,
+      summary: {
+        primesWorkedUnder: (asSub.rows || []).length,
+        amountAsSub: sum(asSub.rows || []),
+        subsUsed: (asPrime.rows || []).length,
+        amountAsPrime: sum(asPrime.rows || []),
+      },
+      nodes: Array.from(nodes.values()),
+      edges,
+      disclaimer:
+        "Subcontractor data is sourced from USAspending. Primes are not required to report every subcontract, so this network may be incomplete.",
+    }),
+    {
+      status: 200,
+      headers: {
+        ...headers,
+        "Content-Type": "application/json",
+        "Cache-Control": "public, s-maxage=21600, stale-while-revalidate=86400",
+      },
+    }
+  );
+  ctx.waitUntil(cache.put(cacheKey, res.clone()));
+  return res;
+}
+
+/* -------------------- contracts/insights (POST, cached 10m per PIID) -------------------- */
+const INSIGHTS_DISCLAIMER =
+  "Subcontractor data is sourced from USAspending. Primes are not required to report every subcontract, so this list may be incomplete.";
+const INSIGHTS_CACHE_CONTROL = "public, s-maxage=600, stale-while-revalidate=86400";
+
+/** POST bodies can't be cache keys; single and batch insights share a synthetic GET per PIID. */
+function insightsCacheKey(origin, piid) {
+  return new Request(`${origin}${API_BASE}/__insights/${encodeURIComponent(piid)}`);
+}
+
+/**
+ * Lifecycle, subaward and forecast insights for one PIID on an open client; ApiError 404 if unknown.
+ * `websites` memoizes prime website lookups (UEI -> promise) across a batch.
+ */
+async function buildContractInsights(client, piid, env, websites = new Map()) {
+  const mkSQL = (t) => `
+    SELECT
+      award_id_piid,
+      awarding_agency_name,
+      awarding_sub_agency_name,
+      awarding_office_name,
+      recipient_name,
+      recipient_uei,
+      naics_code,
+      naics_description,
+      pop_start_date,
+      pop_current_end_date,
+      pop_potential_end_date,
+      current_total_value_of_award_num,
+      potential_total_value_of_award_num,
+      total_dollars_obligated_num,
+      type_of_set_aside,
+      number_of_offers_received,
+      extent_competed,
+      title
+    FROM ${t}
+    WHERE award_id_piid = $1
+    ORDER BY pop_current_end_date DESC
+    LIMIT 1`;
+
+  const aRes = await queryPreferringFast(client, mkSQL, [piid]);
+  if (!aRes.rows.length) throw new ApiError(404, "NOT_FOUND", "No award found for that PIID.");
+  const a = aRes.rows[0];
+  const num = (x) => (typeof x === "number" ? x : x == null ? null : Number(x));
+  const obligated = num(a.total_dollars_obligated_num) ?? 0;
+  const current = num(a.current_total_value_of_award_num);
+  const ceiling = num(a.potential_total_value_of_award_num) ?? current ?? 0;
+
+  const start = a.pop_start_date ? new Date(a.pop_start_date) : null;
+  const end = popEndDate(a);
+
+  let burnPct = null;
+  if (ceiling && ceiling > 0) burnPct = Math.round((obligated / ceiling) * 100);
+  const { stage, label, windowLabel, elapsedPct } = lifecycleStage(start, end);
+
+  // Subs (best-effort)
+  let subs = { count: 0, distinctRecipients: 0, totalAmount: 0, top: [] };
+  try {
+    const s = await client.query(
+      `SELECT subawardee_name, subawardee_uei, subaward_amount
+         FROM public.usaspending_contract_subawards
+        WHERE prime_award_piid = $1`,
+      [piid]
+    );
+    const map = new Map();
+    for (const r of s.rows || []) {
+      const name = r.subawardee_name || "(Unnamed subrecipient)";
+      const key = `${r.subawardee_uei || "NOUEI"}|${name}`;
+      const prev = map.get(key) || { name, uei: r.subawardee_uei || null, amount: 0 };
+      prev.amount += Number(r.subaward_amount || 0);
+      map.set(key, prev);
+    }
+    const agg = Array.from(map.values()).sort((a, b) => (b.amount || 0) - (a.amount || 0));
+    subs = {
+      count: s.rowCount || 0,
+      distinctRecipients: agg.length,
+      totalAmount: agg.reduce((sum, x) => sum + (x.amount || 0), 0),
+      top: agg.slice(0, 5),
+    };
+  } catch {}
+
+  const primary = {
+    piid: a.award_id_piid,
+    agency: a.awarding_agency_name || null,
+    subAgency: a.awarding_sub_agency_name || null,
+    office: a.awarding_office_name || null,
+    primeName: a.recipient_name || null,
+    primeUei: a.recipient_uei || null,
+    naicsCode: a.naics_code || null,
+    naicsDescription: a.naics_description || null,
+    popStartDate: a.pop_start_date || null,
+    popCurrentEndDate: a.pop_current_end_date || null,
+    popPotentialEndDate: a.pop_potential_end_date || null,
+    obligated,
+    currentValue: current ?? (ceiling || null),
+    ceiling,
+    type_of_set_aside: a.type_of_set_aside || null,
+    number_of_offers_received: a.number_of_offers_received || null,
+    extent_competed: a.extent_competed || null,
+    title: a.title || null,
+  };
+  if (!websites.has(primary.primeUei)) websites.set(primary.primeUei, fetchVendorWebsiteByUEI(primary.primeUei, env));
+  const website = await websites.get(primary.primeUei);
+  if (website) primary.website = website;
+
+  // Spend-rate forecast from the transaction series (best-effort)
+  let forecast = null;
+  try {
+    const tx = await client.query(
+      `SELECT action_date, obligation
+         FROM fp.contract_txn_min_v1
+        WHERE piid = $1
+        ORDER BY action_date ASC
+        LIMIT 5000`,
+      [piid]
+    );
+    forecast = burnForecast(
+      (tx.rows || []).map((r) => ({ date: r.action_date, obligation: r.obligation })),
+      { obligated, ceiling, end }
+    );
+  } catch {}
+
+  // Shares of obligated dollars: what the prime kept vs. reported subawards
+  const pctOfObligated = (x) => (obligated > 0 ? Math.round((x / obligated) * 100) : null);
+  const lifecycle = {
+    stage, label, windowLabel,
+    timeElapsedPct: elapsedPct, burnPct,
+    primeVsSubsPct: subs.count ? pctOfObligated(Math.max(0, obligated - subs.totalAmount)) : null,
+    largestSubPct: subs.top.length ? pctOfObligated(subs.top[0].amount || 0) : null,
+    forecast,
+  };
+
+  return { ok: true, primary, lifecycle, subs, disclaimer: INSIGHTS_DISCLAIMER };
+}
+
+async function handleContractInsights(c) {
+  const { env, ctx, url, headers, input, timing } = c;
+  const { piid } = input;
+  const cache = caches.default;
+  const cacheKey = insightsCacheKey(url.origin, piid);
+  const cached = await cache.match(cacheKey);
+  if (cached) {
+    return withCors(cached, { ...headers, "Cache-Control": INSIGHTS_CACHE_CONTROL });
+  }
+
+  const client = makeClient(env, timing);
+  try {
+    await client.connect();
+    await client.query(`SET statement_timeout = '20s'`);
+    const payload = await buildContractInsights(client, piid, env);
+    const res = new Response(JSON.stringify(payload), {
+      status: 200,
+      headers: { ...headers, "Content-Type": "application/json", "Cache-Control": INSIGHTS_CACHE_CONTROL },
+    });
+    ctx.waitUntil(cache.put(cacheKey, res.clone()));
+    return res;
+  } finally {
+    try { await client.end(); } catch {}
+  }
+}
+
+/* -------------------- contracts/insights/batch (POST, many PIIDs over one connection) -------------------- */
+/*
+  POST /sb/contracts/insights/batch   Body: { piids: ["W91...", ...] }   (up to 100)
+  Each result is { piid, ok: true, cached, summary, primary, lifecycle, subs } or
+  { piid, ok: false, code, error }; one bad PIID never fails the batch.
+*/
+async function handleContractInsightsBatch(c) {
+  const { env, ctx, url, headers, input, timing } = c;
+  const piids = Array.from(new Set(input.piids));
+  const cache = caches.default;
+
+  const hits = await Promise.all(piids.map((p) => cache.match(insightsCacheKey(url.origin, p))));
+  const results = new Map();
+  for (let i = 0; i < piids.length; i++) {
+    if (!hits[i]) continue;
+    const { disclaimer, ...payload } = await hits[i].json();
+    results.set(piids[i], { piid: piids[i], cached: true, ...payload });
+  }
+
+  const client = makeClient(env, timing);
+  try {
+    await client.connect();
+    await client.query(`SET statement_timeout = '20s'`);
+
+    // usa-contract style summary metadata for every PIID in one round trip
+    const summaries = new Map();
+    try {
+      const { rows } = await client.query(
+        `SELECT piid, pop_start, pop_current_end, pop_potential_end,
+                current_total_value_of_award_num   AS current_total_value_of_award,
+                potential_total_value_of_award_num AS potential_total_value_of_award
+           FROM fp.contract_award_summary_v
+          WHERE piid = ANY($1::text[])`,
+        [piids]
+      );
+      for (const r of rows) {
+        const { piid, ...meta } = r;
+        if (!summaries.has(piid)) summaries.set(piid, meta);
+      }
+    } catch {}
+
+    // One connection runs one statement at a time, so misses are built in sequence;
+    // PIIDs sharing a prime share one SAM website lookup.
+    const websites = new Map();
+    for (const piid of piids) {
+      if (results.has(piid)) continue;
+      try {
+        const payload = await buildContractInsights(client, piid, env, websites);
+        const { disclaimer, ...item } = payload;
+        results.set(piid, { piid, cached: false, ...item });
+        ctx.waitUntil(
+          cache.put(
+            insightsCacheKey(url.origin, piid),
+            new Response(JSON.stringify(payload), {
+              headers: { "Content-Type": "application/json", "Cache-Control": INSIGHTS_CACHE_CONTROL },
+            })
+          )
+        );
+      } catch (e) {
+        const { code, message } = classifyError(e);
+        results.set(piid, { piid, ok: false, code, error: message });
+      }
+    }
+
+    const items = piids.map((p) => {
+      const r = results.get(p);
+      return r.ok ? { ...r, summary: summaries.get(p) || null } : r;
+    });
+    return new Response(
+      JSON.stringify({
+        ok: true,
+        count: items.length,
+        succeeded: items.filter((r) => r.ok).length,
+        results: items,
+        disclaimer: INSIGHTS_DISCLAIMER,
+      }),
+      { status: 200, headers: { ...headers, "Content-Type": "application/json", "Cache-Control": "private, max-age=60" } }
+    );
+  } finally {
+    try { await client.end(); } catch {}
+  }
+}
+
+/* -------------------- recompetes (expiring awards pipeline, cached 1h) -------------------- */
+/*
+  GET /sb/recompetes?agency=&naics=541512,5415&setAside=&minValue=&fromMonths=6&toMonths=24&sort=end|ceiling&limit=100
+  agency matches awarding agency, sub-agency or office (same as vendor-awards).
+*/
+async function handleRecompetes(c) {
+  const { request, env, ctx, url, headers, input, timing } = c;
+  const { agency, setAside, fromMonths, sort, limit } = input;
+  const naics = Array.from(
+    new Set(
+      (input.naics || "")
+        .split(/[,\s]+/)
+        .map((s) => s.replace(/\D+/g, ""))
+        .filter((s) => s.length >= 2 && s.length <= 6)
+    )
+  );
+  const minValue = input.minValue > 0 ? input.minValue : null;
+  const toMonths = Math.max(fromMonths + 1, input.toMonths);
+
+  const cache = caches.default;
+  const cacheKey = new Request(url.toString(), request);
+  const cached = await cache.match(cacheKey);
+  if (cached) {
+    return withCors(
+      cached,
+      { ...headers, "Cache-Control": "public, s-maxage=3600, stale-while-revalidate=86400" }
+    );
+  }
+
+  // Dedupe each PIID over its full history (latest record wins), then apply the window and
+  // filters to that record only. The candidates subquery just narrows the PIIDs to dedupe:
+  // any PIID whose latest record matches also has at least one matching row.
+  const filters = `
+        COALESCE(pop_potential_end_date, pop_current_end_date)::date
+            BETWEEN (CURRENT_DATE + ($1::int * INTERVAL '1 month'))::date
+                AND (CURRENT_DATE + ($2::int * INTERVAL '1 month'))::date
+        AND (
+          $3::text IS NULL
+          OR awarding_agency_name      = $3
+          OR awarding_sub_agency_name  = $3
+          OR awarding_office_name      = $3
+        )
+        AND ($4::text[] IS NULL OR naics_code LIKE ANY($4::text[]))
+        AND ($5::text IS NULL OR type_of_set_aside ILIKE '%' || $5 || '%' ESCAPE '!')`;
+  const mkSQL = (t) => `
+    SELECT * FROM (
+      SELECT DISTINCT ON (award_id_piid)
+        award_id_piid,
+        awarding_agency_name,
+        awarding_sub_agency_name,
+        awarding_office_name,
+        recipient_name,
+        recipient_uei,
+        naics_code,
+        naics_description,
+        type_of_set_aside,
+        extent_competed,
+        number_of_offers_received,
+        title,
+        pop_start_date,
+        pop_current_end_date,
+        pop_potential_end_date,
+        COALESCE(pop_potential_end_date, pop_current_end_date)::date AS end_date,
+        total_dollars_obligated_num,
+        current_total_value_of_award_num,
+        COALESCE(potential_total_value_of_award_num, current_total_value_of_award_num) AS ceiling
+      FROM ${t}
+      WHERE award_id_piid IN (
+        SELECT award_id_piid FROM ${t}
+        WHERE award_id_piid IS NOT NULL AND ${filters}
+      )
+      ORDER BY award_id_piid, pop_current_end_date DESC NULLS LAST
+    ) x
+    WHERE ${filters}
+      AND ($6::numeric IS NULL OR ceiling >= $6)
+    ORDER BY ${sort === "ceiling" ? "ceiling DESC NULLS LAST, end_date ASC" : "end_date ASC, ceiling DESC NULLS LAST"}
+    LIMIT $7`;
+
+  const client = makeClient(env, timing);
+  try {
+    await client.connect();
+    await client.query(`SET statement_timeout = '25s'`);
+    const { rows } = await queryPreferringFast(client, mkSQL, [
+      fromMonths,
+      toMonths,
+      agency || null,
+      naics.length ? naics.map((c) => c + "%") : null,
+      setAside ? likeEscape(setAside) : null,
+      minValue,
+      limit,
+    ]);
+
+    const num = (x) => (typeof x === "number" ? x : x == null ? null : Number(x));
+    const now = Date.now();
+    const out = rows.map((a) => {
+      const obligated = num(a.total_dollars_obligated_num) ?? 0;
+      const ceiling = num(a.ceiling) ?? 0;
+      const start = a.pop_start_date ? new Date(a.pop_start_date) : null;
+      const end = popEndDate(a);
+      const { stage, label, windowLabel } = lifecycleStage(start, end, now);
+      return {
+        piid: a.award_id_piid,
+        agency: a.awarding_agency_name || null,
+        subAgency: a.awarding_sub_agency_name || null,
+        office: a.awarding_office_name || null,
+        primeName: a.recipient_name || null,
+        primeUei: a.recipient_uei || null,
+        naicsCode: a.naics_code || null,
+        naicsDescription: a.naics_description || null,
+        type_of_set_aside: a.type_of_set_aside || null,
+        extent_competed: a.extent_competed || null,
+        number_of_offers_received: a.number_of_offers_received || null,
+        title: a.title || null,
+        popStartDate: a.pop_start_date || null,
+        popCurrentEndDate: a.pop_current_end_date || null,
+        popPotentialEndDate: a.pop_potential_end_date || null,
+        monthsToEnd: end ? Math.round(((end.getTime() - now) / (30.44 * 86400000)) * 10) / 10 : null,
+        obligated,
+        ceiling,
+        lifecycle: {
+          stage, label, windowLabel,
+          burnPct: ceiling > 0 ? Math.round((obligated / ceiling) * 100) : null,
+        },
+      };
+    });
+
+    const res = new Response(
+      JSON.stringify({
+        ok: true,
+        window: { fromMonths, toMonths },
+        sort,
+        count: out.length,
+        rows: out,
+      }),
+      {
+        status: 200,
+        headers: {
+          ...headers,
+          "Content-Type": "application/json",
+          "Cache-Control": "public, s-maxage=3600, stale-while-revalidate=86400",
+        },
+      }
+    );
+    ctx.waitUntil(cache.put(cacheKey, res.clone()));
+    return res;
+  } finally {
+    try { await client.end(); } catch {}
+  }
+}
+
+/* -------------------- usa-contract (DB-backed, resilient) -------------------- */
+async function handleUsaContract(c) {
+  const { request, env, ctx, url, headers, input, timing } = c;
+  const { piid } = input;
+
+  const cache = caches.default;
+  const cacheKey = new Request(url.toString(), request);
+  const cached = await cache.match(cacheKey);
+  if (cached) {
+    return withCors(
+      cached,
+      { ...headers, "Cache-Control": "public, s-maxage=900, stale-while-revalidate=86400" }
+    );
+  }
+
+  const sumSQL = `
+    SELECT
+      piid,
+      pop_start          AS pop_start,
+      pop_current_end    AS pop_current_end,
+      pop_potential_end  AS pop_potential_end,
+      current_total_value_of_award_num      AS current_total_value_of_award,
+      potential_total_value_of_award_num    AS potential_total_value_of_award
+    FROM fp.contract_award_summary_v
+    WHERE piid = $1
+    LIMIT 1`;
+  const txSQL = `
+    SELECT action_date, obligation, modification_number, action_type, transaction_description
+      FROM fp.contract_txn_min_v1
+     WHERE piid = $1
+     ORDER BY action_date ASC
+     LIMIT 5000`;
+  const [sumRes, txRes] = await parallelQueries(env, timing, "20s", [
+    (client) => client.query(sumSQL, [piid]),
+    (client) => client.query(txSQL, [piid]),
+  ]);
+  if (!sumRes.rows.length) throw new ApiError(404, "NOT_FOUND", `No award found for PIID ${piid}`);
+  const s = sumRes.rows[0];
+
+  const spendPoints = (txRes.rows || []).map((r) => {
+    const p = {
+      date: r.action_date ? String(r.action_date) : null,
+      obligation: Number(r.obligation || 0),
+      mod: r.modification_number || "",
+      type: r.action_type || "",
+      description: r.transaction_description || "",
+    };
+    return { ...p, modClass: classifyModification(p) };
+  });
+
+  // also include raw transactions (so UI can build txDescs for /cap-compare)
+  const transactions = (txRes.rows || []).map((r, i) => ({
+    date: r.action_date ? String(r.action_date) : null,
+    description: r.transaction_description || "",
+    mod: r.modification_number || "",
+    type: r.action_type || "",
+    obligation: Number(r.obligation || 0),
+    modClass: spendPoints[i].modClass,
+  }));
+
+  const payload = {
+    ok: true,
+    piid,
+    award_id: null,
+    meta: {
+      pop_start: s.pop_start || null,
+      pop_current_end: s.pop_current_end || null,
+      pop_potential_end: s.pop_potential_end || null,
+      current_total_value_of_award: s.current_total_value_of_award ?? null,
+      potential_total_value_of_award: s.potential_total_value_of_award ?? null,
+    },
+    spendPoints,
+    transactions,
+  };
+  payload.modifications = optionAnalysis(spendPoints, payload.meta);
+
+  const res = new Response(JSON.stringify(payload), {
+    status: 200,
+    headers: {
+      ...headers,
+      "Content-Type": "application/json",
+      "Cache-Control": "public, s-maxage=900, stale-while-revalidate=86400",
+    },
+  });
+  ctx.waitUntil(cache.put(cacheKey, res.clone()));
+  return res;
+}
+
+/** usa-contract payload for the aliases below, served in-process (shares its cache entry). */
+async function loadUsaContract(c) {
+  const url = new URL(`${API_BASE}/usa-contract?piid=${encodeURIComponent(c.input.piid)}`, c.url.origin);
+  const r = await handleUsaContract({ ...c, url, request: new Request(url.toString()) });
+  return r.json();
+}
+
+/* -------------------- contract-summary (alias -> usa-contract.meta) -------------------- */
+async function handleContractSummary(c) {
+  const { headers } = c;
+  const j = await loadUsaContract(c);
+  const m = j.meta || {};
+  return new Response(
+    JSON.stringify({
+      ok: true,
+      award_id: j.award_id || null,
+      pop_start: m.pop_start || null,
+      pop_current_end: m.pop_current_end || null,
+      pop_potential_end: m.pop_potential_end || null,
+      current_total_value_of_award: m.current_total_value_of_award ?? null,
+      potential_total_value_of_award: m.potential_total_value_of_award ?? null,
+    }),
+    { status: 200, headers: { ...headers, "Content-Type": "application/json" } }
+  );
+}
+
+/* -------------------- contracts/activity (alias -> usa-contract.spendPoints) -------------------- */
+async function handleContractActivity(c) {
+  const { headers } = c;
+  const j = await loadUsaContract(c);
+  const points = (j.spendPoints || []).map((p) => ({
+    date: p.date,
+    federal_action_obligation: p.obligation,
+    modification_number: p.mod,
+    action_type: p.type || null,
+    transaction_description: p.description || null,
+  }));
+  return new Response(JSON.stringify({ ok: true, points, results: points }), {
+    status: 200, headers: { ...headers, "Content-Type": "application/json" },
+  });
+}
+
+/* -------------------- sam-entity (normalized SAM registration, cached 24h) -------------------- */
+// GET /sb/sam-entity?uei=<UEI>
+async function handleSamEntity(c) {
+  const { request, env, ctx, url, headers, input } = c;
+
+  const cache = caches.default;
+  const cacheKey = new Request(url.toString(), request);
+  const cached = await cache.match(cacheKey);
+  if (cached) return withCors(cached, headers);
+
+  const ent = await fetchSamEntityRecord(input.uei, env);
+  if (!ent) throw new ApiError(404, "NOT_FOUND", "No SAM registration for this UEI");
+
+  const res = new Response(JSON.stringify({ ok: true, entity: normalizeSamEntity(ent) }), {
+    status: 200,
+    headers: { ...headers, "Content-Type": "application/json", "Cache-Control": "public, s-maxage=86400" },
+  });
+  ctx.waitUntil(cache.put(cacheKey, res.clone()));
+  return res;
+}
+
+/* -------------------- my-entity (uses SBA view first; ?sam=true merges the SAM registration) -------------------- */
+async function handleMyEntity(c) {
+  const { env, headers, input, timing } = c;
+  const { uei } = input;
+
+  const client = makeClient(env, timing);
+  try {
+    await client.connect();
+    await client.query(`SET statement_timeout = '20s'`);
+
+    const [entity, sam] = await Promise.all([
+      loadEntity(client, uei, env),
+      input.sam
+        ? fetchSamEntityRecord(uei, env).then(
+            (ent) => (ent ? { entity: normalizeSamEntity(ent) } : { error: "NOT_FOUND" }),
+            (e) => ({ error: e.code || "UPSTREAM_SAM_ERROR" })
+          )
+        : null,
+    ]);
+    if (sam) {
+      entity.sam = sam.entity || null;
+      if (sam.error) entity.samError = sam.error;
+      if (sam.entity) {
+        entity.name = entity.name || sam.entity.legalBusinessName;
+        entity.website = entity.website || sam.entity.website;
+        entity.registration = sam.entity.registration;
+      }
+    }
+
+    return new Response(
+      JSON.stringify({
+        ok: true,
+        entity,
+      }),
+      {
+        status: 200,
+        headers: { ...headers, "Content-Type": "application/json", "Cache-Control": "public, s-maxage=86400" },
+      }
+    );
+  } finally {
+    try { await client.end(); } catch {}
+  }
+}
+
+/* -------------------- fit/capability (POST): cosine-based match) -------------------- */
+async function handleFitCapability(c) {
+  const { env, ctx, url, headers, input, timing } = c;
+  const { piid, uei } = input;
+
+  // Optional tunable weights (default 18 + 12 = 30 total)
+  const W_INC = Math.max(0, Math.min(30, Number(input.weights?.inc_vs_my ?? 18)));
+  const W_TX  = Math.max(0, Math.min(30 - W_INC, Number(input.weights?.my_vs_tx ?? 12)));
+  const P_MAX = 30;
+
+  const client = makeClient(env, timing);
+  try {
+    await client.connect();
+    await client.query(`SET statement_timeout = '20s'`);
+
+    // Find incumbent UEI for this PIID
+    const mkA = (t) => `
+      SELECT recipient_uei, recipient_name
+        FROM ${t}
+       WHERE award_id_piid = $1
+       ORDER BY pop_current_end_date DESC NULLS LAST
+       LIMIT 1`;
+    const a = await queryPreferringFast(client, mkA, [piid]);
+    const incUEI = (a.rows[0] && a.rows[0].recipient_uei) || null;
+
+    // Caps for both parties (SBA view)
+    let mySba = { uei }, incSba = { uei: incUEI };
+    if (incUEI) {
+      const capsRes = await client.query(
+        `SELECT uei, capabilities_narrative, capabilities_statement_link, website
+           FROM sba.smallbiz_v
+          WHERE upper(uei) = ANY($1)`,
+        [[uei, String(incUEI).toUpperCase()]]
+      );
+      for (const r of capsRes.rows || []) {
+        const ent = { uei: r.uei, narrative: r.capabilities_narrative, pdfLink: r.capabilities_statement_link, website: r.website };
+        if ((r.uei || "").toUpperCase() === uei) mySba = ent;
+        if ((r.uei || "").toUpperCase() === String(incUEI).toUpperCase()) incSba = ent;
+      }
+    } else {
+      const capsRes = await client.query(
+        `SELECT uei, capabilities_narrative, capabilities_statement_link, website
+           FROM sba.smallbiz_v
+          WHERE upper(uei) = $1
+          LIMIT 1`,
+        [uei]
+      );
+      const r = capsRes.rows[0];
+      if (r) mySba = { uei: r.uei, narrative: r.capabilities_narrative, pdfLink: r.capabilities_statement_link, website: r.website };
+    }
+
+    // Thin narratives fall back to capability-statement PDF text, then website text
+    const capOpts = { env, ctx, origin: url.origin, pdf: input.pdf, website: input.website };
+    const [myText, incText] = await Promise.all([
+      resolveCapabilityText(mySba, capOpts),
+      incUEI ? resolveCapabilityText(incSba, capOpts) : { text: "", sources: [], basis: capabilityBasis([]) },
+    ]);
+    const myCaps = myText.text, incCaps = incText.text;
+
+    // Pull all transaction descriptions (concat)
+    const tx = await client.query(
+      `SELECT transaction_description
+         FROM fp.contract_txn_min_v1
+        WHERE piid = $1
+          AND transaction_description IS NOT NULL
+        LIMIT 5000`,
+      [piid]
+    );
+    const txnBlob = (tx.rows || []).map((r) => String(r.transaction_description || "")).join(" ");
+
+    // Unified cosine scoring (corpus-weighted)
+    const corpus = await getCorpusStats(env, ctx, url.origin);
+    const weighting = weightingInfo(input.weighting, corpus);
+    const mineRaw = bag(tokenize(myCaps || ""));
+    const incRaw  = bag(tokenize(incCaps || ""));
+    const txRaw   = bag(tokenize(txnBlob || ""));
+    const mineBag = weightBag(mineRaw, corpus, weighting.model);
+    const incBag  = weightBag(incRaw, corpus, weighting.model);
+    const txBag   = weightBag(txRaw, corpus, weighting.model);
+
+    let inc01 = (myCaps && incCaps) ? cosineFromBags(mineBag, incBag) : 0;
+    if (incUEI && uei && incUEI.toUpperCase() === uei.toUpperCase() && myCaps) inc01 = 1; // same entity: perfect match
+    const tx01  = cosineFromBags(mineBag, txBag);      // 0..1
+
+    const inc5         = Math.round(inc01 * 5);        // 0..5
+    const tx5          = Math.round(tx01 * 5);         // 0..5        
+    const combo        = Math.round((inc01 + tx01) * 50);
+
+    // Map to a unified 0..30 bonus using weights
+    const incPoints = Math.round(inc01 * W_INC);
+    const txPoints  = Math.round(tx01  * W_TX);
+    const capPoints = Math.max(0, Math.min(P_MAX, incPoints + txPoints));
+
+    // Shared keywords for UI/explain, ranked by weighted contribution to the score
+    const sharedInc = termContributions(mineBag, incBag)
+      .map(({ term, weight }) => ({ term, mine: mineRaw.get(term), inc: incRaw.get(term), weight }));
+    const sharedTx = termContributions(mineBag, txBag)
+      .map(({ term, weight }) => ({ term, mine: mineRaw.get(term), tx: txRaw.get(term), weight }));
+
+    return new Response(
+      JSON.stringify({
+        ok: true,
+        piid,
+        uei,
+        incumbent_uei: incUEI,
+        scores: {
+          cap_vs_incumbent_0to5: inc5,
+          cap_vs_txn_0to5: tx5,
+          combined_0to100: combo,
+          basis: { mine: myText.basis, incumbent: incText.basis },
+          website_used: [...myText.sources, ...incText.sources].some((s) => s.source === "website" && s.used),
+        },
+        bonus_0to30: capPoints,
+        weighting,
+        sources: { mine: myText.sources, incumbent: incText.sources },
+        shared_keywords: { sharedInc, sharedTx },
+      }),
+      { status: 200, headers: { ...headers, "Content-Type": "application/json" } }
+    );
+  } finally {
+    try { await client.end(); } catch {}
+  }
+}
+
+/* -------------------- saved-searches (opportunities/search queries for digests) -------------------- */
+/*
+  GET  /sb/saved-searches
+  POST /sb/saved-searches         Body: { name, query: { keywords, naics, noticeTypes, setAside, organization, windowDays, ... } }
+  POST /sb/saved-searches/delete  Body: { id }
+  Searches belong to the calling API key; admin keys may pass `user` to act for another owner.
+*/
+
+/** Owner id for saved searches/digests: the caller's key, or `user` when an admin key (or AUTH_MODE=off) asks. */
+function searchOwner({ apiKey, input }) {
+  const isAdmin = !apiKey || (apiKey.scopes || []).includes("admin");
+  if (input.user) {
+    if (!isAdmin) throw new ApiError(403, "FORBIDDEN", "Only admin keys may act for another user");
+    return input.user;
+  }
+  return apiKey ? `key:${apiKey.id}` : "local";
+}
+
+async function handleSavedSearches(c) {
+  const { request, env, headers, route, input, timing } = c;
+  const json = (obj, status = 200) =>
+    new Response(JSON.stringify(obj), { status, headers: { ...headers, "Content-Type": "application/json" } });
+  const user = searchOwner(c);
+
+  const client = makeClient(env, timing);
+  try {
+    await client.connect();
+    await client.query(`SET statement_timeout = '10s'`);
+    await ensureAppSchema(client);
+
+    if (route.id === "savedSearchesDelete") {
+      const r = await client.query(
+        `DELETE FROM app.saved_searches WHERE id = $1::bigint AND user_id = $2`,
+        [input.id.replace(/\D+/g, "") || "0", user]
+      );
+      if (!r.rowCount) throw new ApiError(404, "NOT_FOUND", "Saved search not found.");
+      return json({ ok: true, deleted: input.id });
+    }
+
+    if (request.method === "POST") {
+      const { name } = input;
+      const query = pickSavedQuery(input.query);
+      if (!Object.keys(query).length) throw new ApiError(400, "EMPTY_QUERY", "Query has no filters");
+      const r = await client.query(
+        `INSERT INTO app.saved_searches (user_id, name, query)
+         VALUES ($1, $2, $3::jsonb)
+         RETURNING id::text, name, query, created_at, last_run_at`,
+        [user, name, JSON.stringify(query)]
+      );
+      return json({ ok: true, search: r.rows[0] }, 201);
+    }
+
+    const { rows } = await client.query(
+      `SELECT id::text, name, query, created_at, last_run_at
+         FROM app.saved_searches
+        WHERE user_id = $1
+        ORDER BY created_at DESC`,
+      [user]
+    );
+    return json({ ok: true, searches: rows });
+  } finally {
+    try { await client.end(); } catch {}
+  }
+}
+
+/* -------------------- digests (new notices from scheduled saved-search runs) -------------------- */
+// GET /sb/digests?limit=10   (digests of the calling key's saved searches; admin keys may pass user=)
+async function handleDigests(c) {
+  const { env, headers, input, timing } = c;
+  const { limit } = input;
+  const user = searchOwner(c);
+  const client = makeClient(env, timing);
+  try {
+    await client.connect();
+    await client.query(`SET statement_timeout = '10s'`);
+    await ensureAppSchema(client);
+    const { rows } = await client.query(
+      `SELECT id::text, created_at, total, items
+         FROM app.search_digests
+        WHERE user_id = $1
+        ORDER BY created_at DESC
+        LIMIT $2`,
+      [user, limit]
+    );
+    return new Response(JSON.stringify({ ok: true, user, digests: rows }), {
+      status: 200, headers: { ...headers, "Content-Type": "application/json" },
+    });
+  } finally {
+    try { await client.end(); } catch {}
+  }
+}
+
+/* -------------------- predecessor (likely incumbent award for a SAM notice) -------------------- */
+/*
+  GET /sb/predecessor?noticeId=<id>   or   ?solicitationNumber=   or   ?title=&naics=&agency=&office=&responseDate=
+  Candidates come from the same office (or sub-agency + NAICS family) whose potential end
+  falls near the notice's response date; each is scored on office, NAICS, text similarity
+  (notice title/description vs award title + transaction descriptions) and end-date timing.
+*/
+const PREDECESSOR_WEIGHTS = { office: 0.3, naics: 0.2, text: 0.3, timing: 0.2 };
+const PREDECESSOR_WINDOW_MONTHS = 24; // candidate potential end dates within +/- this of the response date
+const PREDECESSOR_POOL = 400;
+
+/** Upper-cased letters and digits only, so "U.S. Immigration..." and "US IMMIGRATION..." compare equal. */
+const orgKey = (s) => (s ? String(s).toUpperCase().replace(/[^A-Z0-9]/g, "") || null : null);
+
+/** Most distinctive word of a SAM department name ("HOMELAND SECURITY, DEPARTMENT OF" -> "HOMELAND"). */
+function departmentWord(dept) {
+  const words = String(dept || "").toUpperCase().split(/[^A-Z]+/)
+    .filter((w) => w.length > 2 && !["DEPARTMENT", "THE", "AND", "AGENCY", "OFFICE", "FOR"].includes(w));
+  return words.sort((a, b) => b.length - a.length)[0] || null;
+}
+
+function parseNoticeDate(s) {
+  if (!s) return null;
+  const m = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(String(s));
+  const d = m ? new Date(Date.UTC(+m[3], +m[1] - 1, +m[2])) : new Date(s);
+  return Number.isFinite(d.getTime()) ? d : null;
+}
+
+/** 1 when the award's potential end is 0..9 months after the response date, decaying outside that. */
+function predecessorTiming(end, response) {
+  if (!end || !response) return 0;
+  const months = (end.getTime() - response.getTime()) / (30.44 * 86400000);
+  const off = months < 0 ? -months : months > 9 ? months - 9 : 0;
+  return Math.exp(-off / 6);
+}
+
+async function handlePredecessor(c) {
+  const { request, env, ctx, url, headers, input, timing } = c;
+
+  const cache = caches.default;
+  const cacheKey = new Request(url.toString(), request);
+  const cached = await cache.match(cacheKey);
+  if (cached) {
+    return withCors(cached, { ...headers, "Cache-Control": "public, s-maxage=3600, stale-while-revalidate=86400" });
+  }
+
+  // The notice: from SAM by id, with explicit params overriding
+  let notice = { noticeId: null, title: input.title || null, description: "" };
+  let path = [];
+  let deadline = null;
+  if (input.noticeId || (input.solicitationNumber && env.SAM_API_KEY)) {
+    const n = input.noticeId
+      ? await fetchSamNotice(env, input.noticeId.toLowerCase())
+      : (await samSearch(env, {
+          solicitationNumber: input.solicitationNumber,
+          noticeTypes: Array.from(SAM_ALLOWED_TYPES),
+          windowDays: 365,
+          limit: 1,
+        })).opportunitiesData[0];
+    if (!n) throw new ApiError(404, "NOT_FOUND", "No SAM notice with this id or solicitation number");
+    const descHtml = await fetchSamDescription(env, n.description).catch(() => null);
+    notice = {
+      noticeId: n.noticeId,
+      title: input.title || n.title || null,
+      description: htmlToText(sanitizeHtml(descHtml || "")).slice(0, 5000),
+      solicitationNumber: n.solicitationNumber || null,
+      naics: n.naicsCode || null,
+    };
+    path = String(n.fullParentPathName || "").split(".").map((x) => x.trim());
+    deadline = n.responseDeadLine || n.reponseDeadLine || null;
+  }
+  const agency = input.agency || path[0] || null;
+  const subAgency = input.subAgency || path[1] || null;
+  const office = input.office || path[path.length - 1] || null;
+  const naics = String(input.naics || notice.naics || "").replace(/\D+/g, "") || null;
+  const response = parseNoticeDate(input.responseDate) || parseNoticeDate(deadline) || new Date(Date.now() + 30 * 86400000);
+  const officeKey = path.length > 2 || input.office ? orgKey(office) : null;
+  const subKey = orgKey(subAgency);
+  const deptWord = departmentWord(agency);
+  if (!officeKey && !subKey && !naics) {
+    throw new ApiError(400, "MISSING_FIELD", "Provide noticeId, or office/subAgency/naics to search by");
+  }
+
+  // One row per PIID (latest record) from the matching office, or the agency + NAICS family
+  const mkSQL = (t) => `
+    SELECT * FROM (
+      SELECT DISTINCT ON (award_id_piid)
+        award_id_piid,
+        awarding_agency_name,
+        awarding_sub_agency_name,
+        awarding_office_name,
+        recipient_name,
+        recipient_uei,
+        naics_code,
+        title,
+        type_of_set_aside,
+        pop_start_date,
+        pop_current_end_date,
+        pop_potential_end_date,
+        COALESCE(pop_potential_end_date, pop_current_end_date)::date AS end_date,
+        COALESCE(potential_total_value_of_award_num, current_total_value_of_award_num) AS ceiling
+      FROM ${t}
+      WHERE award_id_piid IS NOT NULL
+        AND COALESCE(pop_potential_end_date, pop_current_end_date)::date
+            BETWEEN ($1::date - ($2::int * INTERVAL '1 month'))::date
+                AND ($1::date + ($2::int * INTERVAL '1 month'))::date
+        AND (
+          ($3::text IS NOT NULL AND regexp_replace(upper(awarding_office_name), '[^A-Z0-9]', '', 'g') = $3)
+          OR ($4::text IS NOT NULL AND regexp_replace(upper(awarding_sub_agency_name), '[^A-Z0-9]', '', 'g') = $4
+              AND ($5::text IS NULL OR naics_code LIKE $5))
+          OR ($4::text IS NULL AND $6::text IS NOT NULL AND awarding_agency_name ILIKE $6 ESCAPE '!' AND naics_code = $7)
+          OR ($3::text IS NULL AND $4::text IS NULL AND $6::text IS NULL AND naics_code = $7)
+        )
+      ORDER BY award_id_piid, pop_current_end_date DESC NULLS LAST
+    ) x
+    ORDER BY abs(end_date - $1::date)
+    LIMIT ${PREDECESSOR_POOL}`;
+
+  const client = makeClient(env, timing);
+  try {
+    await client.connect();
+    await client.query(`SET statement_timeout = '25s'`);
+    const { rows } = await queryPreferringFast(client, mkSQL, [
+      response.toISOString().slice(0, 10),
+      PREDECESSOR_WINDOW_MONTHS,
+      officeKey,
+      subKey,
+      naics ? naics.slice(0, 4) + "%" : null,
+      deptWord ? `%${likeEscape(deptWord)}%` : null,
+      naics,
+    ]);
+
+    // First pass on structure + award titles, then pull transaction text for the front-runners.
+    const corpus = await getCorpusStats(env, ctx, url.origin);
+    const weighting = weightingInfo(input.weighting, corpus);
+    const noticeBag = weightBag(bag(tokenize(`${notice.title || ""} ${notice.description || ""}`)), corpus, weighting.model);
+    const structural = (a) => {
+      const sameOffice = !!officeKey && orgKey(a.awarding_office_name) === officeKey;
+      const sameSub = !!subKey && orgKey(a.awarding_sub_agency_name) === subKey;
+      const code = String(a.naics_code || "");
+      const naics01 = !naics ? 0 : code === naics ? 1 : code.slice(0, 4) === naics.slice(0, 4) ? 0.5 : 0;
+      const end = popEndDate(a);
+      return { sameOffice, sameSub, office01: sameOffice ? 1 : sameSub ? 0.35 : 0, naics01, end, timing01: predecessorTiming(end, response) };
+    };
+    const pre = rows
+      .map((a) => {
+        const s = structural(a);
+        const title01 = cosineFromBags(noticeBag, weightBag(bag(tokenize(a.title || "")), corpus, weighting.model));
+        const w = PREDECESSOR_WEIGHTS;
+        return { a, s, prelim: w.office * s.office01 + w.naics * s.naics01 + w.text * title01 + w.timing * s.timing01 };
+      })
+      .sort((x, y) => y.prelim - x.prelim)
+      .slice(0, Math.max(25, input.limit * 2));
+
+    const tx = pre.length
+      ? await client.query(
+          `SELECT piid, string_agg(DISTINCT transaction_description, ' ') AS descs
+             FROM fp.contract_txn_min_v1
+            WHERE piid = ANY($1::text[]) AND transaction_description IS NOT NULL
+            GROUP BY piid`,
+          [pre.map((p) => p.a.award_id_piid)]
+        )
+      : { rows: [] };
+    const txByPiid = new Map(tx.rows.map((r) => [r.piid, String(r.descs || "").slice(0, 20000)]));
+
+    const num = (x) => (typeof x === "number" ? x : x == null ? null : Number(x));
+    const candidates = pre
+      .map(({ a, s }) => {
+        const awardBag = weightBag(bag(tokenize(`${a.title || ""} ${txByPiid.get(a.award_id_piid) || ""}`)), corpus, weighting.model);
+        const text01 = cosineFromBags(noticeBag, awardBag);
+        const w = PREDECESSOR_WEIGHTS;
+        const score = w.office * s.office01 + w.naics * s.naics01 + w.text * text01 + w.timing * s.timing01;
+        const shared = termContributions(noticeBag, awardBag, 6).map((t) => t.term);
+        const reasons = [];
+        if (s.sameOffice) reasons.push(`Same awarding office (${a.awarding_office_name})`);
+        else if (s.sameSub) reasons.push(`Same sub-agency (${a.awarding_sub_agency_name}), different office`);
+        if (s.naics01 === 1) reasons.push(`Same NAICS ${a.naics_code}`);
+        else if (s.naics01) reasons.push(`Related NAICS ${a.naics_code} (same ${naics.slice(0, 4)} industry group)`);
+        if (text01 >= 0.05) reasons.push(`Text similarity ${text01.toFixed(2)}${shared.length ? ` (shared: ${shared.join(", ")})` : ""}`);
+        if (s.end) {
+          const months = Math.round(((s.end.getTime() - response.getTime()) / (30.44 * 86400000)) * 10) / 10;
+          reasons.push(
+            `Potential end ${s.end.toISOString().slice(0, 10)}, ${Math.abs(months)} months ${months >= 0 ? "after" : "before"} the response date`
+          );
+        }
+        const confidence = Math.round(score * 100) / 100;
+        return {
+          piid: a.award_id_piid,
+          confidence,
+          confidenceLabel: confidence >= 0.7 ? "high" : confidence >= 0.45 ? "medium" : "low",
+          components: {
+            office: Math.round(s.office01 * 100) / 100,
+            naics: s.naics01,
+            text: Math.round(text01 * 100) / 100,
+            timing: Math.round(s.timing01 * 100) / 100,
+          },
+          reasons,
+          agency: a.awarding_agency_name || null,
+          subAgency: a.awarding_sub_agency_name || null,
+          office: a.awarding_office_name || null,
+          primeName: a.recipient_name || null,
+          primeUei: a.recipient_uei || null,
+          naicsCode: a.naics_code || null,
+          title: a.title || null,
+          type_of_set_aside: a.type_of_set_aside || null,
+          popStartDate: a.pop_start_date || null,
+          popCurrentEndDate: a.pop_current_end_date || null,
+          popPotentialEndDate: a.pop_potential_end_date || null,
+          ceiling: num(a.ceiling),
+        };
+      })
+      .sort((x, y) => y.confidence - x.confidence)
+      .slice(0, input.limit);
+
+    const res = new Response(
+      JSON.stringify({
+        ok: true,
+        notice: {
+          noticeId: notice.noticeId,
+          title: notice.title,
+          solicitationNumber: notice.solicitationNumber || input.solicitationNumber || null,
+          agency,
+          subAgency,
+          office,
+          naics,
+          responseDate: response.toISOString().slice(0, 10),
+        },
+        weights: PREDECESSOR_WEIGHTS,
+        weighting,
+        pool: rows.length,
+        count: candidates.length,
+        candidates,
+      }),
+      {
+        status: 200,
+        headers: {
+          ...headers,
+          "Content-Type": "application/json",
+          "Cache-Control": "public, s-maxage=3600, stale-while-revalidate=86400",
+        },
+      }
+    );
+    ctx.waitUntil(cache.put(cacheKey, res.clone()));
+    return res;
+  } finally {
+    try { await client.end(); } catch {}
+  }
+}
+
+/* -------------------- SAM.gov Opportunities proxy -------------------- */
+async function handleOpportunitySearch(c) {
+  const { env, ctx, url, headers, input: body, timing } = c;
+
+  const normalized = await samSearch(env, body);
+
+  const passHeaders = {
+    ...headers,
+    "Content-Type": "application/json",
+    "Cache-Control": "public, s-maxage=900, stale-while-revalidate=86400",
+  };
+
+  // Optional capability fit against an entity's SBA narrative (uei=..., sort=fit)
+  const fitUei = body.uei;
+  if (fitUei) {
+    const fit = { uei: fitUei, narrativeAvailable: false, naics: [] };
+    const client = makeClient(env, timing);
+    try {
+      await client.connect();
+      await client.query(`SET statement_timeout = '10s'`);
+      const r = await client.query(
+        `SELECT capabilities_narrative, naics_codes
+           FROM sba.smallbiz_v
+          WHERE upper(uei) = $1
+          LIMIT 1`,
+        [fitUei]
+      );
+      const row = r.rows[0] || {};
+      const caps = row.capabilities_narrative || "";
+      fit.narrativeAvailable = !!caps.trim();
+      fit.naics = naicsList(row.naics_codes);
+
+      const corpus = await getCorpusStats(env, ctx, url.origin);
+      fit.weighting = weightingInfo(body.weighting, corpus);
+      const capsBag = weightBag(bag(tokenize(caps)), corpus, fit.weighting.model);
+      const naicsSet = new Set(fit.naics.map((c) => c.replace(/\D+/g, "")));
+      normalized.opportunitiesData = normalized.opportunitiesData.map((o) => ({
+        ...o,
+        fit: scoreOpportunityFit(o, capsBag, naicsSet, corpus, fit.weighting.model),
+      }));
+      if (String(body.sort || "").toLowerCase() === "fit") {
+        normalized.opportunitiesData.sort((a, b) => b.fit.fit_0to100 - a.fit.fit_0to100);
+      }
+    } catch (e) {
+      fit.error = (e && e.message) || "fit scoring failed";
+    } finally {
+      try { await client.end(); } catch {}
+    }
+    normalized.fit = fit;
+    passHeaders["Cache-Control"] = "private, max-age=300";
+  }
+
+  return new Response(JSON.stringify(normalized), { status: 200, headers: passHeaders });
+}
+/* -------------------- SAM.gov opportunity detail -------------------- */
+// GET /sb/opportunities/{noticeId}: description resolved + sanitized, attachments with names/sizes
+async function handleOpportunityDetail(c) {
+  const { env, ctx, url, headers, input } = c;
+  const noticeId = input.noticeId.toLowerCase();
+
+  const notice = await fetchSamNotice(env, noticeId);
+  if (!notice) throw new ApiError(404, "NOT_FOUND", "No SAM notice with this id");
+
+  const [descHtml, attachments] = await Promise.all([
+    fetchSamDescription(env, notice.description),
+    fetchSamAttachments(noticeId, notice.resourceLinks, ctx, url.origin),
+  ]);
+  const html = sanitizeHtml(descHtml || "");
+
+  const res = {
+    ok: true,
+    notice: {
+      ...normalizeSamNotice(notice),
+      description: {
+        available: descHtml != null && !!html.trim(),
+        html,
+        text: htmlToText(html),
+      },
+      attachments,
+    },
+  };
+  return new Response(JSON.stringify(res), {
+    status: 200,
+    headers: {
+      ...headers,
+      "Content-Type": "application/json",
+      "Cache-Control": "public, s-maxage=900, stale-while-revalidate=86400",
+    },
+  });
+}
+
+/* =====================================================================
+   R O U T E S
+   ===================================================================== */
+/*
+  Every route is served at /sb/v1<path>; /sb<path> (and any `legacy` paths) are kept as aliases.
+  Params: { type, required?, description?, enum?, minimum?, maximum?, default?, items?, maxItems?, format?, maxLength? }.
+  validateRequest() checks them before the handler runs and hands it the normalized `input`.
+  `query` applies to every method; `body` describes the JSON body of POST; `params` the :path segments.
+  `export` (list routes) adds ?format=csv|xlsx; see the EXPORT section.
+*/
+const API_BASE = "/sb";
+const API_V1 = "/sb/v1";
+
+const str = (description, extra) => ({ type: "string", description, ...extra });
+const int = (description, minimum, maximum, dflt) => ({ type: "integer", description, minimum, maximum, default: dflt });
+const req = (p) => ({ ...p, required: true });
+const P_USER = str("Owner to act for (admin keys only; defaults to the calling API key)", { maxLength: 200 });
+
+const P_UEI = str("12-character SAM Unique Entity ID", { format: "uei" });
+const P_PIID = str("Procurement Instrument Identifier (award PIID)", { format: "piid" });
+const P_AGENCY = str("Awarding agency, sub-agency or office name (exact)");
+const P_CURSOR = str("nextCursor from the previous page");
+const P_WEIGHTING = str("Term weighting model", { enum: ["bm25", "tfidf", "tf"], default: "bm25" });
+const P_CAP_PDF = str("Capability-statement PDF text: auto (when the SBA narrative is thin), append, or off", {
+  enum: ["auto", "append", "off"], default: "auto",
+});
+const P_CAP_WEBSITE = str("Website text fallback: auto (when narrative and PDF leave the text thin) or off", {
+  enum: ["auto", "off"], default: "auto",
+});
+
+const P_FORMAT = str("Response format (also negotiable via Accept: text/csv or the xlsx MIME type)", {
+  enum: ["json", "csv", "xlsx"],
+});
+
+const TX_EXPORT_COLUMNS = [
+  { header: "Action Date", key: "date", type: "date" },
+  { header: "Modification", key: "mod" },
+  { header: "Action Type", key: "type" },
+  { header: "Modification Class", get: (r) => r.modClass && r.modClass.label },
+  { header: "Obligation", key: "obligation", type: "money" },
+  { header: "Description", key: "description" },
+];
+
+const joined = (key) => (r) => (Array.isArray(r[key]) ? r[key].join("; ") : null);
+
+/** Award-row columns shared by recompetes and predecessor (camelCase award rows). */
+const AWARD_EXPORT_COLUMNS = [
+  { header: "PIID", key: "piid" },
+  { header: "Agency", key: "agency" },
+  { header: "Sub-Agency", key: "subAgency" },
+  { header: "Office", key: "office" },
+  { header: "Prime", key: "primeName" },
+  { header: "Prime UEI", key: "primeUei" },
+  { header: "NAICS", key: "naicsCode" },
+  { header: "Set-Aside", key: "type_of_set_aside" },
+  { header: "Title", key: "title" },
+  { header: "PoP Start", key: "popStartDate", type: "date" },
+  { header: "Current End Date", key: "popCurrentEndDate", type: "date" },
+  { header: "Potential End Date", key: "popPotentialEndDate", type: "date" },
+  { header: "Ceiling", key: "ceiling", type: "money" },
+];
+
+const ROLLUP_EXPORT_COLUMNS = [
+  { header: "Awards", key: "awards", type: "int" },
+  { header: "Obligated", key: "obligated", type: "money" },
+];
+
+/** vendor-profile lists selectable with ?list= when exporting. */
+const VENDOR_PROFILE_EXPORTS = {
+  largestAwards: [
+    { header: "PIID", key: "piid" },
+    { header: "Title", key: "title" },
+    { header: "Agency", key: "agency" },
+    { header: "Sub-Agency", key: "subAgency" },
+    { header: "NAICS", key: "naics" },
+    { header: "End Date", key: "endDate", type: "date" },
+    { header: "Ceiling", key: "ceiling", type: "money" },
+    { header: "Obligated", key: "obligated", type: "money" },
+  ],
+  byFiscalYear: [{ header: "Fiscal Year", key: "fiscalYear", type: "int" }, ...ROLLUP_EXPORT_COLUMNS],
+  byAgency: [{ header: "Agency", key: "agency" }, ...ROLLUP_EXPORT_COLUMNS],
+  bySubAgency: [{ header: "Agency", key: "agency" }, { header: "Sub-Agency", key: "subAgency" }, ...ROLLUP_EXPORT_COLUMNS],
+  byOffice: [
+    { header: "Agency", key: "agency" },
+    { header: "Sub-Agency", key: "subAgency" },
+    { header: "Office", key: "office" },
+    ...ROLLUP_EXPORT_COLUMNS,
+  ],
+  byNaics: [{ header: "NAICS", key: "naics" }, { header: "Description", key: "description" }, ...ROLLUP_EXPORT_COLUMNS],
+  bySetAside: [{ header: "Set-Aside", key: "setAside" }, ...ROLLUP_EXPORT_COLUMNS],
+  byExtentCompeted: [{ header: "Extent Competed", key: "extentCompeted" }, ...ROLLUP_EXPORT_COLUMNS],
+};
+
+const SAM_SEARCH_PARAMS = {
+  q: str("Free-text keywords (aliases: keyword, keywords)"),
+  naics: { type: "array", items: { type: "string" }, description: "NAICS codes (array or comma separated)" },
+  noticeTypes: { type: "array", items: { type: "string" }, description: "Notice types (default Solicitation)" },
+  setAside: { type: "array", items: { type: "string" }, description: "SAM set-aside codes" },
+  agency: str("Organization name (alias of organization)"),
+  organization: str("Organization name; matches any level of the department/sub-tier/office path"),
+  organizationCode: str("Organization code"),
+  windowDays: int("Posted-date window in days", 1, 365, 15),
+  postedFrom: str("MM/dd/yyyy"),
+  postedTo: str("MM/dd/yyyy"),
+  deadlineFrom: str("Response deadline from, MM/dd/yyyy"),
+  deadlineTo: str("Response deadline to, MM/dd/yyyy"),
+  state: str("Place of performance state (2-letter)", { maxLength: 2 }),
+  zip: str("Place of performance ZIP code", { maxLength: 10 }),
+  solicitationNumber: str("Solicitation number", { maxLength: 128 }),
+  psc: str("Product/service (classification) code", { maxLength: 8 }),
+  status: str("Notice status", { enum: ["active", "inactive", "archived", "cancelled", "deleted"] }),
+  limit: int("Page size", 1, SAM_SEARCH_LIMIT_MAX, 25),
+  offset: int("Page offset", 0, undefined, 0),
+  all: { type: "boolean", default: false, description: "Page through every result (set-aside branches merged, deduped by noticeId)" },
+  maxRecords: int("Cap on merged records when all=true", 1, SAM_SWEEP_MAX, SAM_SWEEP_DEFAULT),
+  uei: { ...P_UEI, description: "Score each notice against this UEI's capabilities narrative" },
+  sort: str("Sort order", { enum: ["fit"] }),
+  weighting: P_WEIGHTING,
+};
+
+const ROUTES = [
+  {
+    id: "health", methods: ["GET"], path: "/health", legacy: ["/health"], public: true,
+    summary: "Liveness check", handler: handleHealth,
+  },
+  {
+    id: "openapi", methods: ["GET"], path: "/openapi.json", legacy: [], public: true,
+    summary: "OpenAPI document generated from this route table", handler: handleOpenApi,
+  },
+  {
+    id: "adminKeys", methods: ["GET", "POST"], path: "/admin/keys", scope: "admin",
+    summary: "List API keys (GET) or create one (POST; plaintext returned once)",
+    body: {
+      name: req(str("Label for the key", { maxLength: 200 })),
+      scopes: req({ type: "array", items: { type: "string", enum: API_SCOPES }, description: "Route groups the key may call" }),
+      ratePerMin: int("Requests per minute", 1, 10000, DEFAULT_RATE_PER_MIN),
+    },
+    handler: handleAdminKeys,
+  },
+  {
+    id: "adminKeysRevoke", methods: ["POST"], path: "/admin/keys/revoke", scope: "admin",
+    summary: "Revoke an API key", body: { id: req(str("Key id")) }, handler: handleAdminKeys,
+  },
+  {
+    id: "agencies", methods: ["GET"], path: "/agencies", scope: "analytics",
+    summary: "Awarding agency, sub-agency and office names, keyset-paged (cached 24h)",
+    query: {
+      q: str("Typeahead filter: prefix matches first, then contains", { maxLength: 200 }),
+      level: str("Name level (default: all levels mixed)", { enum: ["agency", "sub-agency", "office"] }),
+      limit: int("Page size", 1, 1000, 400),
+      cursor: P_CURSOR,
+    },
+    handler: handleAgencies,
+  },
+  {
+    id: "sbaCaps", methods: ["GET"], path: "/sba-caps", scope: "analytics",
+    summary: "SBA capabilities narratives for a UEI and an optional incumbent",
+    query: { uei: req(P_UEI), incumbentUei: P_UEI },
+    handler: handleSbaCaps,
+  },
+  {
+    id: "capCompare", methods: ["POST"], path: "/cap-compare", scope: "analytics",
+    summary: "Compare two narratives and transaction descriptions",
+    body: {
+      my: P_UEI,
+      inc: P_UEI,
+      txDescs: { type: "array", items: { type: "string" }, description: "Transaction descriptions" },
+      weighting: P_WEIGHTING,
+      pdf: P_CAP_PDF,
+      website: P_CAP_WEBSITE,
+    },
+    handler: handleCapCompare,
+  },
+  {
+    id: "vendorAwards", methods: ["GET"], path: "/vendor-awards", scope: "analytics",
+    summary: "Award rows for a vendor, keyset-paged (exports hold one page; follow X-Next-Cursor)",
+    query: {
+      uei: req(P_UEI),
+      agency: P_AGENCY,
+      years: int("Fiscal years back", 1, 10, 5),
+      naics: str("NAICS codes or prefixes, comma separated"),
+      setAside: str("Set-aside text (contains match)"),
+      sort: str("recent (fiscal year, end date), obligation (largest first) or end (soonest end first)", {
+        enum: Object.keys(VENDOR_AWARD_SORTS), default: "recent",
+      }),
+      limit: int("Page size", 1, 300, 100),
+      cursor: P_CURSOR,
+    },
+    export: {
+      name: "vendor-awards",
+      fileParts: (input) => [input.uei],
+      rows: (payload) => payload.rows,
+      columns: [
+        { header: "PIID", key: "piid" },
+        { header: "Fiscal Year", key: "fiscal_year", type: "int" },
+        { header: "Agency", key: "agency" },
+        { header: "Sub-Agency", key: "sub_agency" },
+        { header: "Office", key: "office" },
+        { header: "NAICS", key: "naics" },
+        { header: "Set-Aside", key: "set_aside" },
+        { header: "Vehicle", key: "vehicle" },
+        { header: "Title", key: "title" },
+        { header: "Extent Competed", key: "extent_competed" },
+        { header: "Offers Received", key: "number_of_offers_received", type: "int" },
+        { header: "Obligated", key: "obligated", type: "money" },
+        { header: "Current End Date", key: "end_date", type: "date" },
+      ],
+    },
+    handler: handleVendorAwards,
+  },
+  {
+    id: "vendorProfile", methods: ["GET"], path: "/vendor-profile", scope: "analytics",
+    summary: "Competitor dossier: rollups of a vendor's award history plus entity details",
+    query: {
+      uei: req(P_UEI),
+      years: int("Fiscal years back", 1, 20, 10),
+      top: int("Largest awards to list", 1, 50, 10),
+    },
+    export: {
+      name: "vendor-profile",
+      query: { list: str("List to export", { enum: Object.keys(VENDOR_PROFILE_EXPORTS), default: "largestAwards" }) },
+      fileParts: (input) => [input.uei, input.list],
+      rows: (payload, input) => payload[input.list],
+      columns: (input) => VENDOR_PROFILE_EXPORTS[input.list],
+    },
+    handler: handleVendorProfile,
+  },
+  {
+    id: "agencySpend", methods: ["GET"], path: "/agency-spend", scope: "analytics",
+    summary: "Agency obligations by NAICS, set-aside, competition and vehicle with YoY deltas",
+    query: {
+      agency: req(P_AGENCY),
+      fromFy: int("First fiscal year", 2000),
+      toFy: int("Last fiscal year", 2000),
+      top: int("Rows per breakdown", 1, 100, 25),
+    },
+    handler: handleAgencySpend,
+  },
+  {
+    id: "agencyTree", methods: ["GET"], path: "/agency-tree", scope: "analytics",
+    summary: "Agency > sub-agency > office hierarchy with award counts and obligations (cached 24h)",
+    query: {
+      fromFy: int("First fiscal year", 2000),
+      toFy: int("Last fiscal year", 2000),
+      agency: str("Limit to one awarding agency (exact name)"),
+      depth: int("Levels to return: 1 agency, 2 + sub-agency, 3 + office", 1, 3, 3),
+    },
+    handler: handleAgencyTree,
+  },
+  {
+    id: "similarEntities", methods: ["GET"], path: "/similar-entities", scope: "analytics",
+    summary: "Businesses with the closest narratives and NAICS codes to a UEI",
+    query: {
+      uei: req(P_UEI),
+      certs: str("Required certification tags, comma separated (8(A), SDVOSB, WOSB, HUBZONE, VOSB)"),
+      agency: P_AGENCY,
+      limit: int("Max results", 1, 100, 25),
+      weighting: P_WEIGHTING,
+    },
+    export: {
+      name: "similar-entities",
+      fileParts: (input) => [input.uei],
+      rows: (payload) => payload.results,
+      columns: [
+        { header: "UEI", key: "uei" },
+        { header: "Name", key: "name" },
+        { header: "Website", key: "website" },
+        { header: "Certifications", get: joined("certifications") },
+        { header: "Similarity (0-100)", key: "similarity_0to100", type: "int" },
+        { header: "Narrative Similarity", key: "narrativeSimilarity", type: "number" },
+        { header: "NAICS Jaccard", key: "naicsJaccard", type: "number" },
+        { header: "Shared NAICS", get: joined("naicsOverlap") },
+        { header: "NAICS", get: joined("naics") },
+        { header: "Shared Keywords", get: (r) => (r.shared_keywords || []).map((k) => k.term).join("; ") },
+      ],
+    },
+    handler: handleSimilarEntities,
+  },
+  {
+    id: "subNetwork", methods: ["GET"], path: "/sub-network", scope: "analytics",
+    summary: "Prime/subcontractor relationship graph for a UEI",
+    query: { uei: req(P_UEI), limit: int("Max counterparties per side", 1, 200, 50) },
+    handler: handleSubNetwork,
+  },
+  {
+    id: "contractInsights", methods: ["POST"], path: "/contracts/insights", legacy: ["/contracts/insights"], scope: "analytics",
+    summary: "Award lifecycle, subawards and burn forecast for a PIID (cached 10m)",
+    body: { piid: req(P_PIID) },
+    handler: handleContractInsights,
+  },
+  {
+    id: "contractInsightsBatch", methods: ["POST"], path: "/contracts/insights/batch", scope: "analytics",
+    summary: "Insights plus summary metadata for many PIIDs over one connection, with per-item errors",
+    body: { piids: req({ type: "array", items: P_PIID, maxItems: 100, description: "Award PIIDs (up to 100)" }) },
+    handler: handleContractInsightsBatch,
+  },
+  {
+    id: "recompetes", methods: ["GET"], path: "/recompetes", scope: "analytics",
+    summary: "Awards whose performance window ends within a chosen range",
+    query: {
+      agency: P_AGENCY,
+      naics: str("NAICS codes or prefixes, comma separated"),
+      setAside: str("Set-aside text (contains match)"),
+      minValue: { type: "number", description: "Minimum ceiling", minimum: 0 },
+      fromMonths: int("Window start, months from today", 0, 60, 6),
+      toMonths: int("Window end, months from today", 1, 72, 24),
+      sort: str("Sort order", { enum: ["end", "ceiling"], default: "end" }),
+      limit: int("Max rows", 1, 500, 100),
+    },
+    export: {
+      name: "recompetes",
+      rows: (payload) => payload.rows,
+      columns: [
+        ...AWARD_EXPORT_COLUMNS,
+        { header: "Extent Competed", key: "extent_competed" },
+        { header: "Offers Received", key: "number_of_offers_received", type: "int" },
+        { header: "Months to End", key: "monthsToEnd", type: "number" },
+        { header: "Obligated", key: "obligated", type: "money" },
+        { header: "Stage", get: (r) => r.lifecycle && r.lifecycle.label },
+        { header: "Burn %", get: (r) => r.lifecycle && r.lifecycle.burnPct, type: "int" },
+      ],
+    },
+    handler: handleRecompetes,
+  },
+  {
+    id: "predecessor", methods: ["GET"], path: "/predecessor", scope: "analytics",
+    summary: "Rank likely predecessor (incumbent) awards for a SAM notice, with confidence and reasons",
+    query: {
+      noticeId: str("SAM notice id; title, NAICS, office and response date come from the notice", { format: "noticeId" }),
+      solicitationNumber: str("Look the notice up by solicitation number instead", { maxLength: 128 }),
+      title: str("Notice title (overrides the notice's)"),
+      naics: str("NAICS code"),
+      agency: str("Department name"),
+      subAgency: str("Sub-tier agency name"),
+      office: str("Contracting office name"),
+      responseDate: str("Response date, MM/dd/yyyy or YYYY-MM-DD (default: the notice's deadline)"),
+      weighting: P_WEIGHTING,
+      limit: int("Max candidates", 1, 50, 10),
+    },
+    export: {
+      name: "predecessor",
+      fileParts: (input) => [input.noticeId || input.solicitationNumber],
+      rows: (payload) => payload.candidates,
+      columns: [
+        { header: "Confidence", key: "confidence", type: "number" },
+        { header: "Confidence Label", key: "confidenceLabel" },
+        ...AWARD_EXPORT_COLUMNS,
+        { header: "Reasons", get: joined("reasons") },
+      ],
+    },
+    handler: handlePredecessor,
+  },
+  {
+    id: "usaContract", methods: ["GET"], path: "/usa-contract", scope: "analytics",
+    summary: "Award summary, transactions and modification analysis for a PIID (exports transactions)",
+    query: { piid: req(P_PIID) },
+    export: {
+      name: "contract-transactions",
+      fileParts: (input) => [input.piid],
+      rows: (payload) => payload.transactions,
+      columns: TX_EXPORT_COLUMNS,
+    },
+    handler: handleUsaContract,
+  },
+  {
+    id: "contractSummary", methods: ["GET"], path: "/contract-summary", scope: "analytics",
+    summary: "Alias of usa-contract meta", query: { piid: req(P_PIID) }, handler: handleContractSummary,
+  },
+  {
+    id: "contractActivity", methods: ["GET"], path: "/contracts/activity", legacy: ["/contracts/activity"], scope: "analytics",
+    summary: "Alias of usa-contract spendPoints", query: { piid: req(P_PIID) },
+    export: {
+      name: "contract-activity",
+      fileParts: (input) => [input.piid],
+      rows: (payload) => payload.points,
+      columns: [
+        { header: "Action Date", key: "date", type: "date" },
+        { header: "Modification", key: "modification_number" },
+        { header: "Action Type", key: "action_type" },
+        { header: "Obligation", key: "federal_action_obligation", type: "money" },
+        { header: "Description", key: "transaction_description" },
+      ],
+    },
+    handler: handleContractActivity,
+  },
+  {
+    id: "myEntity", methods: ["GET"], path: "/my-entity", scope: "analytics",
+    summary: "Entity details (SBA view first)",
+    query: {
+      uei: req(P_UEI),
+      sam: { type: "boolean", default: false, description: "Merge the normalized SAM registration (status, expiry, CAGE, POCs)" },
+    },
+    handler: handleMyEntity,
+  },
+  {
+    id: "samEntity", methods: ["GET"], path: "/sam-entity", scope: "analytics",
+    summary: "Normalized SAM registration: names, CAGE, status/expiry, address, structure, NAICS, certifications, POCs",
+    query: { uei: req(P_UEI) },
+    handler: handleSamEntity,
+  },
+  {
+    id: "fitCapability", methods: ["POST"], path: "/fit/capability", legacy: ["/fit/capability"], scope: "analytics",
+    summary: "Capability fit of a UEI against a PIID's incumbent and transactions",
+    body: {
+      piid: req(P_PIID),
+      uei: req(P_UEI),
+      weights: { type: "object", description: "{ inc_vs_my, my_vs_tx } points (total <= 30)" },
+      weighting: P_WEIGHTING,
+      pdf: P_CAP_PDF,
+      website: P_CAP_WEBSITE,
+    },
+    handler: handleFitCapability,
+  },
+  {
+    id: "savedSearches", methods: ["GET", "POST"], path: "/saved-searches", scope: "searches",
+    summary: "List (GET) or create (POST) saved opportunity searches",
+    query: { user: P_USER },
+    body: {
+      user: P_USER,
+      name: req(str("Search name", { maxLength: 200 })),
+      query: req({ type: "object", description: `{ ${SAVED_QUERY_FIELDS.join(", ")} }` }),
+    },
+    handler: handleSavedSearches,
+  },
+  {
+    id: "savedSearchesDelete", methods: ["POST"], path: "/saved-searches/delete", scope: "searches",
+    summary: "Delete a saved search",
+    body: { user: P_USER, id: req(str("Saved search id")) },
+    handler: handleSavedSearches,
+  },
+  {
+    id: "digests", methods: ["GET"], path: "/digests", scope: "searches",
+    summary: "Digests of new notices from scheduled saved-search runs",
+    query: { user: P_USER, limit: int("Max digests", 1, 60, 10) },
+    handler: handleDigests,
+  },
+  {
+    id: "opportunitySearch", methods: ["GET", "POST"], path: "/opportunities/search", legacy: ["/opportunities/search"], scope: "sam",
+    summary: "SAM.gov opportunities search proxy (optional capability fit)",
+    query: SAM_SEARCH_PARAMS,
+    body: SAM_SEARCH_PARAMS,
+    handler: handleOpportunitySearch,
+  },
+  {
+    id: "opportunityDetail", methods: ["GET"], path: "/opportunities/:noticeId", scope: "sam",
+    summary: "One SAM.gov notice: resolved description, attachments, POCs, deadline, place of performance, award",
+    params: { noticeId: req(str("SAM notice id (32 hex characters)", { format: "noticeId" })) },
+    handler: handleOpportunityDetail,
+  },
+];
+
+const splitPath = (p) => p.split("/").filter(Boolean);
+for (const r of ROUTES) {
+  r.patterns = [API_V1 + r.path, API_BASE + r.path, ...(r.legacy || [])].map(splitPath);
+  if (r.export) r.query = { ...r.query, ...r.export.query, format: P_FORMAT };
+}
+
+function matchPattern(pattern, segs) {
+  if (pattern.length !== segs.length) return null;
+  const params = {};
+  for (let i = 0; i < pattern.length; i++) {
+    const p = pattern[i];
+    if (p.startsWith(":")) {
+      try {
+        params[p.slice(1)] = decodeURIComponent(segs[i]);
+      } catch {
+        return null; // malformed %-escape: treat as no match (404), not a 500
+      }
+    } else if (p.toLowerCase() !== segs[i].toLowerCase()) return null;
+  }
+  return params;
+}
+
+/** Resolve method + path to a route; { route, methodNotAllowed } when only the path matches. */
+function matchRoute(method, pathname) {
+  const segs = splitPath(pathname);
+  let pathOnly = null;
+  for (const route of ROUTES) {
+    for (const pattern of route.patterns) {
+      const params = matchPattern(pattern, segs);
+      if (!params) continue;
+      if (route.methods.includes(method)) return { route, params };
+      pathOnly = pathOnly || route;
+    }
+  }
+  return pathOnly ? { route: pathOnly, params: {}, methodNotAllowed: true } : null;
+}
+
+/* ---------------- OpenAPI (generated from ROUTES) ---------------- */
+function schemaOf(p) {
+  const out = { type: p.type };
+  for (const k of ["description", "enum", "minimum", "maximum", "default", "maxLength", "maxItems"]) {
+    if (p[k] !== undefined) out[k] = p[k];
+  }
+  if (p.format) out.pattern = FORMAT_RES[p.format].source;
+  if (p.items) out.items = schemaOf(p.items);
+  return out;
+}
+
+function openApiSpec(origin) {
+  const paths = {};
+  for (const r of ROUTES) {
+    const oaPath = (API_V1 + r.path).replace(/:(\w+)/g, "{$1}");
+    const pathParams = splitPath(r.path)
+      .filter((x) => x.startsWith(":"))
+      .map((x) => {
+        const p = (r.params || {})[x.slice(1)] || { type: "string" };
+        return {
+          name: x.slice(1),
+          in: "path",
+          required: true,
+          ...(p.description ? { description: p.description } : {}),
+          schema: schemaOf({ ...p, description: undefined }),
+        };
+      });
+    const item = {};
+    for (const m of r.methods) {
+      const withBody = m === "POST" && r.body;
+      const queryParams = withBody ? [] : Object.entries(r.query || {}).map(([name, p]) => ({
+        name,
+        in: "query",
+        required: !!p.required,
+        ...(p.description ? { description: p.description } : {}),
+        schema: schemaOf({ ...p, description: undefined }),
+      }));
+      const op = {
+        operationId: r.methods.length > 1 ? `${r.id}${m[0]}${m.slice(1).toLowerCase()}` : r.id,
+        summary: r.summary,
+        tags: [r.public ? "public" : r.scope],
+        parameters: [...pathParams, ...queryParams],
+        responses: {
+          200: r.export
+            ? {
+                description: "OK (JSON, or a file download with ?format=csv|xlsx)",
+                content: {
+                  "application/json": {},
+                  [EXPORT_TYPES.csv.split(";")[0]]: {},
+                  [EXPORT_TYPES.xlsx]: {},
+                },
+              }
+            : { description: "OK" },
+          400: { description: "Invalid input (error envelope with code and fields)" },
+          ...(r.public ? {} : { 401: { description: "Missing or invalid API key" }, 429: { description: "Rate limit exceeded" } }),
+          500: { description: "Server error" },
+        },
+        security: r.public ? [] : [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+      };
+      if (withBody) {
+        const entries = Object.entries(r.body);
+        op.requestBody = {
+          required: entries.some(([, p]) => p.required),
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: Object.fromEntries(entries.map(([name, p]) => [name, schemaOf(p)])),
+                required: entries.filter(([, p]) => p.required).map(([name]) => name),
+              },
+            },
+          },
+        };
+      }
+      if (r.legacy && r.legacy.length) op.description = `Also served at ${[API_BASE + r.path, ...r.legacy].join(", ")}.`;
+      else op.description = `Also served at ${API_BASE + r.path}.`;
+      item[m.toLowerCase()] = op;
+    }
+    paths[oaPath] = item;
+  }
+  return {
+    openapi: "3.0.3",
+    info: { title: "sb-analytics", version: "1.0.0" },
+    servers: [{ url: origin }],
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer" },
+        apiKeyHeader: { type: "apiKey", in: "header", name: "X-API-Key" },
+      },
+    },
+    paths,
+  };
+}
+
+/* -------------------- openapi.json -------------------- */
+async function handleOpenApi(c) {
+  const { url, headers } = c;
+  return new Response(JSON.stringify(openApiSpec(url.origin)), {
+    status: 200,
+    headers: { ...headers, "Content-Type": "application/json", "Cache-Control": "public, max-age=3600" },
+  });
+}
+
+/* =====================================================================
+   W O R K E R   E N T R Y
+   ===================================================================== */
+export default {
+  async fetch(request, env, ctx) {
+    const url = new URL(request.url);
+    const origin = request.headers.get("Origin") || "";
+    const headers = cors(origin, env);
+    configureTextPipeline(env);
+
+    if (request.method === "OPTIONS") {
+      return new Response(null, { status: 204, headers });
+    }
+
+    const match = matchRoute(request.method, url.pathname);
+    if (!match) return errorResponse(headers, 404, "NOT_FOUND", "Not found");
+    if (match.methodNotAllowed) {
+      return errorResponse(
+        { ...headers, Allow: match.route.methods.join(", ") },
+        405, "METHOD_NOT_ALLOWED", `Method ${request.method} not allowed`
+      );
+    }
+    const { route, params } = match;
+    const timing = createTiming();
+
+    /* -------------------- auth + per-key rate limit (all non-public routes) -------------------- */
+    let apiKey = null;
+    if (!route.public && String(env.AUTH_MODE || "").toLowerCase() !== "off") {
+      const auth = await timing.time("auth", () => authorize(request, env, ctx, route.scope, timing));
+      Object.assign(headers, rateHeaders(auth.rate));
+      if (!auth.ok) {
+        const extra = auth.status === 429 ? { "Retry-After": String(auth.rate.resetSeconds) } : {};
+        if (auth.status === 401) extra["WWW-Authenticate"] = 'Bearer realm="sb-analytics"';
+        return errorResponse({ ...headers, ...extra }, auth.status, auth.code, auth.error);
+      }
+      apiKey = auth.key;
+    }
+
+    let res;
+    try {
+      const { raw, input } = await validateRequest(route, request, url, params);
+      const format = route.export ? exportFormat(input, request) : "json";
+      // Handlers cache by URL; drop ?format (and export-only params) so JSON and exports share one cache entry.
+      const handlerUrl = new URL(url);
+      for (const k of ["format", ...Object.keys((route.export && route.export.query) || {})]) handlerUrl.searchParams.delete(k);
+      res = await route.handler({
+        request, env, ctx, url: handlerUrl, headers, params, apiKey, route, raw, input, timing,
+      });
+      if (format !== "json") res = await exportResponse(res, route, input, format, headers);
+    } catch (e) {
+      const { status, code, message, extra } = classifyError(e);
+      res = errorResponse(headers, status, code, message, extra);
+    }
+    // Server-Timing: total, auth, connect and db time (with counts) for this route.
+    res = new Response(res.body, res);
+    res.headers.set("Server-Timing", timing.header(route.id));
+    return res;
+  },
+
+  /* -------------------- cron: saved-search digests + API key usage retention -------------------- */
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(
+      runSavedSearchDigests(env).catch((e) => console.error("saved-search digests failed:", e && e.message))
+    );
+    ctx.waitUntil(
+      pruneApiKeyUsage(env).catch((e) => console.error("api key usage cleanup failed:", e && e.message))
+    );
   },
 };